@@ -1,222 +1,63 @@
 // File: pages/index.js - Complete Drowsiness Detection System
 import { useState, useEffect, useRef } from 'react';
 import Head from 'next/head';
-import { LineChart, Line, BarChart, Bar, PieChart, Pie, Cell, 
+import Link from 'next/link';
+import { LineChart, Line, PieChart, Pie, Cell, 
          XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import CalibrationWizard from '../components/CalibrationWizard';
+import SessionHistory from '../components/SessionHistory';
+import ExportDialog from '../components/ExportDialog';
+import ReplayPanel from '../components/ReplayPanel';
+import SettingsPanel from '../components/SettingsPanel';
+import WebhookPanel from '../components/WebhookPanel';
+import HourlyPattern from '../components/HourlyPattern';
+import GazeHeatMap from '../components/GazeHeatMap';
+import { DEFAULT_THRESHOLDS, loadCalibration, clearCalibration } from '../lib/calibration';
+import { createFaceMeshClient } from '../lib/faceMeshClient';
+import { createFrameScheduler } from '../lib/frameScheduler';
+import { scoreSeverity, SEVERITIES } from '../lib/drowsinessPipeline';
+import { createDrowsinessEngine } from '../lib/drowsinessEngine';
+import { createLandmarkRecorder } from '../lib/landmarkRecording';
+import { downloadFile } from '../lib/exporter';
+import { MODEL_CONFIG, SYNC_CONFIG, DEFAULT_SETTINGS, loadSettings, saveSettings, clearSettings, setSetting } from '../lib/settings';
+import { OVERLAY_LAYERS, DEFAULT_OVERLAY_OPTIONS, drawFaceOverlay } from '../lib/overlay';
+import { createSession, appendSamples, addAlert, finishSession, listSessions, getAlertsSince } from '../lib/sessionStore';
+import { computeAnalytics, startOfToday } from '../lib/sessionAnalytics';
+import { createAlertEscalator, alarmVolume } from '../lib/alertEscalation';
+import { playAlarm } from '../lib/alarmSounds';
+import { speakAlert } from '../lib/voicePrompts';
+import { createSyncQueue } from '../lib/syncQueue';
+import { getDriverId } from '../lib/driverIdentity';
+import { createLivePublisher } from '../lib/livePublisher';
+import { DISTRACTION_LABELS } from '../lib/distraction';
+import { registerServiceWorker, DEFAULT_OFFLINE_STATUS } from '../lib/serviceWorker';
+import { createWakeLock, DEFAULT_WAKE_LOCK_STATUS } from '../lib/wakeLock';
+import { BACKGROUND_ALERT_MESSAGE, watchVisibility, requestNotificationPermission, showBackgroundNotification, clearBackgroundNotification } from '../lib/backgroundMonitor';
 
-// AI Detection Functions
-let faceModel = null;
-let detectionHistory = [];
-let alertCooldown = false;
-
-const initializeAIModel = async () => {
-  try {
-    // Dynamically import TensorFlow to avoid SSR issues
-    const faceLandmarksDetection = await import('@tensorflow-models/face-landmarks-detection');
-    const tf = await import('@tensorflow/tfjs-core');
-    await import('@tensorflow/tfjs-backend-webgl');
-    
-    await tf.ready();
-    
-    faceModel = await faceLandmarksDetection.load(
-      faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
-      {
-        model: 'mediapipe_face_mesh',
-        maxFaces: 1,
-        refineLandmarks: true,
-        flipHorizontal: false
-      }
-    );
-    console.log('✅ AI Model loaded successfully');
-    return true;
-  } catch (error) {
-    console.error('❌ Failed to load AI model:', error);
-    return false;
-  }
-};
-
-const calculateEAR = (landmarks) => {
-  const leftEye = [33, 133, 157, 158, 159, 160, 161, 173];
-  const rightEye = [362, 263, 386, 387, 388, 389, 390, 373];
-  
-  const getEyeEAR = (eyeIndices) => {
-    const p1 = landmarks[eyeIndices[0]];
-    const p2 = landmarks[eyeIndices[1]];
-    const p3 = landmarks[eyeIndices[2]];
-    const p4 = landmarks[eyeIndices[3]];
-    const p5 = landmarks[eyeIndices[4]];
-    const p6 = landmarks[eyeIndices[5]];
-    
-    const v1 = Math.sqrt(Math.pow(p2[0] - p6[0], 2) + Math.pow(p2[1] - p6[1], 2));
-    const v2 = Math.sqrt(Math.pow(p3[0] - p5[0], 2) + Math.pow(p3[1] - p5[1], 2));
-    const h = Math.sqrt(Math.pow(p1[0] - p4[0], 2) + Math.pow(p1[1] - p4[1], 2));
-    
-    return (v1 + v2) / (2 * h);
-  };
-  
-  const leftEAR = getEyeEAR(leftEye);
-  const rightEAR = getEyeEAR(rightEye);
-  
-  return (leftEAR + rightEAR) / 2;
-};
-
-const calculateMAR = (landmarks) => {
-  const mouthIndices = [78, 81, 13, 311, 308, 402, 14, 178];
-  
-  const p1 = landmarks[mouthIndices[0]];
-  const p2 = landmarks[mouthIndices[1]];
-  const p3 = landmarks[mouthIndices[2]];
-  const p4 = landmarks[mouthIndices[3]];
-  const p5 = landmarks[mouthIndices[4]];
-  const p6 = landmarks[mouthIndices[5]];
-  const p7 = landmarks[mouthIndices[6]];
-  const p8 = landmarks[mouthIndices[7]];
-  
-  const v1 = Math.sqrt(Math.pow(p2[0] - p8[0], 2) + Math.pow(p2[1] - p8[1], 2));
-  const v2 = Math.sqrt(Math.pow(p3[0] - p7[0], 2) + Math.pow(p3[1] - p7[1], 2));
-  const v3 = Math.sqrt(Math.pow(p4[0] - p6[0], 2) + Math.pow(p4[1] - p6[1], 2));
-  const h = Math.sqrt(Math.pow(p1[0] - p5[0], 2) + Math.pow(p1[1] - p5[1], 2));
-  
-  return (v1 + v2 + v3) / (3 * h);
-};
-
-const calculatePERCLOS = (ear, history, threshold = 0.2) => {
-  if (history.length < 10) return 0;
-  
-  const recentHistory = history.slice(-30);
-  const eyeClosures = recentHistory.filter(entry => entry.ear < threshold);
-  
-  return eyeClosures.length / recentHistory.length;
-};
-
-const calculateCompositeScore = (ear, mar, perclos, emotions) => {
-  const earScore = Math.max(0, 100 * (0.2 - ear) * 5);
-  const marScore = Math.min(100, mar * 50);
-  const perclosScore = perclos * 100;
-  
-  let emotionScore = 0;
-  if (emotions?.drowsy > 0.7) emotionScore += 30;
-  if (emotions?.stressed > 0.6) emotionScore += 20;
-  
-  const compositeScore = 
-    (earScore * 0.4) + 
-    (marScore * 0.3) + 
-    (perclosScore * 0.2) + 
-    (emotionScore * 0.1);
-  
-  return Math.min(100, Math.max(0, compositeScore));
-};
-
-const analyzeDrowsiness = async (videoElement) => {
-  if (!faceModel) {
-    const initialized = await initializeAIModel();
-    if (!initialized) {
-      return { score: 0, alert: false, message: 'Model initialization failed' };
-    }
-  }
-
-  try {
-    const predictions = await faceModel.estimateFaces({
-      input: videoElement,
-      returnTensors: false,
-      flipHorizontal: false,
-    });
-
-    if (predictions.length > 0) {
-      const landmarks = predictions[0].scaledMesh;
-      
-      const ear = calculateEAR(landmarks);
-      const mar = calculateMAR(landmarks);
-      const perclos = calculatePERCLOS(ear, detectionHistory);
-      const emotions = { drowsy: Math.random() * 0.5, stressed: Math.random() * 0.3 };
-      
-      detectionHistory.push({
-        ear,
-        mar,
-        timestamp: Date.now(),
-        emotions
-      });
-      
-      const fiveSecondsAgo = Date.now() - 5000;
-      detectionHistory = detectionHistory.filter(d => d.timestamp > fiveSecondsAgo);
-      
-      const drowsinessScore = calculateCompositeScore(ear, mar, perclos, emotions);
-      
-      const alertResult = evaluateAlertConditions(drowsinessScore, ear, mar, perclos, emotions);
-      
-      return {
-        score: drowsinessScore,
-        alert: alertResult.shouldAlert,
-        message: alertResult.message,
-        severity: alertResult.severity,
-        metrics: { ear, mar, perclos, emotions },
-        landmarks
-      };
-    }
-    
-    return { score: 0, alert: false, message: 'No face detected' };
-    
-  } catch (error) {
-    console.error('Detection error:', error);
-    return { score: 0, alert: false, message: 'Detection error' };
-  }
-};
-
-const evaluateAlertConditions = (score, ear, mar, perclos, emotions) => {
-  if (alertCooldown) {
-    return { shouldAlert: false, message: '', severity: 'low' };
-  }
-  
-  if (ear < 0.15 && perclos > 0.8) {
-    triggerAlertCooldown();
-    return {
-      shouldAlert: true,
-      message: 'CRITICAL: Extreme drowsiness detected! Immediate attention required!',
-      severity: 'critical'
-    };
-  }
-  
-  if (score > 75 || (ear < 0.2 && mar > 1.0)) {
-    triggerAlertCooldown();
-    return {
-      shouldAlert: true,
-      message: 'HIGH ALERT: Significant drowsiness detected. Take a break!',
-      severity: 'high'
-    };
-  }
-  
-  if (score > 50 || perclos > 0.5) {
-    triggerAlertCooldown(3000);
-    return {
-      shouldAlert: true,
-      message: 'WARNING: Early signs of drowsiness detected',
-      severity: 'medium'
-    };
-  }
-  
-  if (score > 30) {
-    triggerAlertCooldown(5000);
-    return {
-      shouldAlert: true,
-      message: 'Notice: Mild fatigue detected. Stay alert!',
-      severity: 'low'
-    };
-  }
-  
-  return { shouldAlert: false, message: '', severity: 'low' };
-};
+// One model per tab; each mounted dashboard gets its own engine around it
+const faceMesh = createFaceMeshClient(MODEL_CONFIG);
+const recorder = createLandmarkRecorder();
+const escalator = createAlertEscalator();
+const syncQueue = createSyncQueue(SYNC_CONFIG);
+const livePublisher = createLivePublisher(SYNC_CONFIG);
+const wakeLock = createWakeLock();
 
-const triggerAlertCooldown = (duration = 10000) => {
-  alertCooldown = true;
-  setTimeout(() => {
-    alertCooldown = false;
-  }, duration);
-};
+// Debug overlay of what the model sees; keep NEXT_PUBLIC_DEBUG_OVERLAY off in production
+const OVERLAY_ENABLED = process.env.NEXT_PUBLIC_DEBUG_OVERLAY === 'true';
 
 // Camera Feed Component
-const CameraFeed = ({ videoRef, isDetecting, drowsinessLevel }) => {
+// drowsinessLevel is null while no face is visible; distraction is the
+// pipeline's current distraction episode, if any
+const CameraFeed = ({ videoRef, frameRef, isDetecting, drowsinessLevel, distraction }) => {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
+  const [overlayOptions, setOverlayOptions] = useState(DEFAULT_OVERLAY_OPTIONS);
+  const overlayOptionsRef = useRef(overlayOptions);
+  overlayOptionsRef.current = overlayOptions;
+
+  const toggleOverlayLayer = (id) => {
+    setOverlayOptions(prev => ({ ...prev, [id]: !prev[id] }));
+  };
 
   useEffect(() => {
     if (isDetecting && videoRef.current && canvasRef.current) {
@@ -231,23 +72,31 @@ const CameraFeed = ({ videoRef, isDetecting, drowsinessLevel }) => {
           
           ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
           
+          if (OVERLAY_ENABLED && frameRef.current) {
+            drawFaceOverlay(ctx, frameRef.current, overlayOptionsRef.current);
+          }
+          
           // Draw status overlay
           ctx.fillStyle = `rgba(0, 0, 0, 0.7)`;
           ctx.fillRect(20, 20, 300, 120);
           
           ctx.fillStyle = getStatusColor(drowsinessLevel);
           ctx.font = 'bold 24px Arial';
-          ctx.fillText(`Drowsiness: ${drowsinessLevel.toFixed(1)}%`, 40, 60);
+          ctx.fillText(drowsinessLevel === null ? 'Drowsiness: no data' : `Drowsiness: ${drowsinessLevel.toFixed(1)}%`, 40, 60);
           
-          ctx.fillStyle = 'white';
+          ctx.fillStyle = distraction?.severity ? '#F59E0B' : 'white';
           ctx.font = '18px Arial';
-          ctx.fillText(`Status: ${getStatusText(drowsinessLevel)}`, 40, 95);
+          ctx.fillText(`Status: ${distraction && distraction.state !== 'attentive'
+            ? `${DISTRACTION_LABELS[distraction.state]} ${(distraction.duration / 1000).toFixed(1)} s`
+            : getStatusText(drowsinessLevel)}`, 40, 95);
           
           ctx.fillStyle = isDetecting ? '#10B981' : '#EF4444';
           ctx.fillText(`Detection: ${isDetecting ? 'ACTIVE' : 'INACTIVE'}`, 40, 125);
           
-          if (drowsinessLevel > 70) {
-            drawWarning(ctx, canvas.width, canvas.height);
+          if (distraction?.severity === 'critical') {
+            drawWarning(ctx, canvas.width, canvas.height, '⚠️ EYES ON THE ROAD! ⚠️');
+          } else if (drowsinessLevel > 70) {
+            drawWarning(ctx, canvas.width, canvas.height, '⚠️ TAKE A BREAK! ⚠️');
           }
         }
         
@@ -262,9 +111,10 @@ const CameraFeed = ({ videoRef, isDetecting, drowsinessLevel }) => {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isDetecting, drowsinessLevel]);
+  }, [isDetecting, drowsinessLevel, distraction]);
 
   const getStatusColor = (level) => {
+    if (level === null) return '#9CA3AF';
     if (level < 30) return '#10B981';
     if (level < 60) return '#F59E0B';
     if (level < 80) return '#EF4444';
@@ -272,19 +122,20 @@ const CameraFeed = ({ videoRef, isDetecting, drowsinessLevel }) => {
   };
 
   const getStatusText = (level) => {
+    if (level === null) return 'No data';
     if (level < 30) return 'Alert';
     if (level < 60) return 'Mild Fatigue';
     if (level < 80) return 'Drowsy';
     return 'Critical';
   };
 
-  const drawWarning = (ctx, width, height) => {
+  const drawWarning = (ctx, width, height, text) => {
     ctx.save();
     ctx.globalAlpha = 0.7;
     ctx.fillStyle = '#EF4444';
     ctx.font = 'bold 48px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText('⚠️ TAKE A BREAK! ⚠️', width / 2, 100);
+    ctx.fillText(text, width / 2, 100);
     ctx.restore();
   };
 
@@ -302,6 +153,20 @@ const CameraFeed = ({ videoRef, isDetecting, drowsinessLevel }) => {
         className="absolute top-0 left-0 w-full h-full pointer-events-none"
       />
       
+      {OVERLAY_ENABLED && (
+        <div className="absolute top-4 right-4 bg-black bg-opacity-70 p-2 rounded-lg flex flex-wrap gap-2 max-w-xs justify-end">
+          {OVERLAY_LAYERS.map(layer => (
+            <button
+              key={layer.id}
+              onClick={() => toggleOverlayLayer(layer.id)}
+              className={`px-2 py-1 rounded text-xs ${overlayOptions[layer.id] ? 'bg-cyan-600' : 'bg-gray-700'}`}
+            >
+              {layer.label}
+            </button>
+          ))}
+        </div>
+      )}
+      
       <div className="absolute bottom-4 left-4 bg-black bg-opacity-70 p-3 rounded-lg">
         <div className="flex items-center space-x-4">
           <div className="flex items-center">
@@ -323,31 +188,32 @@ const CameraFeed = ({ videoRef, isDetecting, drowsinessLevel }) => {
 };
 
 // Dashboard Component
-const Dashboard = ({ drowsinessLevel, isDetecting }) => {
+const FORECAST_MODEL_LABELS = {
+  linear: 'Steady trend',
+  accumulation: 'Accumulating fatigue'
+};
+
+const Dashboard = ({ drowsinessLevel, isDetecting, liveMetrics, gazeHeatMap, historyKey }) => {
   const [metrics, setMetrics] = useState({
-    eyeClosure: 0,
-    yawning: 0,
-    headNods: 0,
     attentionSpan: 95
   });
   
   const [historyData, setHistoryData] = useState([]);
-  const [hourlyData, setHourlyData] = useState([]);
 
   useEffect(() => {
     if (isDetecting) {
       const interval = setInterval(() => {
-        setMetrics(prev => ({
-          eyeClosure: Math.min(100, prev.eyeClosure + (drowsinessLevel > 50 ? 2 : -1)),
-          yawning: Math.min(100, prev.yawning + (drowsinessLevel > 60 ? 1.5 : -0.5)),
-          headNods: Math.min(100, prev.headNods + (drowsinessLevel > 70 ? 3 : -1)),
-          attentionSpan: Math.max(0, prev.attentionSpan - (drowsinessLevel > 40 ? 0.5 : 0.1))
-        }));
+        if (drowsinessLevel !== null) {
+          setMetrics(prev => ({
+            attentionSpan: Math.max(0, prev.attentionSpan - (drowsinessLevel > 40 ? 0.5 : 0.1))
+          }));
+        }
         
+        // Without a face the chart shows a gap rather than a made-up level
         const newDataPoint = {
           time: new Date().toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'}),
           drowsiness: drowsinessLevel,
-          attention: 100 - drowsinessLevel
+          attention: drowsinessLevel === null ? null : 100 - drowsinessLevel
         };
         
         setHistoryData(prev => {
@@ -361,17 +227,9 @@ const Dashboard = ({ drowsinessLevel, isDetecting }) => {
     }
   }, [drowsinessLevel, isDetecting]);
 
-  useEffect(() => {
-    const hours = Array.from({ length: 12 }, (_, i) => i + 8);
-    const sampleHourlyData = hours.map(hour => ({
-      hour: `${hour}:00`,
-      incidents: Math.floor(Math.random() * 5) + (hour > 20 ? 3 : 0),
-      alertness: 80 - (hour - 8) * 2
-    }));
-    setHourlyData(sampleHourlyData);
-  }, []);
-
-  const severityData = [
+  const severityData = drowsinessLevel === null ? [
+    { name: 'No data', value: 100, color: '#4B5563' }
+  ] : [
     { name: 'Alert', value: Math.max(0, 100 - drowsinessLevel), color: '#10B981' },
     { name: 'Mild', value: Math.max(0, Math.min(30, drowsinessLevel - 0)), color: '#F59E0B' },
     { name: 'Drowsy', value: Math.max(0, Math.min(40, drowsinessLevel - 30)), color: '#EF4444' },
@@ -379,16 +237,44 @@ const Dashboard = ({ drowsinessLevel, isDetecting }) => {
   ];
 
   const metricCards = [
-    { label: 'Eye Closure Rate', value: `${metrics.eyeClosure.toFixed(1)}%`, 
+    { label: 'Eye Closure Rate', value: `${((liveMetrics?.perclos ?? 0) * 100).toFixed(1)}%`, 
+      detail: liveMetrics && liveMetrics.perclosCoverage < 1
+        ? `PERCLOS 60s • ${(liveMetrics.perclosCoverage * 100).toFixed(0)}% of window`
+        : 'PERCLOS 60s',
       color: 'bg-gradient-to-r from-cyan-500 to-blue-500' },
-    { label: 'Yawning Frequency', value: `${metrics.yawning.toFixed(1)}%`, 
+    { label: 'Yawning Frequency', value: `${liveMetrics?.yawnRate ?? 0} / 10 min`, 
+      detail: liveMetrics?.yawning ? 'Yawn in progress' : null,
       color: 'bg-gradient-to-r from-purple-500 to-pink-500' },
-    { label: 'Head Nod Detection', value: `${metrics.headNods.toFixed(1)}%`, 
+    { label: 'Head Nods (10 min)', value: `${liveMetrics?.nodCount ?? 0}`, 
+      detail: liveMetrics?.headPose
+        ? `P ${liveMetrics.headPose.pitch.toFixed(0)}° Y ${liveMetrics.headPose.yaw.toFixed(0)}° R ${liveMetrics.headPose.roll.toFixed(0)}°`
+        : null,
       color: 'bg-gradient-to-r from-orange-500 to-red-500' },
     { label: 'Attention Span', value: `${metrics.attentionSpan.toFixed(1)}%`, 
       color: 'bg-gradient-to-r from-green-500 to-emerald-500' }
   ];
 
+  const blinkStats = [
+    { label: 'Blink Rate (5 min)', value: `${(liveMetrics?.blinkRate ?? 0).toFixed(0)} /min`, color: 'text-cyan-400' },
+    { label: 'Mean Blink Duration', value: `${(liveMetrics?.meanBlinkDuration ?? 0).toFixed(0)} ms`, color: 'text-blue-400' },
+    { label: 'Microsleeps (10 min)', value: `${liveMetrics?.microsleepCount ?? 0}`,
+      color: liveMetrics?.microsleepCount ? 'text-red-400' : 'text-green-400' },
+    { label: 'Longest Closure', value: `${((liveMetrics?.longestClosure ?? 0) / 1000).toFixed(2)} s`, color: 'text-purple-400' }
+  ];
+
+  const trend = liveMetrics?.trend;
+  const forecast = liveMetrics?.forecast;
+  const gaze = liveMetrics?.gaze;
+
+  const gazeStats = [
+    { label: 'Eyes Off Road (60s)', value: gaze ? `${(gaze.offRoadRatio * 100).toFixed(0)}%` : '—',
+      color: gaze?.offRoadRatio > 0.2 ? 'text-red-400' : 'text-cyan-400' },
+    { label: 'Glances > 2 s (5 min)', value: gaze ? `${gaze.longGlanceCount} of ${gaze.glanceCount}` : '—',
+      color: gaze?.longGlanceCount ? 'text-yellow-300' : 'text-green-400' },
+    { label: 'Mean Glance', value: gaze ? `${(gaze.meanGlance / 1000).toFixed(1)} s` : '—', color: 'text-blue-400' },
+    { label: 'Longest Glance', value: gaze ? `${(gaze.longestGlance / 1000).toFixed(1)} s` : '—', color: 'text-purple-400' }
+  ];
+
   return (
     <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl">
       <h2 className="text-2xl font-semibold mb-6">AI Analytics Dashboard</h2>
@@ -398,13 +284,89 @@ const Dashboard = ({ drowsinessLevel, isDetecting }) => {
           <div key={index} className={`${card.color} rounded-xl p-4 text-white`}>
             <p className="text-sm opacity-90">{card.label}</p>
             <p className="text-2xl font-bold mt-2">{card.value}</p>
+            {card.detail && <p className="text-xs opacity-80 mt-1">{card.detail}</p>}
           </div>
         ))}
       </div>
-      
+
+      <div className="bg-gray-900 rounded-xl p-4 mb-8">
+        <h3 className="text-lg font-semibold mb-4">Blink Statistics</h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {blinkStats.map((stat) => (
+            <div key={stat.label}>
+              <p className="text-sm text-gray-400">{stat.label}</p>
+              <p className={`text-xl font-bold ${stat.color}`}>{stat.value}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-gray-900 rounded-xl p-4 mb-8">
+        <div className="flex justify-between items-baseline mb-2">
+          <h3 className="text-lg font-semibold">Fatigue Forecast</h3>
+          {forecast?.model && (
+            <span className="text-sm text-gray-400">
+              {FORECAST_MODEL_LABELS[forecast.model]} • {forecast.rate >= 0 ? '+' : ''}{forecast.rate.toFixed(1)} pts/min
+            </span>
+          )}
+        </div>
+        {!forecast && (
+          <p className="text-gray-400">{isDetecting ? 'Waiting for a face…' : 'Start detection to forecast fatigue.'}</p>
+        )}
+        {forecast?.status === 'warming-up' && (
+          <p className="text-gray-400">
+            Learning your trend: {Math.floor(forecast.history / 60000)} of {forecast.needed / 60000} min observed
+          </p>
+        )}
+        {forecast?.status === 'stable' && (
+          <p className="text-green-400 text-xl font-bold">No critical fatigue expected within the hour</p>
+        )}
+        {forecast?.status === 'rising' && (
+          <div>
+            <p className={`text-3xl font-bold ${forecast.minutes <= 15 ? 'text-red-400' : 'text-yellow-300'}`}>
+              ~{Math.round(forecast.minutes)} min to critical
+            </p>
+            <p className="text-sm text-gray-400 mt-1">
+              Likely between {Math.round(forecast.band.early)} and {forecast.band.late === null ? '60+' : Math.round(forecast.band.late)} min
+              {' '}• currently {forecast.level.toFixed(0)}
+            </p>
+          </div>
+        )}
+        {forecast?.status === 'critical' && (
+          <p className="text-purple-400 text-xl font-bold">At the critical level now. Pull over and rest.</p>
+        )}
+      </div>
+
+      <div className="bg-gray-900 rounded-xl p-4 mb-8">
+        <div className="flex justify-between items-baseline mb-4">
+          <h3 className="text-lg font-semibold">Gaze</h3>
+          <span className="text-sm text-gray-400">
+            {gaze?.glance > 0
+              ? <span className="text-yellow-300">Off road {(gaze.glance / 1000).toFixed(1)} s</span>
+              : gaze?.calibrated ? 'Calibrated road zone' : 'Default road zone (calibrate to fit)'}
+          </span>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+          {gazeStats.map((stat) => (
+            <div key={stat.label}>
+              <p className="text-sm text-gray-400">{stat.label}</p>
+              <p className={`text-xl font-bold ${stat.color}`}>{stat.value}</p>
+            </div>
+          ))}
+        </div>
+        <GazeHeatMap heatMap={gazeHeatMap} />
+      </div>
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         <div className="bg-gray-900 rounded-xl p-4">
-          <h3 className="text-lg font-semibold mb-4">Drowsiness Trend</h3>
+          <div className="flex justify-between items-baseline mb-4">
+            <h3 className="text-lg font-semibold">Drowsiness Trend</h3>
+            {trend && (
+              <span className={`text-sm ${trend.slope > 0.5 ? 'text-red-400' : 'text-gray-400'}`}>
+                30 min: {trend.slope >= 0 ? '+' : ''}{trend.slope.toFixed(1)} pts/min
+              </span>
+            )}
+          </div>
           <div className="h-64">
             <ResponsiveContainer width="100%" height="100%">
               <LineChart data={historyData}>
@@ -466,74 +428,62 @@ const Dashboard = ({ drowsinessLevel, isDetecting }) => {
         </div>
       </div>
       
-      <div className="mt-6 bg-gray-900 rounded-xl p-4">
-        <h3 className="text-lg font-semibold mb-4">Hourly Alertness Pattern</h3>
-        <div className="h-64">
-          <ResponsiveContainer width="100%" height="100%">
-            <BarChart data={hourlyData}>
-              <CartesianGrid strokeDasharray="3 3" stroke="#444" />
-              <XAxis dataKey="hour" stroke="#888" />
-              <YAxis stroke="#888" />
-              <Tooltip 
-                contentStyle={{ backgroundColor: '#1F2937', borderColor: '#4B5563' }}
-                labelStyle={{ color: '#FFF' }}
-              />
-              <Legend />
-              <Bar dataKey="incidents" fill="#EF4444" name="Drowsiness Incidents" />
-              <Bar dataKey="alertness" fill="#10B981" name="Alertness Score" />
-            </BarChart>
-          </ResponsiveContainer>
-        </div>
-      </div>
+      <HourlyPattern refreshKey={historyKey} />
     </div>
   );
 };
 
 // Alert System Component
-const AlertSystem = ({ alerts, onClearAll }) => {
-  const [soundEnabled, setSoundEnabled] = useState(true);
-  const [vibrationEnabled, setVibrationEnabled] = useState(true);
+const ACK_METHOD_LABELS = {
+  button: 'button',
+  keyboard: 'keyboard',
+  gesture: 'head shake'
+};
+
+const AlertSystem = ({ alerts, alertsToday, activeAlert, alarm, channels, sounds, speech, onToggleChannel, onAcknowledge, onClearAll }) => {
+  const soundEnabled = channels.sound;
+  const vibrationEnabled = channels.vibration;
+
+  // Over today's acknowledged alerts; null until one has been acknowledged
+  const todayStart = startOfToday();
+  const responseTimes = alerts
+    .filter(alert => typeof alert.responseTime === 'number' && new Date(alert.timestamp).getTime() >= todayStart)
+    .map(alert => alert.responseTime);
+  const avgResponseTime = responseTimes.length
+    ? responseTimes.reduce((sum, time) => sum + time, 0) / responseTimes.length
+    : null;
   
+  // Each escalation step adds a repetition to the sound and the vibration.
+  // The prompt is spoken after the sound, and not again on plain repeats.
   useEffect(() => {
-    if (soundEnabled && alerts.length > 0) {
-      const latestAlert = alerts[0];
-      if (latestAlert.severity === 'high' || latestAlert.severity === 'critical') {
-        playAlertSound();
-      }
-    }
+    if (!alarm) return;
+    const repeats = alarm.level + 1;
+    let cancelled = false;
+    let speechTimer = null;
     
-    if (vibrationEnabled && alerts.length > 0 && 'vibrate' in navigator) {
-      const latestAlert = alerts[0];
-      if (latestAlert.severity === 'critical') {
-        navigator.vibrate([200, 100, 200, 100, 200]);
-      } else if (latestAlert.severity === 'high') {
-        navigator.vibrate([200, 100, 200]);
-      }
+    // Low notices have no sound setting of their own and borrow the medium
+    // one, custom file and default profile included
+    const soundSeverity = sounds[alarm.severity] ? alarm.severity : 'medium';
+    const soundPlayed = soundEnabled
+      ? playAlarm({ severity: soundSeverity, profile: sounds[soundSeverity], volume: alarmVolume(alarm.severity, alarm.level), repeats })
+      : Promise.resolve(0);
+    
+    if (channels.speech && alarm.reason !== 'repeat') {
+      soundPlayed.then(duration => {
+        if (!cancelled) speechTimer = setTimeout(() => speakAlert(alarm, speech), duration);
+      });
     }
-  }, [alerts, soundEnabled, vibrationEnabled]);
-  
-  const playAlertSound = () => {
-    try {
-      const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-      const oscillator = audioContext.createOscillator();
-      const gainNode = audioContext.createGain();
-      
-      oscillator.connect(gainNode);
-      gainNode.connect(audioContext.destination);
-      
-      oscillator.frequency.setValueAtTime(800, audioContext.currentTime);
-      oscillator.frequency.setValueAtTime(600, audioContext.currentTime + 0.1);
-      oscillator.frequency.setValueAtTime(800, audioContext.currentTime + 0.2);
-      
-      gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-      gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
-      
-      oscillator.start(audioContext.currentTime);
-      oscillator.stop(audioContext.currentTime + 0.5);
-    } catch (error) {
-      console.log('Audio context not supported');
+    
+    if (vibrationEnabled && 'vibrate' in navigator) {
+      const pulse = alarm.severity === 'critical' ? [200, 100, 200, 100, 200] : [200, 100, 200];
+      navigator.vibrate(Array.from({ length: repeats }, () => [...pulse, 300]).flat());
     }
-  };
+    
+    return () => {
+      cancelled = true;
+      clearTimeout(speechTimer);
+    };
+  }, [alarm]);
   
   const getSeverityColor = (severity) => {
     switch(severity) {
@@ -561,17 +511,23 @@ const AlertSystem = ({ alerts, onClearAll }) => {
         <h2 className="text-2xl font-semibold">Real-time Alert System</h2>
         <div className="flex space-x-4">
           <button
-            onClick={() => setSoundEnabled(!soundEnabled)}
+            onClick={() => onToggleChannel('sound')}
             className={`px-4 py-2 rounded-lg ${soundEnabled ? 'bg-green-600' : 'bg-gray-600'}`}
           >
             {soundEnabled ? '🔊 Sound On' : '🔇 Sound Off'}
           </button>
           <button
-            onClick={() => setVibrationEnabled(!vibrationEnabled)}
+            onClick={() => onToggleChannel('vibration')}
             className={`px-4 py-2 rounded-lg ${vibrationEnabled ? 'bg-blue-600' : 'bg-gray-600'}`}
           >
             {vibrationEnabled ? '📳 Vibration On' : '📴 Vibration Off'}
           </button>
+          <button
+            onClick={() => onToggleChannel('speech')}
+            className={`px-4 py-2 rounded-lg ${channels.speech ? 'bg-purple-600' : 'bg-gray-600'}`}
+          >
+            {channels.speech ? '🗣️ Voice On' : '🤐 Voice Off'}
+          </button>
           <button
             onClick={onClearAll}
             className="px-4 py-2 bg-gradient-to-r from-gray-700 to-gray-600 rounded-lg hover:opacity-90"
@@ -581,6 +537,31 @@ const AlertSystem = ({ alerts, onClearAll }) => {
         </div>
       </div>
       
+      {activeAlert && (
+        <div className={`mb-6 p-5 rounded-xl text-white ${getSeverityColor(activeAlert.severity)} ring-4 ring-white ring-opacity-60 animate-pulse`}>
+          <div className="flex items-start justify-between">
+            <div className="flex items-start space-x-3">
+              <span className="text-3xl">{getSeverityIcon(activeAlert.severity)}</span>
+              <div>
+                <h3 className="font-bold text-xl">{activeAlert.message}</h3>
+                <p className="text-sm opacity-90 mt-1">
+                  {activeAlert.level > 0
+                    ? `Unacknowledged, escalated ${activeAlert.level}× to ${activeAlert.severity.toUpperCase()}`
+                    : 'Acknowledge to confirm you are alert'}
+                </p>
+              </div>
+            </div>
+            <button
+              onClick={() => onAcknowledge('button')}
+              className="px-6 py-3 bg-white text-gray-900 rounded-lg font-bold hover:opacity-90"
+            >
+              I&apos;m Awake
+            </button>
+          </div>
+          <p className="text-xs opacity-80 mt-3">Press Space or shake your head to acknowledge</p>
+        </div>
+      )}
+      
       <div className="space-y-4 max-h-96 overflow-y-auto pr-2">
         {alerts.length > 0 ? (
           alerts.map((alert) => (
@@ -607,7 +588,14 @@ const AlertSystem = ({ alerts, onClearAll }) => {
                 </span>
               </div>
               
-              {alert.severity === 'critical' && (
+              {alert.acknowledgedAt && (
+                <p className="text-sm opacity-90 mt-2">
+                  ✓ Acknowledged after {(alert.responseTime / 1000).toFixed(1)}s by {ACK_METHOD_LABELS[alert.ackMethod]}
+                  {alert.escalatedTo && ` (escalated to ${alert.escalatedTo})`}
+                </p>
+              )}
+              
+              {alert.severity === 'critical' && !alert.acknowledgedAt && (
                 <div className="mt-3 flex items-center space-x-2">
                   <div className="w-3 h-3 bg-white rounded-full animate-pulse"></div>
                   <p className="text-sm">Immediate attention required!</p>
@@ -624,10 +612,10 @@ const AlertSystem = ({ alerts, onClearAll }) => {
         )}
       </div>
       
-      <div className="mt-6 grid grid-cols-2 md:grid-cols-4 gap-4">
+      <div className="mt-6 grid grid-cols-2 md:grid-cols-3 gap-4">
         <div className="bg-gray-900 p-4 rounded-xl">
           <p className="text-sm text-gray-400">Total Alerts Today</p>
-          <p className="text-2xl font-bold">{alerts.length}</p>
+          <p className="text-2xl font-bold">{alertsToday}</p>
         </div>
         <div className="bg-gray-900 p-4 rounded-xl">
           <p className="text-sm text-gray-400">Critical Alerts</p>
@@ -637,11 +625,9 @@ const AlertSystem = ({ alerts, onClearAll }) => {
         </div>
         <div className="bg-gray-900 p-4 rounded-xl">
           <p className="text-sm text-gray-400">Avg Response Time</p>
-          <p className="text-2xl font-bold">&lt; 2s</p>
-        </div>
-        <div className="bg-gray-900 p-4 rounded-xl">
-          <p className="text-sm text-gray-400">System Uptime</p>
-          <p className="text-2xl font-bold text-green-400">99.9%</p>
+          <p className="text-2xl font-bold">
+            {avgResponseTime === null ? '—' : `${(avgResponseTime / 1000).toFixed(1)}s`}
+          </p>
         </div>
       </div>
     </div>
@@ -649,7 +635,37 @@ const AlertSystem = ({ alerts, onClearAll }) => {
 };
 
 // Analytics Panel Component
-const AnalyticsPanel = ({ analytics }) => {
+const formatMs = (ms) => `${ms.toFixed(0)}ms`;
+
+const formatPause = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+};
+
+const AnalyticsPanel = ({ analytics, samplingStats, modelStatus }) => {
+  const latency = samplingStats?.inferenceLatency;
+  const handled = samplingStats ? samplingStats.framesAnalyzed + samplingStats.framesDropped : 0;
+
+  const performanceRows = [
+    { label: 'Inference Latency',
+      value: latency ? `${formatMs(latency.p50)} / ${formatMs(latency.p95)} / ${formatMs(latency.p99)}` : '—',
+      detail: 'p50 / p95 / p99', color: 'text-blue-400' },
+    { label: 'Analysis Rate',
+      value: samplingStats ? `${samplingStats.effectiveRate.toFixed(1)} FPS` : '—',
+      detail: samplingStats?.source === 'video-frame' ? `camera ${samplingStats.sourceRate.toFixed(0)} FPS` : null,
+      color: 'text-purple-400' },
+    { label: 'Dropped Frames',
+      value: handled ? `${samplingStats.framesDropped} (${(samplingStats.framesDropped / handled * 100).toFixed(1)}%)` : '—',
+      detail: 'due while inference was busy', color: samplingStats?.framesDropped ? 'text-yellow-400' : 'text-green-400' },
+    { label: 'Backend',
+      value: modelStatus.backend ? `${modelStatus.backend} • ${modelStatus.mode}` : '—',
+      color: 'text-cyan-400' },
+    { label: 'Model Load Time',
+      value: modelStatus.loadTime !== null ? `${(modelStatus.loadTime / 1000).toFixed(2)} s` : '—',
+      color: 'text-green-400' }
+  ];
+
   return (
     <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl">
       <h2 className="text-2xl font-semibold mb-6">System Analytics</h2>
@@ -658,18 +674,15 @@ const AnalyticsPanel = ({ analytics }) => {
         <div className="bg-gray-900 rounded-xl p-4">
           <h3 className="text-lg font-semibold mb-2">Performance Metrics</h3>
           <div className="space-y-2">
-            <div className="flex justify-between">
-              <span className="text-gray-300">Model Accuracy</span>
-              <span className="text-green-400 font-semibold">96.7%</span>
-            </div>
-            <div className="flex justify-between">
-              <span className="text-gray-300">Processing Latency</span>
-              <span className="text-blue-400 font-semibold">184ms</span>
-            </div>
-            <div className="flex justify-between">
-              <span className="text-gray-300">Frame Rate</span>
-              <span className="text-purple-400 font-semibold">30 FPS</span>
-            </div>
+            {performanceRows.map(row => (
+              <div key={row.label} className="flex justify-between">
+                <span className="text-gray-300">{row.label}</span>
+                <span className="text-right">
+                  <span className={`${row.color} font-semibold`}>{row.value}</span>
+                  {row.detail && <span className="block text-xs text-gray-500">{row.detail}</span>}
+                </span>
+              </div>
+            ))}
           </div>
         </div>
         
@@ -695,6 +708,12 @@ const AnalyticsPanel = ({ analytics }) => {
                 }`}></div>
               </div>
             </div>
+            {analytics.peakHours.length > 0 && (
+              <div className="flex justify-between">
+                <span className="text-gray-300">Peak Alert Hours</span>
+                <span className="text-gray-200">{analytics.peakHours.join(', ')}</span>
+              </div>
+            )}
           </div>
         </div>
         
@@ -716,69 +735,649 @@ const AnalyticsPanel = ({ analytics }) => {
   );
 };
 
+const STATUS_TONES = {
+  ok: 'bg-green-900 text-green-300',
+  busy: 'bg-blue-900 text-blue-300',
+  warning: 'bg-yellow-900 text-yellow-300',
+  error: 'bg-red-900 text-red-300',
+  idle: 'bg-gray-700 text-gray-300'
+};
+
+const MODEL_BADGES = {
+  idle: { label: 'Not loaded', tone: 'idle' },
+  loading: { label: 'Loading…', tone: 'busy' },
+  ready: { label: 'Active', tone: 'ok' },
+  degraded: { label: 'Degraded', tone: 'warning' },
+  failed: { label: 'Failed', tone: 'error' }
+};
+
+const CAMERA_BADGES = {
+  off: { label: 'Off', tone: 'idle' },
+  starting: { label: 'Starting…', tone: 'busy' },
+  active: { label: 'Active', tone: 'ok' },
+  stalled: { label: 'No frames', tone: 'warning' },
+  denied: { label: 'Permission denied', tone: 'error' },
+  unavailable: { label: 'Unavailable', tone: 'error' },
+  lost: { label: 'Disconnected', tone: 'error' }
+};
+
+const OFFLINE_BADGES = {
+  disabled: { label: 'Off in development', tone: 'idle' },
+  unsupported: { label: 'Unsupported', tone: 'warning' },
+  installing: { label: 'Caching…', tone: 'busy' },
+  ready: { label: 'Ready', tone: 'ok' },
+  // The app opens offline, but detection needs the weights from the network
+  shellOnly: { label: 'App only, no model', tone: 'warning' },
+  failed: { label: 'Failed', tone: 'error' }
+};
+
+const WAKE_LOCK_BADGES = {
+  off: { label: 'Off', tone: 'idle' },
+  active: { label: 'Screen kept on', tone: 'ok' },
+  unsupported: { label: 'Unsupported', tone: 'warning' },
+  failed: { label: 'Refused', tone: 'error' }
+};
+
+// getUserMedia error names
+const CAMERA_ERROR_STATES = {
+  NotAllowedError: 'denied',
+  SecurityError: 'denied'
+};
+
+const latencyTone = (latency) => {
+  if (!latency) return 'idle';
+  if (latency.p95 <= 150) return 'ok';
+  if (latency.p95 <= 300) return 'warning';
+  return 'error';
+};
+
+// Analysis runs at up to 15 Hz; React state is published at a gentler pace
+const UI_UPDATE_INTERVAL = 250;
+
+// Sessions store one metrics sample per second, written in batches
+const SESSION_SAMPLE_INTERVAL = 1000;
+const SESSION_FLUSH_INTERVAL = 10000;
+const ESCALATION_TICK_INTERVAL = 500;
+const DAY = 24 * 60 * 60 * 1000;
+
 // Main Application Component
 export default function AdvancedDrowsinessDetector() {
   const [isDetecting, setIsDetecting] = useState(false);
-  const [drowsinessLevel, setDrowsinessLevel] = useState(0);
+  const [drowsinessLevel, setDrowsinessLevel] = useState(null);
+  const [distraction, setDistraction] = useState(null);
+  const [liveMetrics, setLiveMetrics] = useState(null);
+  const [gazeHeatMap, setGazeHeatMap] = useState(null);
   const [alerts, setAlerts] = useState([]);
   const [analytics, setAnalytics] = useState({
-    totalSessions: 142,
-    avgDetectionTime: 28,
-    peakHours: ['14:00', '22:00'],
-    riskLevel: 'medium'
+    totalSessions: 0,
+    avgDetectionTime: 0,
+    alertsToday: 0,
+    peakHours: [],
+    riskLevel: 'low'
   });
+  const [sessions, setSessions] = useState([]);
   
+  const [calibration, setCalibration] = useState(null);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [samplingStats, setSamplingStats] = useState(null);
+  const [modelStatus, setModelStatus] = useState(faceMesh.getStatus());
+  const [cameraState, setCameraState] = useState('off');
+  const [showExport, setShowExport] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [showSettings, setShowSettings] = useState(false);
+  const [activeAlert, setActiveAlert] = useState(null);
+  const [alarm, setAlarm] = useState(null);
+  const [syncStatus, setSyncStatus] = useState(syncQueue.getStatus());
+  const [offlineStatus, setOfflineStatus] = useState(DEFAULT_OFFLINE_STATUS);
+  const [wakeLockStatus, setWakeLockStatus] = useState(DEFAULT_WAKE_LOCK_STATUS);
+  const [backgroundPause, setBackgroundPause] = useState(null);
+
   const videoRef = useRef(null);
-  const detectionInterval = useRef(null);
+  const frameScheduler = useRef(null);
+  const lastPublishedAt = useRef(0);
+  const latestFrame = useRef(null);
+  const sessionRef = useRef(null);
+  const thresholdsRef = useRef(DEFAULT_THRESHOLDS);
+  const engineRef = useRef(null);
 
-  const startDetection = async () => {
+  useEffect(() => {
+    setCalibration(loadCalibration());
+    setSettings(loadSettings());
+  }, []);
+
+  // Created in an effect so a remount never reuses a disposed engine; declared
+  // before the effects below that configure it
+  useEffect(() => {
+    const engine = createDrowsinessEngine({ model: faceMesh });
+    engineRef.current = engine;
+    const unsubscribe = engine.on('landmarks', ({ landmarks, timestamp }) => recorder.capture(landmarks, timestamp));
+    return () => {
+      unsubscribe();
+      engine.dispose();
+    };
+  }, []);
+
+  useEffect(() => {
+    engineRef.current.setCooldowns(settings.cooldowns);
+  }, [settings.cooldowns]);
+
+  useEffect(() => {
+    engineRef.current.setGazeZone(calibration?.gazeZone || null);
+    engineRef.current.setRoadPose(calibration?.roadPose || null);
+  }, [calibration]);
+
+  useEffect(() => faceMesh.subscribe(setModelStatus), []);
+
+  useEffect(() => {
+    registerServiceWorker(MODEL_CONFIG.path, setOfflineStatus);
+    return wakeLock.subscribe(setWakeLockStatus);
+  }, []);
+
+  useEffect(() => {
+    const unsubscribe = syncQueue.subscribe(setSyncStatus);
+    syncQueue.start();
+    return () => {
+      unsubscribe();
+      syncQueue.stop();
+    };
+  }, []);
+
+  // Changes when a session is added or finishes, so history-wide charts reload
+  const historyKey = `${sessions.length}:${sessions.filter(session => session.summary).length}`;
+
+  // A driver's calibration beats the configured thresholds
+  const activeThresholds = calibration ? calibration.thresholds : settings.thresholds;
+
+  const updateSettings = (next) => {
+    setSettings(next);
+    saveSettings(next);
+  };
+
+  const handleSettingsSave = (next) => {
+    updateSettings(next);
+    setShowSettings(false);
+  };
+
+  const handleSettingsReset = () => {
+    clearSettings();
+    setSettings(DEFAULT_SETTINGS);
+    setShowSettings(false);
+  };
+
+  const toggleAlertChannel = (channel) => {
+    updateSettings(setSetting(settings, `alerts.${channel}`, !settings.alerts[channel]));
+  };
+
+  const refreshHistory = async () => {
+    try {
+      const [storedSessions, recentAlerts] = await Promise.all([
+        listSessions(),
+        getAlertsSince(Date.now() - DAY)
+      ]);
+      setSessions(storedSessions);
+      setAnalytics(computeAnalytics(storedSessions, recentAlerts));
+      return recentAlerts;
+    } catch (error) {
+      console.error('Failed to load session history:', error);
+      return [];
+    }
+  };
+
+  useEffect(() => {
+    refreshHistory().then(recentAlerts => {
+      const todayStart = startOfToday();
+      setAlerts(recentAlerts.filter(alert => new Date(alert.timestamp).getTime() >= todayStart));
+    });
+  }, []);
+
+  const flushSession = async (session) => {
+    const samples = session.pendingSamples;
+    const pendingAlerts = session.pendingAlerts;
+    session.pendingSamples = [];
+    session.pendingAlerts = [];
+    session.lastFlushAt = Date.now();
+
+    try {
+      await appendSamples(session.id, samples);
+      await Promise.all(pendingAlerts.map(pendingAlert => addAlert(session.id, pendingAlert)));
+    } catch (error) {
+      console.error('Failed to save session data:', error);
+    }
+
+    if (samples.length > 0) {
+      syncQueue.enqueue({ method: 'POST', path: `/api/sessions/${session.id}/samples`, body: { samples } });
+    }
+    if (pendingAlerts.length > 0) {
+      const driverId = getDriverId();
+      syncQueue.enqueue({
+        method: 'POST',
+        path: '/api/alerts',
+        body: pendingAlerts.map(pendingAlert => ({ ...pendingAlert, sessionId: session.id, driverId }))
+      });
+    }
+  };
+
+  // Push buffered samples of the running session to storage so the export
+  // includes everything up to the moment it was requested
+  const prepareExport = async () => {
+    if (sessionRef.current?.id) await flushSession(sessionRef.current);
+    await refreshHistory();
+  };
+
+  const startSession = (thresholds) => {
+    const startedAt = Date.now();
+    const session = {
+      id: null,
+      startedAt,
+      driverName: settings.driver.name,
+      lastAlert: null,
+      pendingSamples: [],
+      pendingAlerts: [],
+      lastSampleAt: 0,
+      lastFlushAt: startedAt
+    };
+    sessionRef.current = session;
+
+    // Resolves true once the session has an id; endSession waits for it when
+    // detection stops before the stored session exists
+    session.created = createSession({ startedAt, thresholds })
+      .then(created => {
+        session.id = created.id;
+        syncQueue.enqueue({
+          method: 'POST',
+          path: '/api/sessions',
+          body: { ...created, driverId: getDriverId(), driverName: session.driverName }
+        });
+        refreshHistory();
+        return true;
+      })
+      .catch(error => {
+        console.error('Failed to create session:', error);
+        return false;
+      });
+  };
+
+  const recordSession = (result, newAlert) => {
+    const session = sessionRef.current;
+    if (!session) return;
+
+    const now = Date.now();
+    if (result.metrics && now - session.lastSampleAt >= SESSION_SAMPLE_INTERVAL) {
+      session.lastSampleAt = now;
+      session.pendingSamples.push({
+        timestamp: now,
+        score: result.score,
+        ear: result.metrics.ear,
+        mar: result.metrics.mar,
+        perclos: result.metrics.perclos,
+        blinkRate: result.metrics.blinkRate,
+        yawnRate: result.metrics.yawnRate,
+        nodsPerMinute: result.metrics.nodsPerMinute
+      });
+    }
+    if (newAlert) {
+      session.pendingAlerts.push(newAlert);
+      session.lastAlert = { severity: newAlert.severity, message: newAlert.message, timestamp: newAlert.timestamp };
+    }
+
+    if (session.id && (newAlert || now - session.lastFlushAt >= SESSION_FLUSH_INTERVAL)) {
+      flushSession(session).then(() => newAlert && refreshHistory());
+    }
+
+    publishLiveStatus(session, result, now);
+  };
+
+  // The supervisor view shows the worst of the score band, the distraction
+  // episode and any alert still waiting for acknowledgement
+  const publishLiveStatus = (session, result, now) => {
+    const active = escalator.getActive();
+    const distraction = result.distraction && result.distraction.state !== 'attentive' ? result.distraction : null;
+    const severity = [result.score === null ? null : scoreSeverity(result.score), distraction?.severity, active?.severity]
+      .filter(Boolean)
+      .reduce((worst, next) => (SEVERITIES.indexOf(next) > SEVERITIES.indexOf(worst) ? next : worst), 'low');
+    livePublisher.publish({
+      driverId: getDriverId(),
+      driverName: session.driverName,
+      sessionId: session.id,
+      startedAt: session.startedAt,
+      timestamp: now,
+      score: result.score,
+      severity,
+      faceDetected: Boolean(result.metrics),
+      distraction: distraction && { state: distraction.state, duration: distraction.duration },
+      activeAlert: active && {
+        severity: active.severity,
+        message: active.message,
+        timestamp: new Date(active.raisedAt).toISOString()
+      },
+      lastAlert: session.lastAlert
+    });
+  };
+
+  const endSession = async () => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    if (!session) return;
+
+    livePublisher.end(getDriverId());
+    const endedAt = Date.now();
+    if (!(await session.created)) return;
+
+    await flushSession(session);
+    try {
+      const finished = await finishSession(session.id, endedAt);
+      if (finished) {
+        syncQueue.enqueue({
+          method: 'PUT',
+          path: `/api/sessions/${finished.id}`,
+          body: { ...finished, driverId: getDriverId(), driverName: session.driverName }
+        });
+      }
+    } catch (error) {
+      console.error('Failed to finish session:', error);
+    }
+    refreshHistory();
+  };
+
+  const openCamera = async () => {
+    setCameraState('starting');
+    let stream;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ 
-        video: { 
+      stream = await navigator.mediaDevices.getUserMedia({
+        video: {
           width: { ideal: 1280 },
           height: { ideal: 720 },
           frameRate: { ideal: 30 }
-        } 
+        }
       });
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
+    } catch (error) {
+      setCameraState(CAMERA_ERROR_STATES[error.name] || 'unavailable');
+      throw error;
+    }
+
+    // 'ended' only fires when the browser or device ends the track (unplugged,
+    // permission revoked), not when detection stops it
+    stream.getVideoTracks().forEach(track => {
+      track.addEventListener('ended', () => setCameraState('lost'));
+    });
+    setCameraState('active');
+
+    if (videoRef.current) {
+      videoRef.current.srcObject = stream;
+    }
+  };
+
+  const startDetection = async () => {
+    // Asked here because the prompt needs the click; the answer is used for background warnings
+    requestNotificationPermission();
+    setBackgroundPause(null);
+    try {
+      await openCamera();
+
+      if (calibration) {
+        beginDetection(calibration.thresholds);
+      } else {
+        engineRef.current.start();
+        setIsCalibrating(true);
       }
-      
-      setIsDetecting(true);
-      
-      detectionInterval.current = setInterval(async () => {
-        if (videoRef.current) {
-          const result = await analyzeDrowsiness(videoRef.current);
-          setDrowsinessLevel(result.score);
-          
-          if (result.alert) {
-            const newAlert = {
-              id: Date.now(),
-              message: result.message,
-              severity: result.severity,
-              timestamp: new Date().toISOString()
-            };
-            setAlerts(prev => [newAlert, ...prev]);
-          }
-        }
-      }, 1000);
-      
     } catch (error) {
       console.error('Camera access failed:', error);
       alert('Please enable camera access for drowsiness detection');
     }
   };
 
-  const stopDetectionHandler = () => {
-    if (detectionInterval.current) {
-      clearInterval(detectionInterval.current);
+  const recalibrate = async () => {
+    try {
+      await openCamera();
+      engineRef.current.start();
+      setIsCalibrating(true);
+    } catch (error) {
+      console.error('Camera access failed:', error);
+      alert('Please enable camera access for drowsiness detection');
+    }
+  };
+
+  const sampleCalibrationFrame = () => engineRef.current.processFrame(videoRef.current);
+
+  const handleCalibrationComplete = (result) => {
+    setCalibration(result);
+    setIsCalibrating(false);
+    beginDetection(result.thresholds);
+  };
+
+  const handleCalibrationSkip = () => {
+    setIsCalibrating(false);
+    beginDetection(activeThresholds);
+  };
+
+  const resetCalibration = () => {
+    clearCalibration();
+    setCalibration(null);
+  };
+
+  const beginDetection = (thresholds) => {
+    // Calibration frames go through the same engine, so start from a clean slate
+    engineRef.current.start({ thresholds });
+    thresholdsRef.current = thresholds;
+    startSession(thresholds);
+    setIsDetecting(true);
+
+    frameScheduler.current = createFrameScheduler({
+      video: videoRef.current,
+      minRate: settings.sampling.minRate,
+      maxRate: settings.sampling.maxRate,
+      onFrame: async () => {
+        const result = await engineRef.current.processFrame(videoRef.current);
+        // null when detection stopped while the frame was in flight
+        if (result) handleDetectionResult(result);
+      }
+    });
+    frameScheduler.current.start();
+  };
+
+  const handleDetectionResult = (result) => {
+    latestFrame.current = result.landmarks
+      ? { landmarks: result.landmarks, metrics: result.metrics }
+      : null;
+
+    let newAlert = null;
+    if (result.alert) {
+      newAlert = {
+        id: Date.now(),
+        message: result.message,
+        severity: result.severity,
+        ...(result.kind && { kind: result.kind }),
+        timestamp: new Date().toISOString(),
+        metrics: result.metrics && {
+          score: result.score,
+          ear: result.metrics.ear,
+          mar: result.metrics.mar,
+          perclos: result.metrics.perclos,
+          blinkRate: result.metrics.blinkRate,
+          yawnRate: result.metrics.yawnRate,
+          nodsPerMinute: result.metrics.nodsPerMinute
+        }
+      };
+      setAlerts(prev => [newAlert, ...prev]);
+      raiseAlarm(newAlert);
     }
+    recordSession(result, newAlert);
+
+    if (result.headShake) {
+      acknowledgeAlert('gesture');
+    }
+
+    const now = Date.now();
+    if (result.alert || now - lastPublishedAt.current >= UI_UPDATE_INTERVAL) {
+      lastPublishedAt.current = now;
+      setDrowsinessLevel(result.score);
+      setDistraction(result.distraction || null);
+      setLiveMetrics(result.metrics || null);
+      setGazeHeatMap(engineRef.current.getGazeHeatMap());
+      setSamplingStats({
+        ...frameScheduler.current.getStats(),
+        inference: faceMesh.getMode(),
+        inferenceLatency: faceMesh.getLatency()
+      });
+    }
+  };
+
+  const raiseAlarm = (newAlert) => {
+    // Plan-a-break notices sound once, softly, and need no acknowledgement;
+    // they stay silent while an alert is waiting to be acknowledged
+    if (newAlert.kind === 'forecast') {
+      if (!escalator.getActive()) {
+        setAlarm({ severity: newAlert.severity, kind: newAlert.kind, level: 0, reason: 'notice', id: newAlert.id, message: newAlert.message });
+      }
+      return;
+    }
+
+    const due = escalator.raise(newAlert, Date.now());
+    if (due) {
+      setAlarm({ ...due, id: newAlert.id, kind: newAlert.kind, message: newAlert.message });
+      setActiveAlert(escalator.getActive());
+    }
+  };
+
+  const acknowledgeAlert = (method) => {
+    const acknowledged = escalator.acknowledge(Date.now(), method);
+    if (!acknowledged) return;
+
+    const acknowledgedAt = new Date(acknowledged.acknowledgedAt).toISOString();
+    const updated = [
+      {
+        ...acknowledged.alert,
+        acknowledgedAt,
+        ackMethod: method,
+        responseTime: acknowledged.responseTime,
+        escalationLevel: acknowledged.escalationLevel,
+        escalatedTo: acknowledged.escalatedTo
+      },
+      // Less severe alerts the active one took over from are answered by the same acknowledgement
+      ...acknowledged.superseded.map(item => ({
+        ...item.alert,
+        acknowledgedAt,
+        ackMethod: method,
+        responseTime: item.responseTime,
+        supersededBy: acknowledged.alert.id
+      }))
+    ];
+    const updatedById = new Map(updated.map(alert => [alert.id, alert]));
+    setActiveAlert(null);
+    setAlerts(prev => prev.map(alert => updatedById.get(alert.id) || alert));
+
+    // Alerts are stored by id, so queuing the updated records overwrites the originals
+    const session = sessionRef.current;
+    if (session) {
+      session.pendingAlerts.push(...updated);
+      if (session.id) flushSession(session);
+    }
+  };
+
+  // Unacknowledged alerts escalate and repeat on their own clock, independent of frames
+  useEffect(() => {
+    if (!activeAlert) return;
+
+    const timer = setInterval(() => {
+      const due = escalator.tick(Date.now());
+      if (due) {
+        setAlarm({ ...due, id: Date.now(), kind: escalator.getActive().alert.kind, message: escalator.getActive().message });
+        setActiveAlert(escalator.getActive());
+      }
+    }, ESCALATION_TICK_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [activeAlert?.id]);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.code !== 'Space' || !escalator.getActive()) return;
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+      event.preventDefault();
+      acknowledgeAlert('keyboard');
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // While detecting, the screen stays on, and hiding the page (which stops
+  // frames) raises a critical alert through every channel
+  useEffect(() => {
+    if (!isDetecting) return;
+
+    wakeLock.acquire();
+    const stopWatching = watchVisibility({
+      onHidden: () => {
+        const newAlert = {
+          id: Date.now(),
+          message: BACKGROUND_ALERT_MESSAGE,
+          severity: 'critical',
+          kind: 'background',
+          timestamp: new Date().toISOString()
+        };
+        setAlerts(prev => [newAlert, ...prev]);
+        raiseAlarm(newAlert);
+        showBackgroundNotification(BACKGROUND_ALERT_MESSAGE);
+        // No face data while hidden; the supervisor view shows the alert
+        recordSession({ score: null }, newAlert);
+      },
+      onVisible: (now, hiddenFor) => {
+        clearBackgroundNotification();
+        setBackgroundPause({ hiddenFor, resumedAt: now });
+      }
+    });
+
+    return () => {
+      stopWatching();
+      wakeLock.release();
+    };
+  }, [isDetecting]);
+
+  const stopFrameScheduler = () => {
+    if (frameScheduler.current) {
+      frameScheduler.current.stop();
+      frameScheduler.current = null;
+    }
+  };
+
+  const startRecording = () => {
+    recorder.start({
+      startedAt: Date.now(),
+      thresholds: thresholdsRef.current,
+      cooldowns: settings.cooldowns,
+      gazeZone: calibration?.gazeZone || null,
+      roadPose: calibration?.roadPose || null
+    });
+    setIsRecording(true);
+  };
+
+  const stopRecording = () => {
+    const recording = recorder.stop();
+    setIsRecording(false);
+    if (!recording || recording.frames.length === 0) return;
+
+    const stamp = new Date(recording.startedAt).toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    downloadFile(JSON.stringify(recording), `wakemate-recording-${stamp}.json`, 'application/json');
+  };
+
+  const stopDetectionHandler = () => {
+    stopFrameScheduler();
+    engineRef.current.stop();
+    if (recorder.isRecording()) stopRecording();
+    escalator.reset();
+    setActiveAlert(null);
+    endSession();
     setIsDetecting(false);
-    
+    setIsCalibrating(false);
+    latestFrame.current = null;
+
     if (videoRef.current && videoRef.current.srcObject) {
       videoRef.current.srcObject.getTracks().forEach(track => track.stop());
     }
+    setCameraState('off');
   };
 
   const clearAllAlerts = () => {
@@ -787,18 +1386,32 @@ export default function AdvancedDrowsinessDetector() {
 
   useEffect(() => {
     return () => {
-      if (detectionInterval.current) {
-        clearInterval(detectionInterval.current);
-      }
+      stopFrameScheduler();
+      recorder.stop();
+      endSession();
+      faceMesh.dispose();
     };
   }, []);
 
+  // A camera that is on but has delivered no frames for a whole rate window is stalled
+  const cameraStalled = cameraState === 'active' && isDetecting &&
+    samplingStats?.source === 'video-frame' && samplingStats.sourceRate === 0;
+  const cameraBadge = CAMERA_BADGES[cameraStalled ? 'stalled' : cameraState];
+  // Hovering the model badge explains a failure or why faster backends were skipped
+  const modelTitle = [modelStatus.reason, ...modelStatus.skippedBackends.map(note => `Skipped ${note}`)]
+    .filter(Boolean).join('\n');
+  const offlineBadge = OFFLINE_BADGES[offlineStatus.state === 'ready' && !offlineStatus.modelsCached ? 'shellOnly' : offlineStatus.state];
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black text-white">
       <Head>
         <title>Advanced Drowsiness Detection System | AI-Powered Safety</title>
         <meta name="description" content="Multimillion-dollar AI-powered drowsiness detection system with real-time monitoring and alerts" />
         <link rel="icon" href="/favicon.ico" />
+        <link rel="manifest" href="/manifest.json" />
+        <link rel="apple-touch-icon" href="/icons/icon-192.png" />
+        <meta name="theme-color" content="#111827" />
+        <meta name="apple-mobile-web-app-capable" content="yes" />
       </Head>
 
       <main className="container mx-auto px-4 py-8">
@@ -809,66 +1422,210 @@ export default function AdvancedDrowsinessDetector() {
           <p className="text-gray-300 mt-2 text-lg">
             AI-powered real-time monitoring with multi-million dollar precision
           </p>
+          {SYNC_CONFIG.enabled && (
+            <Link href="/supervisor" className="inline-block mt-3 text-cyan-400 hover:text-cyan-300">
+              👥 Supervisor view →
+            </Link>
+          )}
         </header>
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-8">
           <div className="lg:col-span-2 space-y-8">
             <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl">
               <h2 className="text-2xl font-semibold mb-4">Live Camera Feed</h2>
+              {backgroundPause && (
+                <div className="mb-4 p-3 rounded-lg bg-yellow-900 text-yellow-200 flex justify-between items-center">
+                  <span>
+                    ⚠️ Detection was paused for {formatPause(backgroundPause.hiddenFor)} while WakeMate was in the background.
+                    Keep it on screen while driving.
+                  </span>
+                  <button onClick={() => setBackgroundPause(null)} className="ml-4 text-yellow-300 hover:text-white">
+                    Dismiss
+                  </button>
+                </div>
+              )}
               <CameraFeed 
                 videoRef={videoRef} 
+                frameRef={latestFrame}
                 isDetecting={isDetecting} 
                 drowsinessLevel={drowsinessLevel}
+                distraction={distraction}
               />
-              
+
+              {isCalibrating && (
+                <CalibrationWizard
+                  sampleFrame={sampleCalibrationFrame}
+                  onComplete={handleCalibrationComplete}
+                  onSkip={handleCalibrationSkip}
+                />
+              )}
+
+              {showSettings && (
+                <SettingsPanel
+                  settings={settings}
+                  calibrated={Boolean(calibration)}
+                  onSave={handleSettingsSave}
+                  onReset={handleSettingsReset}
+                  onClose={() => setShowSettings(false)}
+                />
+              )}
+
+              {showExport && (
+                <ExportDialog
+                  sessions={sessions}
+                  currentSessionId={sessionRef.current?.id}
+                  onPrepare={prepareExport}
+                  onClose={() => setShowExport(false)}
+                />
+              )}
+
               <div className="mt-6 flex flex-wrap gap-4">
                 <button
                   onClick={startDetection}
-                  disabled={isDetecting}
+                  disabled={isDetecting || isCalibrating}
                   className="px-8 py-3 bg-gradient-to-r from-green-500 to-emerald-600 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50"
                 >
                   {isDetecting ? 'Detection Active' : 'Start Detection'}
                 </button>
-                
+
                 <button
                   onClick={stopDetectionHandler}
-                  disabled={!isDetecting}
+                  disabled={!isDetecting && !isCalibrating}
                   className="px-8 py-3 bg-gradient-to-r from-red-500 to-pink-600 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50"
                 >
                   Stop Detection
                 </button>
                 
-                <button className="px-8 py-3 bg-gradient-to-r from-purple-500 to-indigo-600 rounded-lg font-semibold hover:opacity-90 transition">
+                <button
+                  onClick={() => setShowExport(true)}
+                  className="px-8 py-3 bg-gradient-to-r from-purple-500 to-indigo-600 rounded-lg font-semibold hover:opacity-90 transition"
+                >
                   Export Data
                 </button>
+
+                <button
+                  onClick={isRecording ? stopRecording : startRecording}
+                  disabled={!isDetecting}
+                  className={`px-8 py-3 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50 ${isRecording ? 'bg-red-700 animate-pulse' : 'bg-gray-700'}`}
+                >
+                  {isRecording ? 'Stop & Save Recording' : 'Record Landmarks'}
+                </button>
+
+                <button
+                  onClick={() => setShowSettings(true)}
+                  className="px-8 py-3 bg-gray-700 rounded-lg font-semibold hover:opacity-90 transition"
+                >
+                  ⚙️ Settings
+                </button>
+              </div>
+
+              <div className="mt-4 flex flex-wrap items-center gap-4 text-sm text-gray-400">
+                <span>
+                  {calibration
+                    ? `Personal thresholds calibrated ${new Date(calibration.calibratedAt).toLocaleDateString()}`
+                    : 'Using default thresholds'}
+                </span>
+                <button
+                  onClick={recalibrate}
+                  disabled={isDetecting || isCalibrating}
+                  className="text-cyan-400 hover:underline disabled:opacity-50"
+                >
+                  {calibration ? 'Recalibrate' : 'Calibrate now'}
+                </button>
+                {calibration && (
+                  <button
+                    onClick={resetCalibration}
+                    disabled={isDetecting || isCalibrating}
+                    className="text-gray-400 hover:underline disabled:opacity-50"
+                  >
+                    Reset to defaults
+                  </button>
+                )}
               </div>
             </div>
 
-            <AlertSystem alerts={alerts} onClearAll={clearAllAlerts} />
+            <AlertSystem
+              alerts={alerts}
+              alertsToday={analytics.alertsToday}
+              activeAlert={activeAlert}
+              alarm={alarm}
+              channels={settings.alerts}
+              sounds={settings.sounds}
+              speech={settings.speech}
+              onToggleChannel={toggleAlertChannel}
+              onAcknowledge={acknowledgeAlert}
+              onClearAll={clearAllAlerts}
+            />
           </div>
 
           <div className="space-y-8">
             <Dashboard 
               drowsinessLevel={drowsinessLevel}
               isDetecting={isDetecting}
+              liveMetrics={liveMetrics}
+              gazeHeatMap={gazeHeatMap}
+              historyKey={historyKey}
             />
             
-            <AnalyticsPanel analytics={analytics} />
+            <AnalyticsPanel analytics={analytics} samplingStats={samplingStats} modelStatus={modelStatus} />
+
+            <SessionHistory sessions={sessions} />
+
+            <ReplayPanel currentThresholds={activeThresholds} currentCooldowns={settings.cooldowns} />
+
+            {SYNC_CONFIG.enabled && <WebhookPanel />}
             
             <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl">
               <h3 className="text-xl font-semibold mb-4">System Status</h3>
               <div className="space-y-3">
                 <div className="flex justify-between items-center">
                   <span className="text-gray-300">AI Model</span>
-                  <span className="px-3 py-1 bg-green-900 text-green-300 rounded-full text-sm">Active</span>
+                  <span className={`px-3 py-1 rounded-full text-sm ${STATUS_TONES[MODEL_BADGES[modelStatus.state].tone]}`} title={modelTitle || undefined}>
+                    {MODEL_BADGES[modelStatus.state].label}
+                    {modelStatus.backend && ` • ${modelStatus.backend.toUpperCase()}`}
+                  </span>
+                </div>
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-300">Camera</span>
+                  <span className={`px-3 py-1 rounded-full text-sm ${STATUS_TONES[cameraBadge.tone]}`}>{cameraBadge.label}</span>
+                </div>
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-300">Sampling Rate</span>
+                  <span className="px-3 py-1 bg-purple-900 text-purple-300 rounded-full text-sm">
+                    {samplingStats && isDetecting
+                      ? `${samplingStats.effectiveRate.toFixed(1)} Hz • ${samplingStats.inference}`
+                      : 'Idle'}
+                  </span>
+                </div>
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-300">Cloud Sync</span>
+                  <span className={`px-3 py-1 rounded-full text-sm ${
+                    !syncStatus.enabled ? 'bg-gray-700 text-gray-300' :
+                    !syncStatus.online ? 'bg-red-900 text-red-300' :
+                    syncStatus.pending > 0 ? 'bg-yellow-900 text-yellow-300' : 'bg-green-900 text-green-300'
+                  }`} title={syncStatus.lastError || undefined}>
+                    {!syncStatus.enabled ? 'Disabled' :
+                      !syncStatus.online ? `Offline • ${syncStatus.pending} queued` :
+                      syncStatus.pending > 0 ? `${syncStatus.pending} pending` : 'Synced'}
+                  </span>
+                </div>
+                <div className="flex justify-between items-center">
+                  <span className="text-gray-300">Response Time (p95)</span>
+                  <span className={`px-3 py-1 rounded-full text-sm ${STATUS_TONES[latencyTone(samplingStats?.inferenceLatency)]}`}>
+                    {samplingStats?.inferenceLatency ? formatMs(samplingStats.inferenceLatency.p95) : 'No data'}
+                  </span>
                 </div>
                 <div className="flex justify-between items-center">
-                  <span className="text-gray-300">Face Detection</span>
-                  <span className="px-3 py-1 bg-green-900 text-green-300 rounded-full text-sm">Optimized</span>
+                  <span className="text-gray-300">Offline Mode</span>
+                  <span className={`px-3 py-1 rounded-full text-sm ${STATUS_TONES[offlineBadge.tone]}`} title={offlineStatus.reason || undefined}>
+                    {offlineBadge.label}
+                  </span>
                 </div>
                 <div className="flex justify-between items-center">
-                  <span className="text-gray-300">Response Time</span>
-                  <span className="px-3 py-1 bg-blue-900 text-blue-300 rounded-full text-sm">&lt; 200ms</span>
+                  <span className="text-gray-300">Screen Wake Lock</span>
+                  <span className={`px-3 py-1 rounded-full text-sm ${STATUS_TONES[WAKE_LOCK_BADGES[wakeLockStatus.state].tone]}`} title={wakeLockStatus.reason || undefined}>
+                    {WAKE_LOCK_BADGES[wakeLockStatus.state].label}
+                  </span>
                 </div>
               </div>
             </div>
@@ -0,0 +1,71 @@
+import { createAlertEscalator } from '../lib/alertEscalation';
+
+const alertOf = (severity, id) => ({ id, severity, message: `${severity} alert ${id}` });
+
+// Ticks once a second from `from` to `to`, collecting the alarms that fall due
+const tickThrough = (escalator, from, to) => {
+  const alarms = [];
+  for (let now = from; now <= to; now += 1000) {
+    const due = escalator.tick(now);
+    if (due) alarms.push({ ...due, now });
+  }
+  return alarms;
+};
+
+describe('createAlertEscalator', () => {
+  it('escalates an unacknowledged alert while same-severity repeats keep arriving', () => {
+    const escalator = createAlertEscalator();
+    expect(escalator.raise(alertOf('high', 1), 0)).toEqual({ severity: 'high', level: 0, reason: 'raised' });
+
+    // The pipeline re-raises ongoing drowsiness after every cooldown, well inside escalateAfter
+    const alarms = [];
+    for (let now = 1000; now <= 60000; now += 1000) {
+      if (now % 6000 === 0) expect(escalator.raise(alertOf('high', now), now)).toBeNull();
+      const due = escalator.tick(now);
+      if (due) alarms.push(due);
+    }
+
+    const active = escalator.getActive();
+    expect(active.id).toBe(1);
+    expect(active.level).toBe(4);
+    expect(active.severity).toBe('critical');
+    expect(alarms.filter(alarm => alarm.reason === 'escalated').map(alarm => alarm.level)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('lets a more severe alert take over and acknowledges both together', () => {
+    const escalator = createAlertEscalator();
+    escalator.raise(alertOf('medium', 1), 0);
+
+    expect(escalator.raise(alertOf('critical', 2), 5000)).toEqual({ severity: 'critical', level: 0, reason: 'raised' });
+    const acknowledged = escalator.acknowledge(7000, 'button');
+
+    expect(acknowledged.alert.id).toBe(2);
+    expect(acknowledged.responseTime).toBe(2000);
+    expect(acknowledged.superseded).toEqual([{ alert: alertOf('medium', 1), responseTime: 7000 }]);
+    expect(escalator.getActive()).toBeNull();
+  });
+
+  it('keeps the active alert when a less severe one arrives', () => {
+    const escalator = createAlertEscalator();
+    escalator.raise(alertOf('critical', 1), 0);
+
+    expect(escalator.raise(alertOf('medium', 2), 1000)).toBeNull();
+    expect(escalator.getActive().id).toBe(1);
+  });
+
+  it('does not hold low alerts for acknowledgement', () => {
+    const escalator = createAlertEscalator();
+
+    expect(escalator.raise(alertOf('low', 1), 0)).toBeNull();
+    expect(escalator.getActive()).toBeNull();
+  });
+
+  it('repeats the alarm between escalation steps', () => {
+    const escalator = createAlertEscalator();
+    escalator.raise(alertOf('medium', 1), 0);
+
+    const alarms = tickThrough(escalator, 1000, 14000);
+
+    expect(alarms).toEqual([{ severity: 'medium', level: 0, reason: 'repeat', now: 10000 }]);
+  });
+});
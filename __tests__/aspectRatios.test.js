@@ -0,0 +1,40 @@
+import { calculateEAR, calculateMAR } from '../lib/drowsinessPipeline';
+import { createFace } from './helpers/face';
+
+describe('calculateEAR', () => {
+  it('returns the lid gap over the eye width', () => {
+    expect(calculateEAR(createFace({ ear: 0.3 }))).toBeCloseTo(0.3, 10);
+    expect(calculateEAR(createFace({ ear: 0.05 }))).toBeCloseTo(0.05, 10);
+  });
+
+  it('is zero for fully closed eyes', () => {
+    expect(calculateEAR(createFace({ ear: 0 }))).toBe(0);
+  });
+
+  it('averages the two eyes', () => {
+    expect(calculateEAR(createFace({ leftEar: 0.32, rightEar: 0.12 }))).toBeCloseTo(0.22, 10);
+  });
+
+  it('does not depend on distance from the camera', () => {
+    expect(calculateEAR(createFace({ ear: 0.25, scale: 3 }))).toBeCloseTo(0.25, 10);
+  });
+});
+
+describe('calculateMAR', () => {
+  it('returns the lip gap over the mouth width', () => {
+    expect(calculateMAR(createFace({ mar: 0.2 }))).toBeCloseTo(0.2, 10);
+    expect(calculateMAR(createFace({ mar: 1.2 }))).toBeCloseTo(1.2, 10);
+  });
+
+  it('is zero for a closed mouth', () => {
+    expect(calculateMAR(createFace({ mar: 0 }))).toBe(0);
+  });
+
+  it('does not depend on distance from the camera', () => {
+    expect(calculateMAR(createFace({ mar: 0.6, scale: 0.4 }))).toBeCloseTo(0.6, 10);
+  });
+
+  it('is unaffected by the eyes', () => {
+    expect(calculateMAR(createFace({ mar: 0.5, ear: 0.05 }))).toBeCloseTo(0.5, 10);
+  });
+});
@@ -0,0 +1,51 @@
+import { createDistractionDetector } from '../lib/distraction';
+
+const STRAIGHT = { yaw: 0, pitch: 0 };
+const TURNED = { yaw: 40, pitch: 0 };
+
+// Feeds one head pose every `step` ms from `from` up to (not including) `to`; returns the last state
+const feed = (detector, pose, from, to, step = 100) => {
+  let result = null;
+  for (let timestamp = from; timestamp < to; timestamp += step) {
+    result = detector.update(pose, timestamp);
+  }
+  return result;
+};
+
+describe('distraction baseline', () => {
+  it('recovers when the session starts with the head turned', () => {
+    const detector = createDistractionDetector();
+    feed(detector, TURNED, 0, 1000);
+
+    const states = [];
+    for (let timestamp = 1000; timestamp < 10000; timestamp += 100) {
+      states.push(detector.update(STRAIGHT, timestamp).state);
+    }
+
+    expect(states.every(state => state === 'attentive')).toBe(true);
+  });
+
+  it('flags a turned head once the usual pose has settled', () => {
+    const detector = createDistractionDetector();
+    feed(detector, STRAIGHT, 0, 3000);
+
+    const result = feed(detector, TURNED, 3000, 5500);
+
+    expect(result).toMatchObject({ state: 'looking-away', severity: 'medium' });
+  });
+
+  it('uses the calibrated pose from the first frame', () => {
+    const detector = createDistractionDetector({ baseline: STRAIGHT });
+
+    expect(detector.update(TURNED, 0).state).toBe('looking-away');
+    expect(feed(detector, TURNED, 100, 2100)).toMatchObject({ severity: 'medium', escalated: true });
+  });
+
+  it('keeps the calibrated pose across a reset', () => {
+    const detector = createDistractionDetector({ baseline: STRAIGHT });
+    feed(detector, { yaw: 10, pitch: 0 }, 0, 60000);
+    detector.reset();
+
+    expect(detector.update({ yaw: 31, pitch: 0 }, 60000).state).toBe('looking-away');
+  });
+});
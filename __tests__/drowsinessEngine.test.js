@@ -0,0 +1,173 @@
+import { createDrowsinessEngine } from '../lib/drowsinessEngine';
+import { createFace } from './helpers/face';
+
+// Echoes each frame back as its landmarks, so a test's input is the mesh
+const createFakeModel = ({ loads = true } = {}) => ({
+  init: async () => loads,
+  estimate: async (frame) => frame,
+  getStatus: () => ({ state: loads ? 'ready' : 'error', reason: loads ? null : 'weights not found' })
+});
+
+const setup = (model = createFakeModel()) => {
+  let now = 0;
+  const engine = createDrowsinessEngine({ model, clock: () => now });
+  const events = { landmarks: [], score: [], alert: [], result: [], state: [], error: [] };
+  Object.keys(events).forEach(event => engine.on(event, payload => events[event].push(payload)));
+
+  // Feeds one frame every `step` ms from the current time up to `until`
+  const run = async (face, until, step = 100) => {
+    while (now < until) {
+      await engine.processFrame(face);
+      now += step;
+    }
+  };
+
+  return { engine, events, run, setNow: (value) => { now = value; } };
+};
+
+describe('createDrowsinessEngine', () => {
+  it('needs a model', () => {
+    expect(() => createDrowsinessEngine()).toThrow(/needs a model/);
+  });
+
+  it('only processes frames once started', async () => {
+    const { engine, events } = setup();
+
+    await expect(engine.processFrame(createFace())).rejects.toThrow(/call start\(\) first/);
+    engine.start();
+    expect(engine.getState()).toBe('running');
+    expect(events.state).toEqual(['running']);
+  });
+
+  it('timestamps frames with the injected clock and emits the score', async () => {
+    const { engine, events, setNow } = setup();
+    engine.start();
+    setNow(1234);
+
+    const result = await engine.processFrame(createFace());
+
+    expect(typeof result.score).toBe('number');
+    expect(events.landmarks).toHaveLength(1);
+    expect(events.landmarks[0].timestamp).toBe(1234);
+    expect(events.score).toEqual([{ score: result.score, timestamp: 1234 }]);
+    expect(events.result).toEqual([result]);
+    expect(events.alert).toEqual([]);
+  });
+
+  it('emits an alert when the eyes stay closed', async () => {
+    const { engine, events, run } = setup();
+    engine.start();
+
+    await run(createFace({ ear: 0.05 }), 1000);
+
+    expect(events.alert).toHaveLength(1);
+    expect(events.alert[0]).toMatchObject({ severity: 'high', timestamp: 500 });
+    expect(events.alert[0].message).toMatch(/^MICROSLEEP/);
+  });
+
+  it('reports no score without a face', async () => {
+    const { engine, events } = setup();
+    engine.start();
+
+    const result = await engine.processFrame(null);
+
+    expect(result).toMatchObject({ score: null, alert: false, message: 'No face detected' });
+    expect(events.score).toEqual([]);
+  });
+
+  it('reports a model that failed to load', async () => {
+    const { engine, events } = setup(createFakeModel({ loads: false }));
+    engine.start();
+
+    expect(await engine.init()).toBe(false);
+    const result = await engine.processFrame(createFace());
+
+    expect(result).toEqual({ score: null, alert: false, message: 'Model unavailable: weights not found' });
+    expect(events.landmarks).toEqual([]);
+  });
+
+  it('reports inference failures', async () => {
+    const failure = new Error('context lost');
+    const { engine, events } = setup({ ...createFakeModel(), estimate: async () => { throw failure; } });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    engine.start();
+
+    const result = await engine.processFrame(createFace());
+
+    expect(result).toMatchObject({ score: null, message: 'Detection error' });
+    expect(events.error).toEqual([failure]);
+    consoleError.mockRestore();
+  });
+
+  it('starts every run from a clean slate', async () => {
+    const { engine, run, setNow } = setup();
+    engine.start();
+    await run(createFace({ ear: 0.05 }), 1000);
+    const before = await engine.processFrame(createFace());
+    expect(before.metrics.microsleepCount).toBe(1);
+
+    engine.start();
+    setNow(5000);
+    const after = await engine.processFrame(createFace());
+
+    expect(after.metrics.microsleepCount).toBe(0);
+  });
+
+  it('keeps separate engines independent', async () => {
+    const drowsy = setup();
+    const alert = setup();
+    drowsy.engine.start();
+    alert.engine.start();
+
+    await drowsy.run(createFace({ ear: 0.05 }), 1000);
+    await alert.run(createFace(), 1000);
+
+    expect(drowsy.events.alert).toHaveLength(1);
+    expect(alert.events.alert).toEqual([]);
+  });
+
+  it('drops a frame that finishes after stop()', async () => {
+    let resolveEstimate;
+    const model = { ...createFakeModel(), estimate: () => new Promise(resolve => { resolveEstimate = resolve; }) };
+    const { engine, events } = setup(model);
+    engine.start();
+
+    const pending = engine.processFrame(createFace());
+    await new Promise(resolve => setTimeout(resolve, 0));
+    engine.stop();
+    resolveEstimate(createFace());
+
+    expect(await pending).toBeNull();
+    expect(events.landmarks).toEqual([]);
+    expect(engine.getState()).toBe('idle');
+  });
+
+  it('stops emitting once unsubscribed', async () => {
+    const { engine } = setup();
+    const scores = [];
+    const unsubscribe = engine.on('score', payload => scores.push(payload));
+    engine.start();
+
+    await engine.processFrame(createFace());
+    unsubscribe();
+    await engine.processFrame(createFace());
+
+    expect(scores).toHaveLength(1);
+  });
+
+  it('rejects unknown events', () => {
+    const { engine } = setup();
+    expect(() => engine.on('frame', () => {})).toThrow(/Unknown engine event/);
+  });
+
+  it('cannot be used after dispose()', async () => {
+    const { engine, events } = setup();
+    engine.start();
+    engine.dispose();
+
+    expect(engine.getState()).toBe('disposed');
+    expect(events.state).toEqual(['running', 'disposed']);
+    expect(() => engine.start()).toThrow(/disposed/);
+    await expect(engine.processFrame(createFace())).rejects.toThrow(/disposed/);
+  });
+});
@@ -0,0 +1,84 @@
+import { evaluateAlertConditions } from '../lib/drowsinessPipeline';
+import { DEFAULT_THRESHOLDS } from '../lib/calibration';
+
+const OPEN_EAR = 0.3;
+const CALM = { perclos: 0, yawnRate: 0, nodsPerMinute: 0, microsleepCount: 0 };
+
+const evaluate = ({ score = 10, ear = OPEN_EAR, events = {}, windowed = {}, emotions = null, thresholds } = {}) =>
+  evaluateAlertConditions(score, ear, events, { ...CALM, ...windowed }, emotions, thresholds);
+
+describe('evaluateAlertConditions', () => {
+  it('stays quiet for an alert driver', () => {
+    expect(evaluate()).toEqual({ shouldAlert: false, message: '', severity: 'low' });
+  });
+
+  describe('microsleeps', () => {
+    it('raises a high alert for the first one, past any cooldown', () => {
+      const result = evaluate({ events: { microsleep: { duration: 600 } }, windowed: { microsleepCount: 1 } });
+
+      expect(result).toMatchObject({ shouldAlert: true, severity: 'high', bypassCooldown: true });
+      expect(result.message).toMatch(/^MICROSLEEP/);
+    });
+
+    it('goes critical when they repeat', () => {
+      const result = evaluate({ events: { microsleep: { duration: 600 } }, windowed: { microsleepCount: 3 } });
+
+      expect(result.severity).toBe('critical');
+      expect(result.message).toMatch(/3 microsleeps/);
+    });
+
+    it('take priority over every other condition', () => {
+      const result = evaluate({
+        score: 95,
+        ear: 0.05,
+        events: { microsleep: { duration: 600 }, nod: {} },
+        windowed: { microsleepCount: 1, perclos: 0.9, nodsPerMinute: 4 }
+      });
+
+      expect(result.message).toMatch(/^MICROSLEEP/);
+    });
+  });
+
+  it('is critical when the eyes are nearly shut most of the time', () => {
+    const result = evaluate({ score: 70, ear: 0.1, windowed: { perclos: 0.85 } });
+
+    expect(result.severity).toBe('critical');
+    expect(result.message).toMatch(/Extreme drowsiness/);
+    expect(result.bypassCooldown).toBeUndefined();
+  });
+
+  it('is critical for repeated nodding and high for a single nod', () => {
+    expect(evaluate({ windowed: { nodsPerMinute: 3 } }).message).toMatch(/Repeated head nodding/);
+    expect(evaluate({ windowed: { nodsPerMinute: 3 } }).severity).toBe('critical');
+    expect(evaluate({ events: { nod: {} } }).severity).toBe('high');
+  });
+
+  it('is high for a high score, frequent yawning, or yawning with heavy eyes', () => {
+    expect(evaluate({ score: 76 }).severity).toBe('high');
+    expect(evaluate({ windowed: { yawnRate: 4 } }).severity).toBe('high');
+    expect(evaluate({ ear: 0.18, events: { yawn: {} } }).severity).toBe('high');
+    // A yawn with open eyes alone is not enough
+    expect(evaluate({ events: { yawn: {} } }).shouldAlert).toBe(false);
+  });
+
+  it('is medium for early signs', () => {
+    expect(evaluate({ score: 51 }).severity).toBe('medium');
+    expect(evaluate({ windowed: { perclos: 0.55 } }).severity).toBe('medium');
+    expect(evaluate({ windowed: { yawnRate: 2 } }).severity).toBe('medium');
+  });
+
+  it('is low for mild fatigue', () => {
+    const result = evaluate({ score: 31 });
+
+    expect(result).toMatchObject({ shouldAlert: true, severity: 'low' });
+    expect(evaluate({ score: 30 }).shouldAlert).toBe(false);
+  });
+
+  it('uses the driver\'s calibrated thresholds', () => {
+    const narrowEyes = { ...DEFAULT_THRESHOLDS, earClosed: 0.3, earCritical: 0.28 };
+    const frame = { ear: 0.25, windowed: { perclos: 0.9 } };
+
+    expect(evaluate({ ...frame, thresholds: narrowEyes }).severity).toBe('critical');
+    expect(evaluate(frame).severity).toBe('medium');
+  });
+});
@@ -0,0 +1,41 @@
+// File: __tests__/helpers/face.js - Synthetic face meshes with exact eye and mouth aspect ratios
+import { LEFT_EYE, RIGHT_EYE, MOUTH } from '../../lib/landmarkIndices';
+
+// FaceMesh without refined iris points, so gaze is not estimated
+const MESH_SIZE = 468;
+
+// Corners p1 and p4, upper lid p2 and p3, lower lid p6 and p5: EAR = lid gap / width
+const placeEye = (landmarks, indices, [x, y], width, ear) => {
+  const half = (ear * width) / 2;
+  const [p1, p2, p3, p4, p5, p6] = indices;
+  landmarks[p1] = [x, y, 0];
+  landmarks[p2] = [x + width / 3, y - half, 0];
+  landmarks[p3] = [x + (2 * width) / 3, y - half, 0];
+  landmarks[p4] = [x + width, y, 0];
+  landmarks[p5] = [x + (2 * width) / 3, y + half, 0];
+  landmarks[p6] = [x + width / 3, y + half, 0];
+};
+
+// Corners p1 and p5, upper lip p2 to p4, lower lip p6 to p8: MAR = lip gap / width
+const placeMouth = (landmarks, indices, [x, y], width, mar) => {
+  const half = (mar * width) / 2;
+  const [p1, p2, p3, p4, p5, p6, p7, p8] = indices;
+  landmarks[p1] = [x, y, 0];
+  landmarks[p2] = [x + width / 4, y - half, 0];
+  landmarks[p3] = [x + width / 2, y - half, 0];
+  landmarks[p4] = [x + (3 * width) / 4, y - half, 0];
+  landmarks[p5] = [x + width, y, 0];
+  landmarks[p6] = [x + (3 * width) / 4, y + half, 0];
+  landmarks[p7] = [x + width / 2, y + half, 0];
+  landmarks[p8] = [x + width / 4, y + half, 0];
+};
+
+// A face square to the camera. scale multiplies every distance, as moving
+// closer to the camera would.
+export const createFace = ({ ear = 0.3, leftEar = ear, rightEar = ear, mar = 0.3, scale = 1 } = {}) => {
+  const landmarks = Array.from({ length: MESH_SIZE }, () => [0, 0, 0]);
+  placeEye(landmarks, LEFT_EYE, [100 * scale, 100 * scale], 30 * scale, leftEar);
+  placeEye(landmarks, RIGHT_EYE, [170 * scale, 100 * scale], 30 * scale, rightEar);
+  placeMouth(landmarks, MOUTH, [120 * scale, 170 * scale], 60 * scale, mar);
+  return landmarks;
+};
@@ -0,0 +1,54 @@
+import { isPrivateHostname, checkPublicTarget } from '../lib/server/networkPolicy';
+
+const resolvesTo = (...addresses) => async () => addresses.map(address => ({ address }));
+
+describe('isPrivateHostname', () => {
+  it.each([
+    'localhost', 'api.localhost', '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.10',
+    '169.254.169.254', '100.64.0.1', '0.0.0.0', '[::1]', '[::]', '[fe80::1]', '[fd00::5]', '[::ffff:10.0.0.1]',
+    // URL writes IPv4-mapped addresses in hex, so these are what arrives
+    '[::ffff:7f00:1]', '[::ffff:a9fe:a9fe]', '[::7f00:1]', '[64:ff9b::7f00:1]', '[2002:a00:1::]', '[0:0:0:0:0:ffff:127.0.0.1]'
+  ])('%s is private', (hostname) => {
+    expect(isPrivateHostname(hostname)).toBe(true);
+  });
+
+  it.each(['example.com', '8.8.8.8', '172.32.0.1', '[2606:4700::1111]', '[::ffff:808:808]', '[64:ff9b::808:808]'])('%s is public', (hostname) => {
+    expect(isPrivateHostname(hostname)).toBe(false);
+  });
+});
+
+describe('checkPublicTarget', () => {
+  afterEach(() => {
+    delete process.env.WAKEMATE_WEBHOOK_ALLOW_PRIVATE;
+  });
+
+  it('refuses names that resolve to a private address', async () => {
+    const error = await checkPublicTarget('https://hooks.example.com/x', resolvesTo('93.184.216.34', '10.0.0.7'));
+    expect(error).toMatch(/10\.0\.0\.7/);
+  });
+
+  it('allows names that resolve to public addresses only', async () => {
+    expect(await checkPublicTarget('https://hooks.example.com/x', resolvesTo('93.184.216.34'))).toBeNull();
+  });
+
+  it('refuses literal private hosts without a lookup', async () => {
+    const lookup = jest.fn();
+    expect(await checkPublicTarget('http://127.0.0.1:3000/api', lookup)).toMatch(/private address/);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    'http://[::ffff:127.0.0.1]:3000/x',
+    'http://[::ffff:169.254.169.254]/latest',
+    'http://[::7f00:1]/',
+    'http://[64:ff9b::7f00:1]/',
+    'http://2130706433/'
+  ])('refuses %s however the address is written', async (url) => {
+    expect(await checkPublicTarget(url, jest.fn())).toMatch(/private address/);
+  });
+
+  it('allows everything when private targets are enabled', async () => {
+    process.env.WAKEMATE_WEBHOOK_ALLOW_PRIVATE = 'true';
+    expect(await checkPublicTarget('http://localhost:8080/hook', resolvesTo('127.0.0.1'))).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+import { createMetricsEngine } from '../lib/metricsEngine';
+
+// Records one sample every `step` ms from `from` up to (not including) `to`
+const recordSpan = (engine, from, to, eyesClosed, step = 100) => {
+  for (let timestamp = from; timestamp < to; timestamp += step) {
+    engine.record({ timestamp, ear: eyesClosed ? 0.1 : 0.3, mar: 0.3, eyesClosed });
+  }
+};
+
+describe('PERCLOS', () => {
+  it('is zero while the eyes stay open', () => {
+    const engine = createMetricsEngine();
+    recordSpan(engine, 0, 60000, false);
+
+    expect(engine.getSnapshot(60000).perclos).toBe(0);
+  });
+
+  it('is the share of time the eyes were closed', () => {
+    const engine = createMetricsEngine();
+    recordSpan(engine, 0, 30000, true);
+    recordSpan(engine, 30000, 60000, false);
+
+    expect(engine.getSnapshot(60000).perclos).toBeCloseTo(0.5, 2);
+  });
+
+  it('is measured by time, not by sample count', () => {
+    const engine = createMetricsEngine();
+    // Few samples while closed, many while open: still a quarter of the time
+    recordSpan(engine, 0, 15000, true, 1000);
+    recordSpan(engine, 15000, 60000, false, 50);
+
+    expect(engine.getSnapshot(60000).perclos).toBeCloseTo(0.25, 1);
+  });
+
+  it('stays at zero until enough of the window has been observed', () => {
+    const engine = createMetricsEngine();
+    recordSpan(engine, 0, 10000, true);
+    const snapshot = engine.getSnapshot(10000);
+
+    expect(snapshot.perclos).toBe(0);
+    expect(snapshot.perclosCoverage).toBeCloseTo(10 / 60, 2);
+  });
+
+  it('caps how long a sample counts across a camera stall', () => {
+    const engine = createMetricsEngine();
+    recordSpan(engine, 0, 20000, false);
+    engine.record({ timestamp: 20000, ear: 0.1, mar: 0.3, eyesClosed: true });
+    engine.record({ timestamp: 30000, ear: 0.3, mar: 0.3, eyesClosed: false });
+
+    // The closed sample holds for maxSampleGap (2 s), not the 10 s gap
+    expect(engine.getSnapshot(30000).perclos).toBeCloseTo(2000 / 22000, 5);
+  });
+
+  it('forgets closures that slide out of the window', () => {
+    const engine = createMetricsEngine();
+    recordSpan(engine, 0, 30000, true);
+    recordSpan(engine, 30000, 90000, false);
+
+    expect(engine.getSnapshot(90000).perclos).toBe(0);
+  });
+
+  it('starts over after a reset', () => {
+    const engine = createMetricsEngine();
+    recordSpan(engine, 0, 60000, true);
+    engine.reset();
+    recordSpan(engine, 60000, 120000, false);
+
+    expect(engine.getSnapshot(120000).perclos).toBe(0);
+  });
+});
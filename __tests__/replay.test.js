@@ -0,0 +1,57 @@
+// fixtures/recordedDrive.json is a 19 s landmark recording at 2 fps: eyes open,
+// a 1.5 s closure, open, 3 s out of view, open, a 2 s closure, open. The
+// meshes are the synthetic faces from helpers/face.js, captured with
+// createLandmarkRecorder. Changes to thresholds, weights or alert rules that
+// move these numbers should be deliberate.
+import fs from 'fs';
+import path from 'path';
+import { parseRecording, replayRecording } from '../lib/landmarkRecording';
+
+const loadDrive = () => parseRecording(fs.readFileSync(path.join(__dirname, 'fixtures', 'recordedDrive.json'), 'utf8'));
+
+// Milliseconds from the start of the drive
+const offsetOf = (recording, timestamp) => timestamp - recording.startedAt;
+
+describe('replaying a recorded drive', () => {
+  it('raises the same alerts at the same moments', () => {
+    const recording = loadDrive();
+    const { alerts } = replayRecording(recording);
+
+    expect(alerts.map(alert => [offsetOf(recording, alert.timestamp), alert.severity, alert.message.split(':')[0]])).toEqual([
+      [5500, 'high', 'MICROSLEEP'],
+      [11500, 'medium', 'DISTRACTION'],
+      [16000, 'critical', 'CRITICAL']
+    ]);
+  });
+
+  it('produces the same scores', () => {
+    const recording = loadDrive();
+    const { results, summary, duration, frameCount } = replayRecording(recording);
+
+    expect(duration).toBe(19000);
+    expect(frameCount).toBe(39);
+    expect(summary.alertCount).toBe(3);
+    expect(summary.alertsBySeverity).toEqual({ high: 1, medium: 1, critical: 1 });
+    expect(summary.peakScore).toBeCloseTo(30.12, 1);
+    expect(summary.meanScore).toBeCloseTo(6.29, 1);
+
+    const scoreAt = (offset) => results.find(result => offsetOf(recording, result.timestamp) === offset).score;
+    expect(scoreAt(4500)).toBe(0);
+    expect(scoreAt(5500)).toBeCloseTo(26.25, 1);
+    expect(scoreAt(10000)).toBeNull();
+    expect(scoreAt(17000)).toBeCloseTo(30.12, 1);
+    expect(scoreAt(19000)).toBeCloseTo(4, 1);
+  });
+
+  it('gives identical results on every replay', () => {
+    expect(replayRecording(loadDrive()).results).toEqual(replayRecording(loadDrive()).results);
+  });
+
+  it('replays under other thresholds', () => {
+    const recording = loadDrive();
+    // The closed eyes in the recording have an EAR of 0.05, above these thresholds
+    const { alerts } = replayRecording(recording, { thresholds: { ...recording.thresholds, earClosed: 0.04, earCritical: 0.03 } });
+
+    expect(alerts.map(alert => alert.severity)).toEqual(['medium']);
+  });
+});
@@ -0,0 +1,39 @@
+// File: components/AccessTokenForm.js - Enter the API access token for one role
+import { useState, useEffect } from 'react';
+import { getAccessToken, setAccessToken } from '../lib/apiAuth';
+
+// role: 'admin' | ...; onSaved runs after the token was stored or cleared
+const AccessTokenForm = ({ role, label, onSaved }) => {
+  const [token, setToken] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  // localStorage is only readable after mount
+  useEffect(() => {
+    const stored = getAccessToken(role);
+    setToken(stored);
+    setSaved(Boolean(stored));
+  }, [role]);
+
+  const save = () => {
+    setAccessToken(role, token.trim());
+    setSaved(Boolean(token.trim()));
+    onSaved?.();
+  };
+
+  return (
+    <div className="flex items-center space-x-2 text-sm">
+      <label className="text-gray-400 whitespace-nowrap">{label}</label>
+      <input
+        type="password"
+        value={token}
+        onChange={(event) => setToken(event.target.value)}
+        placeholder={saved ? 'Saved' : 'Not set'}
+        autoComplete="off"
+        className="flex-1 bg-gray-900 rounded-lg p-2 text-white"
+      />
+      <button onClick={save} className="px-3 py-2 bg-gray-700 hover:bg-gray-600 rounded-lg">Save</button>
+    </div>
+  );
+};
+
+export default AccessTokenForm;
@@ -0,0 +1,164 @@
+// File: components/CalibrationWizard.js - Guided baseline calibration
+import { useState, useEffect, useRef } from 'react';
+import { CALIBRATION_STEPS, deriveThresholds, saveCalibration } from '../lib/calibration';
+
+const SAMPLE_DELAY = 100;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const playStepTone = () => {
+  try {
+    const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    const oscillator = audioContext.createOscillator();
+    const gainNode = audioContext.createGain();
+
+    oscillator.connect(gainNode);
+    gainNode.connect(audioContext.destination);
+
+    oscillator.frequency.setValueAtTime(660, audioContext.currentTime);
+    gainNode.gain.setValueAtTime(0.2, audioContext.currentTime);
+    gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
+
+    oscillator.start(audioContext.currentTime);
+    oscillator.stop(audioContext.currentTime + 0.3);
+  } catch (error) {
+    console.log('Audio context not supported');
+  }
+};
+
+const CalibrationWizard = ({ sampleFrame, onComplete, onSkip }) => {
+  const [status, setStatus] = useState('idle');
+  const [stepIndex, setStepIndex] = useState(0);
+  const [remaining, setRemaining] = useState(0);
+  const [sampleCount, setSampleCount] = useState(0);
+  const [error, setError] = useState('');
+  const cancelledRef = useRef(false);
+
+  useEffect(() => {
+    return () => {
+      cancelledRef.current = true;
+    };
+  }, []);
+
+  const runCalibration = async () => {
+    const samples = {};
+    setStatus('running');
+    setError('');
+
+    for (let i = 0; i < CALIBRATION_STEPS.length; i++) {
+      const step = CALIBRATION_STEPS[i];
+      samples[step.id] = [];
+      setStepIndex(i);
+      setSampleCount(0);
+      setRemaining(Math.ceil(step.duration / 1000));
+
+      // Give the driver a moment to read the instruction before sampling
+      await wait(1500);
+      playStepTone();
+
+      const endsAt = Date.now() + step.duration;
+      while (Date.now() < endsAt) {
+        if (cancelledRef.current) return;
+
+        const result = await sampleFrame();
+        if (result?.metrics) {
+          samples[step.id].push({
+            ear: result.metrics.ear,
+            mar: result.metrics.mar,
+            gaze: result.metrics.gaze?.direction,
+            headPose: result.metrics.headPose
+          });
+          setSampleCount(samples[step.id].length);
+        }
+        setRemaining(Math.max(0, Math.ceil((endsAt - Date.now()) / 1000)));
+        await wait(SAMPLE_DELAY);
+      }
+    }
+
+    playStepTone();
+
+    try {
+      const calibration = deriveThresholds(samples);
+      saveCalibration(calibration);
+      setStatus('done');
+      onComplete(calibration);
+    } catch (calibrationError) {
+      setError(calibrationError.message);
+      setStatus('error');
+    }
+  };
+
+  const step = CALIBRATION_STEPS[stepIndex];
+  const progress = status === 'running'
+    ? ((stepIndex + (1 - remaining * 1000 / step.duration)) / CALIBRATION_STEPS.length) * 100
+    : 0;
+
+  return (
+    <div className="mt-6 bg-gray-900 rounded-xl p-6">
+      <h3 className="text-xl font-semibold mb-2">Personal Calibration</h3>
+
+      {status === 'idle' && (
+        <>
+          <p className="text-gray-300 mb-4">
+            A 30-second calibration learns your normal eye and mouth shape, and where you look
+            at the road, so alerts fit you, including if you wear glasses. It is saved in this browser.
+          </p>
+          <div className="flex flex-wrap gap-4">
+            <button
+              onClick={runCalibration}
+              className="px-6 py-2 bg-gradient-to-r from-cyan-500 to-blue-600 rounded-lg font-semibold hover:opacity-90 transition"
+            >
+              Begin Calibration
+            </button>
+            <button
+              onClick={onSkip}
+              className="px-6 py-2 bg-gray-700 rounded-lg hover:opacity-90 transition"
+            >
+              Skip (use defaults)
+            </button>
+          </div>
+        </>
+      )}
+
+      {status === 'running' && (
+        <>
+          <p className="text-sm text-gray-400">
+            Step {stepIndex + 1} of {CALIBRATION_STEPS.length}: {step.title}
+          </p>
+          <p className="text-lg mt-2">{step.instruction}</p>
+          <div className="w-full bg-gray-700 rounded-full h-2 mt-4">
+            <div
+              className="h-2 rounded-full bg-cyan-500 transition-all"
+              style={{ width: `${Math.min(100, Math.max(0, progress))}%` }}
+            ></div>
+          </div>
+          <p className="text-sm text-gray-400 mt-2">
+            {remaining}s remaining • {sampleCount} samples
+          </p>
+        </>
+      )}
+
+      {status === 'error' && (
+        <>
+          <p className="text-red-400 mb-4">{error}</p>
+          <div className="flex flex-wrap gap-4">
+            <button
+              onClick={runCalibration}
+              className="px-6 py-2 bg-gradient-to-r from-cyan-500 to-blue-600 rounded-lg font-semibold hover:opacity-90 transition"
+            >
+              Try Again
+            </button>
+            <button
+              onClick={onSkip}
+              className="px-6 py-2 bg-gray-700 rounded-lg hover:opacity-90 transition"
+            >
+              Skip (use defaults)
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CalibrationWizard;
@@ -0,0 +1,71 @@
+// File: components/DriverTile.js - One driver's live status on the supervisor page
+import { DISTRACTION_LABELS } from '../lib/distraction';
+
+const SIGNAL_LOST_AFTER = 5000;
+
+const SEVERITY_STYLES = {
+  critical: { border: 'border-purple-500', badge: 'bg-gradient-to-r from-purple-600 to-pink-600', text: 'text-purple-300' },
+  high: { border: 'border-red-500', badge: 'bg-gradient-to-r from-red-600 to-orange-600', text: 'text-red-300' },
+  medium: { border: 'border-yellow-500', badge: 'bg-gradient-to-r from-yellow-600 to-orange-600', text: 'text-yellow-300' },
+  low: { border: 'border-gray-700', badge: 'bg-gradient-to-r from-blue-600 to-cyan-600', text: 'text-green-300' }
+};
+
+export const formatDuty = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+};
+
+// driver.seenAt is when this browser last heard from the driver, so a skewed
+// clock on the driver's device cannot make a live tile look stale
+const DriverTile = ({ driver, now, selected, onSelect }) => {
+  const style = SEVERITY_STYLES[driver.severity] || SEVERITY_STYLES.low;
+  const signalLost = now - driver.seenAt > SIGNAL_LOST_AFTER;
+
+  return (
+    <button
+      onClick={() => onSelect(driver.driverId)}
+      className={`text-left p-4 rounded-2xl bg-gray-800 border-2 transition hover:bg-gray-700 ${style.border} ${
+        selected ? 'ring-2 ring-cyan-400' : ''} ${driver.severity === 'critical' && !signalLost ? 'animate-pulse' : ''}`}
+    >
+      <div className="flex justify-between items-start">
+        <div className="min-w-0">
+          <p className="font-semibold truncate">{driver.driverName || driver.driverId}</p>
+          <p className="text-xs text-gray-400">On duty {formatDuty(now - driver.startedAt)}</p>
+        </div>
+        <span className={`px-3 py-1 rounded-full text-xs font-semibold uppercase ${style.badge}`}>{driver.severity}</span>
+      </div>
+
+      <div className="flex items-end justify-between mt-4">
+        <span className={`text-4xl font-bold ${driver.score === null ? 'text-gray-500' : style.text}`}>
+          {driver.score === null ? 'No data' : `${driver.score.toFixed(0)}%`}
+        </span>
+        {signalLost ? (
+          <span className="text-xs text-red-400">Signal lost {Math.round((now - driver.seenAt) / 1000)}s</span>
+        ) : driver.distraction ? (
+          <span className="text-xs text-yellow-400">
+            {DISTRACTION_LABELS[driver.distraction.state]} {Math.round(driver.distraction.duration / 1000)}s
+          </span>
+        ) : !driver.faceDetected && (
+          <span className="text-xs text-yellow-400">No face detected</span>
+        )}
+      </div>
+
+      <div className="mt-3 text-sm text-gray-300 min-h-[2.5rem]">
+        {driver.activeAlert ? (
+          <p className="text-red-300">Unacknowledged: {driver.activeAlert.message}</p>
+        ) : driver.lastAlert ? (
+          <p className="truncate">
+            Last alert {new Date(driver.lastAlert.timestamp).toLocaleTimeString()}: {driver.lastAlert.message}
+          </p>
+        ) : (
+          <p className="text-gray-500">No alerts this session</p>
+        )}
+      </div>
+    </button>
+  );
+};
+
+export default DriverTile;
@@ -0,0 +1,98 @@
+// File: components/DriverTimeline.js - Drill-down into one driver's live score timeline
+import { useState, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { formatDuty } from './DriverTile';
+import { authHeaders } from '../lib/apiAuth';
+
+const DriverTimeline = ({ driver, onClose }) => {
+  const [timeline, setTimeline] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [error, setError] = useState('');
+
+  // Full history once per driver, then extended from the live updates
+  useEffect(() => {
+    let cancelled = false;
+    setTimeline([]);
+    setAlerts([]);
+    setError('');
+
+    fetch(`/api/live/${driver.driverId}`, { headers: authHeaders('supervisor') })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then(data => {
+        if (cancelled) return;
+        setTimeline(data.timeline);
+        setAlerts(data.alerts);
+      })
+      .catch(loadError => {
+        console.error('Failed to load driver timeline:', loadError);
+        if (!cancelled) setError(loadError.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [driver.driverId]);
+
+  useEffect(() => {
+    setTimeline(prev => (prev.length && prev[prev.length - 1].timestamp >= driver.timestamp
+      ? prev
+      : [...prev, { timestamp: driver.timestamp, score: driver.score, severity: driver.severity }].slice(-900)));
+
+    if (driver.lastAlert) {
+      setAlerts(prev => (prev[0]?.timestamp === driver.lastAlert.timestamp ? prev : [driver.lastAlert, ...prev]));
+    }
+  }, [driver.timestamp]);
+
+  const chartData = timeline.map(point => ({
+    time: new Date(point.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }),
+    score: point.score
+  }));
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-2xl font-semibold">{driver.driverName || driver.driverId}</h2>
+          <p className="text-sm text-gray-400">
+            Session {driver.sessionId || 'starting'} • on duty {formatDuty(Date.now() - driver.startedAt)}
+          </p>
+        </div>
+        <button onClick={onClose} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm">Close</button>
+      </div>
+      {error && <p className="text-red-400 text-sm mb-2">{error}</p>}
+
+      <div className="h-64">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+            <XAxis dataKey="time" stroke="#9CA3AF" minTickGap={40} />
+            <YAxis domain={[0, 100]} stroke="#9CA3AF" />
+            <Tooltip contentStyle={{ backgroundColor: '#1F2937', borderColor: '#374151' }} />
+            <ReferenceLine y={80} stroke="#7C3AED" strokeDasharray="4 4" />
+            <ReferenceLine y={60} stroke="#EF4444" strokeDasharray="4 4" />
+            <Line type="monotone" dataKey="score" stroke="#06B6D4" strokeWidth={2} dot={false} isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <h3 className="text-lg font-semibold mt-6 mb-2">Alerts</h3>
+      {alerts.length === 0 ? (
+        <p className="text-gray-400 text-sm">No alerts this session.</p>
+      ) : (
+        <div className="space-y-2 max-h-64 overflow-y-auto pr-2">
+          {alerts.map(alert => (
+            <div key={alert.timestamp} className="flex justify-between p-2 bg-gray-900 rounded-lg text-sm">
+              <span><span className="uppercase font-semibold mr-2">{alert.severity}</span>{alert.message}</span>
+              <span className="text-gray-400">{new Date(alert.timestamp).toLocaleTimeString()}</span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DriverTimeline;
@@ -0,0 +1,155 @@
+// File: components/ExportDialog.js - Choose sessions, range and fields to export
+import { useState } from 'react';
+import { getSession } from '../lib/sessionStore';
+import { EXPORT_FIELDS, buildExport, toCSV, toJSON, downloadFile } from '../lib/exporter';
+
+const toInputValue = (time) => {
+  const date = new Date(time - new Date(time).getTimezoneOffset() * 60000);
+  return date.toISOString().slice(0, 16);
+};
+
+const fromInputValue = (value) => (value ? new Date(value).getTime() : null);
+
+const ExportDialog = ({ sessions, currentSessionId, onPrepare, onClose }) => {
+  const [selectedIds, setSelectedIds] = useState(() => {
+    const initial = currentSessionId || sessions[0]?.id;
+    return initial ? [initial] : [];
+  });
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [fields, setFields] = useState(EXPORT_FIELDS.map(field => field.id));
+  const [includeAlerts, setIncludeAlerts] = useState(true);
+  const [format, setFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const toggle = (list, setList, id) => {
+    setList(list.includes(id) ? list.filter(item => item !== id) : [...list, id]);
+  };
+
+  const runExport = async () => {
+    setExporting(true);
+    setError('');
+
+    try {
+      await onPrepare();
+      const records = (await Promise.all(selectedIds.map(id => getSession(id)))).filter(Boolean);
+      const exportData = buildExport(records, {
+        range: { from: fromInputValue(from), to: fromInputValue(to) },
+        fields: EXPORT_FIELDS.map(field => field.id).filter(id => fields.includes(id)),
+        includeAlerts
+      });
+
+      const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+      if (format === 'csv') {
+        downloadFile(toCSV(exportData), `wakemate-export-${stamp}.csv`, 'text/csv');
+      } else {
+        downloadFile(toJSON(exportData), `wakemate-export-${stamp}.json`, 'application/json');
+      }
+      onClose();
+    } catch (exportError) {
+      console.error('Export failed:', exportError);
+      setError('Export failed. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-70 p-4">
+      <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl w-full max-w-2xl max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-semibold mb-6">Export Data</h2>
+
+        <h3 className="text-lg font-semibold mb-2">Sessions</h3>
+        <div className="space-y-1 max-h-48 overflow-y-auto bg-gray-900 rounded-xl p-3 mb-4">
+          {sessions.length === 0 && <p className="text-gray-400">No sessions recorded yet.</p>}
+          {sessions.map(session => (
+            <label key={session.id} className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(session.id)}
+                onChange={() => toggle(selectedIds, setSelectedIds, session.id)}
+              />
+              <span>
+                {new Date(session.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                {session.id === currentSessionId && <span className="text-green-400 ml-2">(current)</span>}
+              </span>
+            </label>
+          ))}
+        </div>
+
+        <h3 className="text-lg font-semibold mb-2">Date Range</h3>
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <label className="text-sm text-gray-400">
+            From
+            <input
+              type="datetime-local"
+              value={from}
+              max={to || toInputValue(Date.now())}
+              onChange={(event) => setFrom(event.target.value)}
+              className="w-full mt-1 bg-gray-900 rounded-lg p-2 text-white"
+            />
+          </label>
+          <label className="text-sm text-gray-400">
+            To
+            <input
+              type="datetime-local"
+              value={to}
+              min={from}
+              onChange={(event) => setTo(event.target.value)}
+              className="w-full mt-1 bg-gray-900 rounded-lg p-2 text-white"
+            />
+          </label>
+        </div>
+
+        <h3 className="text-lg font-semibold mb-2">Fields</h3>
+        <div className="grid grid-cols-2 gap-2 mb-4">
+          {EXPORT_FIELDS.map(field => (
+            <label key={field.id} className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={fields.includes(field.id)}
+                onChange={() => toggle(fields, setFields, field.id)}
+              />
+              <span>{field.label}</span>
+            </label>
+          ))}
+          <label className="flex items-center space-x-2">
+            <input type="checkbox" checked={includeAlerts} onChange={() => setIncludeAlerts(!includeAlerts)} />
+            <span>Alert log</span>
+          </label>
+        </div>
+
+        <h3 className="text-lg font-semibold mb-2">Format</h3>
+        <div className="flex space-x-4 mb-6">
+          {[{ id: 'csv', label: 'CSV' }, { id: 'json', label: 'JSON' }].map(option => (
+            <button
+              key={option.id}
+              onClick={() => setFormat(option.id)}
+              className={`px-4 py-2 rounded-lg ${format === option.id ? 'bg-purple-600' : 'bg-gray-700'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {error && <p className="text-red-400 mb-4">{error}</p>}
+
+        <div className="flex justify-end space-x-4">
+          <button onClick={onClose} className="px-6 py-2 bg-gray-700 rounded-lg hover:opacity-90">
+            Cancel
+          </button>
+          <button
+            onClick={runExport}
+            disabled={exporting || selectedIds.length === 0}
+            className="px-6 py-2 bg-gradient-to-r from-purple-500 to-indigo-600 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50"
+          >
+            {exporting ? 'Exporting…' : 'Download'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportDialog;
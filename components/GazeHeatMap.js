@@ -0,0 +1,45 @@
+// File: components/GazeHeatMap.js - Where the driver has looked this session, around the road-ahead zone
+const CELL_COLORS = ['#1F2937', '#1E3A8A', '#0E7490', '#15803D', '#CA8A04', '#EA580C', '#DC2626'];
+
+const cellColor = (share) => (share ? CELL_COLORS[Math.min(CELL_COLORS.length - 1, 1 + Math.floor(share * (CELL_COLORS.length - 1)))] : CELL_COLORS[0]);
+
+// heatMap: pipeline.getGazeHeatMap(); cells run from the driver's left to right
+// and top to bottom, centred on the road-ahead zone
+const GazeHeatMap = ({ heatMap }) => {
+  if (!heatMap || heatMap.cells.every(share => share === 0)) {
+    return <p className="text-gray-400 text-sm h-40 flex items-center">No gaze data yet. Iris tracking needs both eyes open and visible.</p>;
+  }
+
+  const { cols, yawRange, pitchRange, cells, zone } = heatMap;
+  const zoneStyle = {
+    left: `${(0.5 - zone.halfWidth / (2 * yawRange)) * 100}%`,
+    width: `${(zone.halfWidth / yawRange) * 100}%`,
+    top: `${(0.5 - zone.halfHeight / (2 * pitchRange)) * 100}%`,
+    height: `${(zone.halfHeight / pitchRange) * 100}%`
+  };
+
+  return (
+    <div>
+      <div className="relative">
+        <div className="grid gap-px" style={{ gridTemplateColumns: `repeat(${cols}, minmax(0, 1fr))` }}>
+          {cells.map((share, index) => (
+            <div
+              key={index}
+              className="h-5 rounded-sm"
+              style={{ backgroundColor: cellColor(share) }}
+              title={`${Math.round(share * 100)}% of the busiest cell`}
+            />
+          ))}
+        </div>
+        <div className="absolute border-2 border-dashed border-white rounded pointer-events-none" style={zoneStyle} />
+      </div>
+      <div className="flex justify-between text-xs text-gray-400 mt-1">
+        <span>← Left {yawRange}°</span>
+        <span>Dashed box: road ahead • ↑↓ {pitchRange}°</span>
+        <span>Right {yawRange}° →</span>
+      </div>
+    </div>
+  );
+};
+
+export default GazeHeatMap;
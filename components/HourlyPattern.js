@@ -0,0 +1,96 @@
+// File: components/HourlyPattern.js - Hourly alertness pattern chart over recorded history
+import { useState, useEffect } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { forEachSampleSince, getAlertsSince } from '../lib/sessionStore';
+import { PATTERN_RANGES, DAY_TYPES, createHourlyAccumulator } from '../lib/hourlyPattern';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatMinutes = (minutes) => (minutes >= 60 ? `${(minutes / 60).toFixed(1)} h` : `${minutes} min`);
+
+// refreshKey changes whenever stored history does (a session started or finished)
+const HourlyPattern = ({ refreshKey }) => {
+  const [range, setRange] = useState(30);
+  const [dayType, setDayType] = useState('all');
+  const [pattern, setPattern] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    const since = range ? Date.now() - range * DAY : 0;
+    const accumulator = createHourlyAccumulator({ dayType });
+
+    setLoading(true);
+    Promise.all([
+      forEachSampleSince(since, accumulator.addSample),
+      getAlertsSince(since).then(alerts => alerts.forEach(accumulator.addAlert))
+    ])
+      .then(() => {
+        if (!cancelled) setPattern(accumulator.result());
+      })
+      .catch(error => console.error('Failed to build hourly pattern:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [range, dayType, refreshKey]);
+
+  const selectClass = 'bg-gray-800 rounded-lg p-1 text-white text-sm';
+
+  return (
+    <div className="mt-6 bg-gray-900 rounded-xl p-4">
+      <div className="flex flex-wrap justify-between items-baseline gap-2 mb-4">
+        <h3 className="text-lg font-semibold">Hourly Alertness Pattern</h3>
+        <div className="flex space-x-2">
+          <select value={range} onChange={(event) => setRange(Number(event.target.value))} className={selectClass}>
+            {PATTERN_RANGES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+          <select value={dayType} onChange={(event) => setDayType(event.target.value)} className={selectClass}>
+            {DAY_TYPES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {pattern && pattern.totalMinutes === 0 ? (
+        <p className="text-gray-400 h-64">
+          {loading ? 'Loading…' : 'No recorded driving in this period yet. The pattern fills in as sessions are recorded.'}
+        </p>
+      ) : (
+        <>
+          <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={pattern ? pattern.hours : []}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                <XAxis dataKey="hour" stroke="#888" interval={2} />
+                <YAxis yAxisId="alertness" stroke="#888" domain={[0, 100]} />
+                <YAxis yAxisId="incidents" orientation="right" stroke="#888" allowDecimals={false} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1F2937', borderColor: '#4B5563' }}
+                  labelStyle={{ color: '#FFF' }}
+                  labelFormatter={(hour, payload) => {
+                    const minutes = payload?.[0]?.payload.minutes ?? 0;
+                    return `${hour} • ${formatMinutes(minutes)} monitored`;
+                  }}
+                />
+                <Legend />
+                <Bar yAxisId="incidents" dataKey="incidentRate" fill="#EF4444" name="Incidents per hour driven" />
+                <Bar yAxisId="alertness" dataKey="alertness" fill="#10B981" name="Alertness Score" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+          {pattern?.dip && (
+            <p className="text-sm text-gray-400 mt-2">
+              Lowest alertness around <span className="text-yellow-300 font-semibold">{pattern.dip.hour}</span>
+              {' '}({pattern.dip.alertness} over {formatMinutes(pattern.dip.minutes)} of driving)
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HourlyPattern;
@@ -0,0 +1,153 @@
+// File: components/ReplayPanel.js - Re-score a recorded landmark stream offline
+import { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { parseRecording, replayRecording } from '../lib/landmarkRecording';
+
+const SEVERITY_COLORS = {
+  critical: '#7C3AED',
+  high: '#EF4444',
+  medium: '#F59E0B',
+  low: '#3B82F6'
+};
+
+const formatOffset = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
+
+const ReplayPanel = ({ currentThresholds, currentCooldowns }) => {
+  const [recording, setRecording] = useState(null);
+  const [useCurrentSettings, setUseCurrentSettings] = useState(false);
+  const [replay, setReplay] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadFile = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setReplay(null);
+    setError('');
+    try {
+      setRecording(parseRecording(await file.text()));
+    } catch (loadError) {
+      console.error('Failed to load recording:', loadError);
+      setRecording(null);
+      setError(loadError.message);
+    }
+  };
+
+  const runReplay = () => {
+    const started = performance.now();
+    const result = replayRecording(recording, {
+      thresholds: useCurrentSettings ? currentThresholds : recording.thresholds,
+      cooldowns: useCurrentSettings ? currentCooldowns : recording.cooldowns
+    });
+    setReplay({ ...result, elapsed: performance.now() - started });
+  };
+
+  // Charting every frame of a long drive is slow; one point per second is plenty
+  const timeline = [];
+  if (replay) {
+    let lastSecond = -1;
+    replay.results.forEach(result => {
+      const second = Math.floor((result.timestamp - recording.startedAt) / 1000);
+      if (second !== lastSecond) {
+        lastSecond = second;
+        timeline.push({ time: formatOffset(result.timestamp - recording.startedAt), score: result.score });
+      }
+    });
+  }
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl">
+      <h2 className="text-2xl font-semibold mb-6">Replay Recording</h2>
+
+      <input
+        type="file"
+        accept="application/json,.json"
+        onChange={loadFile}
+        className="block w-full text-sm text-gray-400 file:mr-4 file:py-2 file:px-4 file:rounded-lg file:border-0 file:bg-gray-700 file:text-white"
+      />
+      {error && <p className="text-red-400 mt-2">{error}</p>}
+
+      {recording && (
+        <div className="mt-4 space-y-3">
+          <p className="text-sm text-gray-400">
+            {recording.frames.length} frames recorded {new Date(recording.startedAt).toLocaleString()}
+          </p>
+          <label className="flex items-center space-x-2 text-sm">
+            <input
+              type="checkbox"
+              checked={useCurrentSettings}
+              onChange={() => setUseCurrentSettings(!useCurrentSettings)}
+            />
+            <span>Score with current thresholds and cooldowns instead of the recorded ones</span>
+          </label>
+          <button
+            onClick={runReplay}
+            className="px-6 py-2 bg-gradient-to-r from-cyan-500 to-blue-600 rounded-lg font-semibold hover:opacity-90 transition"
+          >
+            Replay
+          </button>
+        </div>
+      )}
+
+      {replay && (
+        <div className="mt-6">
+          <div className="grid grid-cols-3 gap-4 mb-4 text-center">
+            <div className="bg-gray-900 rounded-xl p-3">
+              <div className="text-sm text-gray-400">Peak Score</div>
+              <div className="text-2xl font-bold">{replay.summary.peakScore.toFixed(0)}%</div>
+            </div>
+            <div className="bg-gray-900 rounded-xl p-3">
+              <div className="text-sm text-gray-400">Mean Score</div>
+              <div className="text-2xl font-bold">{replay.summary.meanScore.toFixed(0)}%</div>
+            </div>
+            <div className="bg-gray-900 rounded-xl p-3">
+              <div className="text-sm text-gray-400">Alerts</div>
+              <div className="text-2xl font-bold">{replay.summary.alertCount}</div>
+            </div>
+          </div>
+
+          <div className="h-48">
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={timeline}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                <XAxis dataKey="time" stroke="#888" minTickGap={40} />
+                <YAxis stroke="#888" domain={[0, 100]} />
+                <Tooltip
+                  contentStyle={{ backgroundColor: '#1F2937', borderColor: '#4B5563' }}
+                  labelStyle={{ color: '#FFF' }}
+                />
+                {replay.alerts.map(alert => (
+                  <ReferenceLine
+                    key={alert.timestamp}
+                    x={formatOffset(alert.timestamp - recording.startedAt)}
+                    stroke={SEVERITY_COLORS[alert.severity]}
+                  />
+                ))}
+                <Line type="monotone" dataKey="score" stroke="#EF4444" strokeWidth={2} dot={false} name="Drowsiness" />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <ul className="mt-3 space-y-1 text-sm max-h-40 overflow-y-auto">
+            {replay.alerts.map(alert => (
+              <li key={alert.timestamp} className="flex justify-between">
+                <span style={{ color: SEVERITY_COLORS[alert.severity] }}>{alert.message}</span>
+                <span className="text-gray-400 ml-2">{formatOffset(alert.timestamp - recording.startedAt)}</span>
+              </li>
+            ))}
+          </ul>
+
+          <p className="text-xs text-gray-500 mt-3">
+            Replayed {formatOffset(replay.duration)} of driving in {replay.elapsed.toFixed(0)} ms
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReplayPanel;
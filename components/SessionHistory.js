@@ -0,0 +1,112 @@
+// File: components/SessionHistory.js - Browse stored detection sessions
+import { useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import { getSession } from '../lib/sessionStore';
+
+const formatDuration = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.floor((ms % 60000) / 1000);
+  return minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+};
+
+const SessionHistory = ({ sessions }) => {
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const openSession = async (id) => {
+    if (selected?.id === id) {
+      setSelected(null);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      setSelected(await getSession(id));
+    } catch (error) {
+      console.error('Failed to load session:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const timeline = selected
+    ? selected.samples.map(sample => ({
+        time: new Date(sample.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' }),
+        score: sample.score
+      }))
+    : [];
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl">
+      <h2 className="text-2xl font-semibold mb-6">Session History</h2>
+
+      {sessions.length === 0 ? (
+        <p className="text-gray-400">No sessions recorded yet. Start detection to create one.</p>
+      ) : (
+        <div className="space-y-2 max-h-96 overflow-y-auto pr-2">
+          {sessions.map(session => (
+            <div key={session.id}>
+              <button
+                onClick={() => openSession(session.id)}
+                className={`w-full text-left p-3 rounded-lg transition ${selected?.id === session.id ? 'bg-gray-700' : 'bg-gray-900 hover:bg-gray-700'}`}
+              >
+                <div className="flex justify-between">
+                  <span className="font-semibold">
+                    {new Date(session.startedAt).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                  </span>
+                  <span className="text-sm text-gray-400">
+                    {session.summary ? formatDuration(session.summary.duration) : 'In progress'}
+                  </span>
+                </div>
+                {session.summary && (
+                  <div className="flex space-x-4 text-sm text-gray-400 mt-1">
+                    <span>Peak {session.summary.peakScore.toFixed(0)}%</span>
+                    <span>Avg {session.summary.meanScore.toFixed(0)}%</span>
+                    <span className={session.summary.criticalCount ? 'text-red-400' : ''}>
+                      {session.summary.alertCount} alerts
+                    </span>
+                  </div>
+                )}
+              </button>
+
+              {selected?.id === session.id && (
+                <div className="bg-gray-900 rounded-lg p-4 mt-2">
+                  <div className="h-40">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={timeline}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#444" />
+                        <XAxis dataKey="time" stroke="#888" minTickGap={40} />
+                        <YAxis stroke="#888" domain={[0, 100]} />
+                        <Tooltip
+                          contentStyle={{ backgroundColor: '#1F2937', borderColor: '#4B5563' }}
+                          labelStyle={{ color: '#FFF' }}
+                        />
+                        <Line type="monotone" dataKey="score" stroke="#EF4444" strokeWidth={2} dot={false} name="Drowsiness" />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  {selected.alerts.length > 0 && (
+                    <ul className="mt-3 space-y-1 text-sm">
+                      {selected.alerts.map(alert => (
+                        <li key={alert.id} className="flex justify-between">
+                          <span>{alert.message}</span>
+                          <span className="text-gray-400 ml-2">
+                            {new Date(alert.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {loading && <p className="text-sm text-gray-400 mt-2">Loading session…</p>}
+    </div>
+  );
+};
+
+export default SessionHistory;
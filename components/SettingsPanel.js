@@ -0,0 +1,236 @@
+// File: components/SettingsPanel.js - Edit thresholds, cooldowns, alert channels, sounds and sampling
+import { useState, useEffect } from 'react';
+import { SETTING_FIELDS, MODEL_CONFIG, getSetting, setSetting, validateSettings } from '../lib/settings';
+import { CUSTOM_SOUND, playAlarm, saveCustomSound, getCustomSoundName, removeCustomSound } from '../lib/alarmSounds';
+import { listVoices, speakAlert } from '../lib/voicePrompts';
+import { alarmVolume } from '../lib/alertEscalation';
+import AccessTokenForm from './AccessTokenForm';
+
+const SECTIONS = [...new Set(SETTING_FIELDS.map(field => field.section))];
+
+const selectClass = 'w-full mt-1 bg-gray-900 rounded-lg p-2 text-white';
+
+// Custom files are stored as soon as they are chosen, independent of Save
+const CustomSoundUpload = ({ severity }) => {
+  const [fileName, setFileName] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getCustomSoundName(severity).then(setFileName).catch(() => setFileName(null));
+  }, [severity]);
+
+  const upload = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setError('');
+    try {
+      await saveCustomSound(severity, file);
+      setFileName(file.name);
+    } catch (uploadError) {
+      console.error('Failed to save custom sound:', uploadError);
+      setError(uploadError.message);
+    }
+  };
+
+  const remove = async () => {
+    await removeCustomSound(severity);
+    setFileName(null);
+  };
+
+  return (
+    <div className="mt-2 text-xs">
+      {fileName ? (
+        <div className="flex items-center justify-between">
+          <span className="truncate">{fileName}</span>
+          <button onClick={remove} className="text-gray-400 hover:underline ml-2">Remove</button>
+        </div>
+      ) : (
+        <input type="file" accept="audio/*" onChange={upload} className="w-full text-gray-400" />
+      )}
+      {!fileName && <span className="text-gray-500">Until a file is added the default sound plays.</span>}
+      {error && <span className="text-red-400 block">{error}</span>}
+    </div>
+  );
+};
+
+const SettingsPanel = ({ settings, calibrated, onSave, onReset, onClose }) => {
+  const [draft, setDraft] = useState(settings);
+  const [voices, setVoices] = useState([]);
+  const errors = validateSettings(draft);
+  const hasErrors = Object.keys(errors).length > 0;
+
+  useEffect(() => {
+    listVoices().then(setVoices);
+  }, []);
+
+  const testSound = (severity) => {
+    playAlarm({ severity, profile: draft.sounds[severity], volume: alarmVolume(severity, 0) });
+  };
+
+  const testVoice = () => {
+    speakAlert({ message: 'HIGH ALERT: You have shown signs of fatigue, please pull over.', severity: 'high' }, draft.speech);
+  };
+
+  const updateField = (field, rawValue) => {
+    const value = field.type === 'number' ? (rawValue === '' ? NaN : Number(rawValue)) : rawValue;
+    setDraft(setSetting(draft, field.path, value));
+  };
+
+  const renderField = (field) => {
+    const value = getSetting(draft, field.path);
+
+    if (field.control === 'voice') {
+      const language = draft.speech.lang.split('-')[0];
+      return (
+        <label key={field.path} className="text-sm text-gray-400">
+          {field.label}
+          <div className="flex space-x-2">
+            <select value={value} onChange={(event) => updateField(field, event.target.value)} className={selectClass}>
+              <option value="">Default for language</option>
+              {voices.filter(voice => voice.lang.startsWith(language)).map(voice => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name}</option>
+              ))}
+            </select>
+            <button onClick={testVoice} className="mt-1 px-3 bg-gray-700 rounded-lg text-white" title="Test voice">▶</button>
+          </div>
+        </label>
+      );
+    }
+
+    if (field.type === 'select') {
+      const severity = field.path.split('.')[1];
+      return (
+        <label key={field.path} className="text-sm text-gray-400">
+          {field.label}
+          <div className="flex space-x-2">
+            <select value={value} onChange={(event) => updateField(field, event.target.value)} className={selectClass}>
+              {field.options.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {field.control === 'sound' && (
+              <button onClick={() => testSound(severity)} className="mt-1 px-3 bg-gray-700 rounded-lg text-white" title="Test sound">▶</button>
+            )}
+          </div>
+          {field.control === 'sound' && value === CUSTOM_SOUND && <CustomSoundUpload severity={severity} />}
+        </label>
+      );
+    }
+
+    if (field.type === 'boolean') {
+      return (
+        <label key={field.path} className="flex items-center space-x-2">
+          <input type="checkbox" checked={value} onChange={(event) => updateField(field, event.target.checked)} />
+          <span>{field.label}</span>
+        </label>
+      );
+    }
+
+    if (field.type === 'string') {
+      return (
+        <label key={field.path} className="text-sm text-gray-400">
+          {field.label}
+          <input
+            type="text"
+            value={value}
+            maxLength={field.maxLength}
+            onChange={(event) => updateField(field, event.target.value)}
+            className={`w-full mt-1 bg-gray-900 rounded-lg p-2 text-white ${errors[field.path] ? 'ring-2 ring-red-500' : ''}`}
+          />
+          {errors[field.path] && <span className="text-red-400 text-xs">{errors[field.path]}</span>}
+        </label>
+      );
+    }
+
+    return (
+      <label key={field.path} className="text-sm text-gray-400">
+        {field.label}
+        <input
+          type="number"
+          value={Number.isNaN(value) ? '' : value}
+          min={field.min}
+          max={field.max}
+          step={field.step}
+          onChange={(event) => updateField(field, event.target.value)}
+          className={`w-full mt-1 bg-gray-900 rounded-lg p-2 text-white ${errors[field.path] ? 'ring-2 ring-red-500' : ''}`}
+        />
+        {errors[field.path] && <span className="text-red-400 text-xs">{errors[field.path]}</span>}
+      </label>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-70 p-4">
+      <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl w-full max-w-2xl max-h-full overflow-y-auto">
+        <h2 className="text-2xl font-semibold mb-6">Settings</h2>
+
+        {SECTIONS.map(section => (
+          <div key={section} className="mb-6">
+            <h3 className="text-lg font-semibold mb-2">{section}</h3>
+            {section === 'Thresholds' && calibrated && (
+              <p className="text-sm text-yellow-400 mb-2">
+                Your calibrated thresholds are in use. Reset the calibration to use these instead.
+              </p>
+            )}
+            {(section === 'Thresholds' || section === 'Sampling') && (
+              <p className="text-sm text-gray-400 mb-2">Takes effect the next time detection starts.</p>
+            )}
+            <div className="grid grid-cols-2 gap-4">
+              {SETTING_FIELDS.filter(field => field.section === section).map(renderField)}
+            </div>
+          </div>
+        ))}
+
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold mb-2">Model</h3>
+          <p className="text-sm text-gray-400 mb-2">Set by the deployment environment.</p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <div className="text-gray-400">Model path</div>
+              <div className="font-mono">{MODEL_CONFIG.path}</div>
+            </div>
+            <div>
+              <div className="text-gray-400">Backends, in order</div>
+              <div className="font-mono">{MODEL_CONFIG.backends.join(' → ')}</div>
+            </div>
+            <div>
+              <div className="text-gray-400">Max faces</div>
+              <div>{MODEL_CONFIG.maxFaces}</div>
+            </div>
+            <div>
+              <div className="text-gray-400">Detection confidence</div>
+              <div>{MODEL_CONFIG.detectionConfidence}</div>
+            </div>
+          </div>
+        </div>
+
+        <div className="mb-6">
+          <h3 className="text-lg font-semibold mb-2">Server Access</h3>
+          <p className="text-sm text-gray-400 mb-2">Token this device uses to sync sessions and publish its live status. Saved right away.</p>
+          <AccessTokenForm role="driver" label="Driver token" />
+        </div>
+
+        <div className="flex justify-between">
+          <button onClick={onReset} className="px-6 py-2 text-gray-400 hover:underline">
+            Restore defaults
+          </button>
+          <div className="flex space-x-4">
+            <button onClick={onClose} className="px-6 py-2 bg-gray-700 rounded-lg hover:opacity-90">
+              Cancel
+            </button>
+            <button
+              onClick={() => onSave(draft)}
+              disabled={hasErrors}
+              className="px-6 py-2 bg-gradient-to-r from-cyan-500 to-blue-600 rounded-lg font-semibold hover:opacity-90 transition disabled:opacity-50"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SettingsPanel;
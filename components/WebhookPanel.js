@@ -0,0 +1,167 @@
+// File: components/WebhookPanel.js - Manage webhook targets and failed deliveries
+import { useState, useEffect } from 'react';
+import {
+  listWebhooks, createWebhook, updateWebhook, deleteWebhook, sendTestEvent,
+  listDeadLetters, retryDeadLetter, discardDeadLetter, UnauthorizedError
+} from '../lib/webhookApi';
+import AccessTokenForm from './AccessTokenForm';
+
+const MIN_SEVERITY_OPTIONS = ['medium', 'high', 'critical'];
+
+const SEVERITY_BADGES = {
+  critical: 'bg-purple-900 text-purple-300',
+  high: 'bg-red-900 text-red-300',
+  medium: 'bg-yellow-900 text-yellow-300'
+};
+
+const WebhookPanel = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [url, setUrl] = useState('');
+  const [minSeverity, setMinSeverity] = useState('high');
+  const [newSecret, setNewSecret] = useState(null);
+  const [testResults, setTestResults] = useState({});
+  const [error, setError] = useState('');
+  const [unauthorized, setUnauthorized] = useState(false);
+
+  const refresh = async () => {
+    try {
+      const [targets, failed] = await Promise.all([listWebhooks(), listDeadLetters()]);
+      setWebhooks(targets);
+      setDeadLetters(failed);
+      setUnauthorized(false);
+      setError('');
+    } catch (loadError) {
+      console.error('Failed to load webhooks:', loadError);
+      setUnauthorized(loadError instanceof UnauthorizedError);
+      setError(loadError.message);
+    }
+  };
+
+  useEffect(() => {
+    refresh();
+  }, []);
+
+  // Runs an API call, surfaces its error in the panel and reloads the lists
+  const run = async (action) => {
+    try {
+      await action();
+      setError('');
+    } catch (actionError) {
+      console.error('Webhook request failed:', actionError);
+      setError(actionError.message);
+    }
+    refresh();
+  };
+
+  const addWebhook = () => run(async () => {
+    const created = await createWebhook({ url: url.trim(), minSeverity });
+    setNewSecret({ url: created.url, secret: created.secret });
+    setUrl('');
+  });
+
+  const toggleWebhook = (webhook) => run(() => updateWebhook(webhook.id, {
+    url: webhook.url,
+    description: webhook.description,
+    minSeverity: webhook.minSeverity,
+    enabled: !webhook.enabled
+  }));
+
+  const testWebhook = async (id) => {
+    setTestResults(prev => ({ ...prev, [id]: 'Sending…' }));
+    try {
+      const result = await sendTestEvent(id);
+      setTestResults(prev => ({ ...prev, [id]: result.delivered ? `Delivered (${result.status})` : `Failed: ${result.error}` }));
+    } catch (testError) {
+      setTestResults(prev => ({ ...prev, [id]: `Failed: ${testError.message}` }));
+    }
+  };
+
+  return (
+    <div className="bg-gray-800 rounded-2xl p-6 shadow-2xl">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-2xl font-semibold">Webhooks</h2>
+        <button onClick={refresh} className="px-3 py-1 bg-gray-700 hover:bg-gray-600 rounded-lg text-sm">Refresh</button>
+      </div>
+
+      {unauthorized && (
+        <div className="mb-4">
+          <AccessTokenForm role="admin" label="Admin token" onSaved={refresh} />
+        </div>
+      )}
+
+      <div className="flex space-x-2">
+        <input
+          type="url"
+          value={url}
+          onChange={(event) => setUrl(event.target.value)}
+          placeholder="https://dispatch.example.com/wakemate"
+          className="flex-1 bg-gray-900 rounded-lg p-2 text-white text-sm"
+        />
+        <select value={minSeverity} onChange={(event) => setMinSeverity(event.target.value)} className="bg-gray-900 rounded-lg p-2 text-white text-sm">
+          {MIN_SEVERITY_OPTIONS.map(severity => (
+            <option key={severity} value={severity}>{severity}+</option>
+          ))}
+        </select>
+        <button onClick={addWebhook} disabled={!url.trim()} className="px-4 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 rounded-lg text-sm font-semibold">
+          Add
+        </button>
+      </div>
+      {error && <p className="text-red-400 text-sm mt-2">{error}</p>}
+
+      {newSecret && (
+        <div className="mt-3 p-3 bg-yellow-900 bg-opacity-40 border border-yellow-700 rounded-lg text-sm">
+          <p>Signing secret for {newSecret.url}. Copy it now, it is not shown again:</p>
+          <code className="block mt-1 break-all text-yellow-300">{newSecret.secret}</code>
+          <button onClick={() => setNewSecret(null)} className="mt-2 text-gray-300 underline">Done</button>
+        </div>
+      )}
+
+      <div className="mt-4 space-y-2">
+        {webhooks.length === 0 && <p className="text-gray-400 text-sm">No webhook targets yet.</p>}
+        {webhooks.map(webhook => (
+          <div key={webhook.id} className="p-3 bg-gray-900 rounded-lg">
+            <div className="flex justify-between items-center">
+              <span className={`truncate mr-2 ${webhook.enabled ? '' : 'text-gray-500 line-through'}`}>{webhook.url}</span>
+              <span className={`px-2 py-1 rounded-full text-xs ${SEVERITY_BADGES[webhook.minSeverity]}`}>{webhook.minSeverity}+</span>
+            </div>
+            <div className="flex items-center space-x-3 mt-2 text-sm">
+              <span className="text-gray-500">secret {webhook.secretHint}</span>
+              <label className="flex items-center space-x-1">
+                <input type="checkbox" checked={webhook.enabled} onChange={() => toggleWebhook(webhook)} />
+                <span>Enabled</span>
+              </label>
+              <button onClick={() => testWebhook(webhook.id)} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded">Send test event</button>
+              <button onClick={() => run(() => deleteWebhook(webhook.id))} className="px-2 py-1 text-red-400 hover:text-red-300">Delete</button>
+            </div>
+            {testResults[webhook.id] && <p className="text-xs text-gray-400 mt-1">{testResults[webhook.id]}</p>}
+          </div>
+        ))}
+      </div>
+
+      <h3 className="text-lg font-semibold mt-6 mb-2">Failed Deliveries</h3>
+      {deadLetters.length === 0 ? (
+        <p className="text-gray-400 text-sm">Nothing in the dead-letter list.</p>
+      ) : (
+        <div className="space-y-2 max-h-64 overflow-y-auto pr-2">
+          {deadLetters.map(entry => (
+            <div key={entry.id} className="p-3 bg-gray-900 rounded-lg text-sm">
+              <div className="flex justify-between">
+                <span className="font-semibold">{entry.event.alert.severity} • {entry.event.alert.message}</span>
+                <span className="text-gray-400">{new Date(entry.failedAt).toLocaleTimeString()}</span>
+              </div>
+              <p className="text-gray-400 truncate">{entry.url}</p>
+              <p className="text-red-400">{entry.lastError} after {entry.attempts} attempt{entry.attempts === 1 ? '' : 's'}</p>
+              <div className="flex space-x-3 mt-2">
+                <button onClick={() => run(() => retryDeadLetter(entry.id))} className="px-2 py-1 bg-gray-700 hover:bg-gray-600 rounded">Retry</button>
+                <button onClick={() => run(() => discardDeadLetter(entry.id))} className="px-2 py-1 text-red-400 hover:text-red-300">Discard</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookPanel;
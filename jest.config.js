@@ -0,0 +1,10 @@
+// File: jest.config.js - Unit tests for the framework-free modules in lib/
+const nextJest = require('next/jest');
+
+// Reuses the app's SWC transform, so tests import lib/ modules as written
+const createJestConfig = nextJest({ dir: './' });
+
+module.exports = createJestConfig({
+  testEnvironment: 'node',
+  testMatch: ['<rootDir>/__tests__/**/*.test.js']
+});
@@ -0,0 +1,187 @@
+// File: lib/alarmSounds.js - Synthesized alarm profiles and user-supplied alarm audio
+import { putSound, getSound, deleteSound } from './sessionStore';
+
+const MAX_CUSTOM_SOUND_SIZE = 2 * 1024 * 1024;
+
+let audioContext = null;
+const customBuffers = new Map();
+
+const getAudioContext = () => {
+  if (!audioContext) {
+    audioContext = new (window.AudioContext || window.webkitAudioContext)();
+  }
+  // Browsers start contexts suspended until the page has seen a user gesture
+  if (audioContext.state === 'suspended') audioContext.resume();
+  return audioContext;
+};
+
+// One oscillator note: steps are [frequency, offset] pairs in Hz and seconds
+const tone = (ctx, destination, { start, duration, type = 'sine', steps, volume }) => {
+  const oscillator = ctx.createOscillator();
+  const gainNode = ctx.createGain();
+
+  oscillator.type = type;
+  oscillator.connect(gainNode);
+  gainNode.connect(destination);
+
+  steps.forEach(([frequency, offset]) => oscillator.frequency.setValueAtTime(frequency, start + offset));
+
+  gainNode.gain.setValueAtTime(volume, start);
+  gainNode.gain.exponentialRampToValueAtTime(0.01, start + duration);
+
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+};
+
+const sweep = (ctx, destination, { start, duration, type, from, to, volume }) => {
+  const oscillator = ctx.createOscillator();
+  const gainNode = ctx.createGain();
+
+  oscillator.type = type;
+  oscillator.connect(gainNode);
+  gainNode.connect(destination);
+
+  oscillator.frequency.setValueAtTime(from, start);
+  oscillator.frequency.linearRampToValueAtTime(to, start + duration / 2);
+  oscillator.frequency.linearRampToValueAtTime(from, start + duration);
+
+  gainNode.gain.setValueAtTime(volume, start);
+  gainNode.gain.setValueAtTime(volume, start + duration * 0.9);
+  gainNode.gain.exponentialRampToValueAtTime(0.01, start + duration);
+
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+};
+
+// Listed in rising urgency. Each play() schedules one repetition from start
+// and returns its length in seconds.
+export const SOUND_PROFILES = [
+  {
+    id: 'chime',
+    label: 'Chime',
+    play: (ctx, destination, start, volume) => {
+      tone(ctx, destination, { start, duration: 0.4, steps: [[660, 0]], volume });
+      tone(ctx, destination, { start: start + 0.25, duration: 0.5, steps: [[880, 0]], volume });
+      return 0.8;
+    }
+  },
+  {
+    id: 'chirp',
+    label: 'Chirp',
+    play: (ctx, destination, start, volume) => {
+      tone(ctx, destination, { start, duration: 0.5, steps: [[800, 0], [600, 0.1], [800, 0.2]], volume });
+      return 0.6;
+    }
+  },
+  {
+    id: 'pulse',
+    label: 'Triple Pulse',
+    play: (ctx, destination, start, volume) => {
+      [0, 0.2, 0.4].forEach(offset => {
+        tone(ctx, destination, { start: start + offset, duration: 0.12, type: 'square', steps: [[880, 0]], volume: volume * 0.6 });
+      });
+      return 0.7;
+    }
+  },
+  {
+    id: 'siren',
+    label: 'Siren',
+    play: (ctx, destination, start, volume) => {
+      sweep(ctx, destination, { start, duration: 0.9, type: 'sawtooth', from: 600, to: 1200, volume: volume * 0.5 });
+      return 1;
+    }
+  },
+  {
+    id: 'klaxon',
+    label: 'Klaxon',
+    play: (ctx, destination, start, volume) => {
+      [0, 0.2, 0.4, 0.6].forEach((offset, i) => {
+        tone(ctx, destination, { start: start + offset, duration: 0.18, type: 'square', steps: [[i % 2 ? 550 : 440, 0]], volume: volume * 0.7 });
+      });
+      return 0.9;
+    }
+  }
+];
+
+export const CUSTOM_SOUND = 'custom';
+export const NO_SOUND = 'none';
+
+export const SOUND_PROFILE_OPTIONS = [
+  ...SOUND_PROFILES.map(profile => ({ value: profile.id, label: profile.label })),
+  { value: CUSTOM_SOUND, label: 'Custom audio file' },
+  { value: NO_SOUND, label: 'Silent' }
+];
+
+export const DEFAULT_SOUND_PROFILES = {
+  medium: 'chime',
+  high: 'pulse',
+  critical: 'klaxon'
+};
+
+const loadCustomBuffer = async (ctx, severity) => {
+  if (!customBuffers.has(severity)) {
+    const sound = await getSound(severity);
+    const buffer = sound ? await ctx.decodeAudioData(await sound.blob.arrayBuffer()) : null;
+    customBuffers.set(severity, buffer);
+  }
+  return customBuffers.get(severity);
+};
+
+// Plays the alarm for a severity and resolves with its total length in ms.
+// A custom profile without an uploaded file falls back to the severity's default.
+export const playAlarm = async ({ severity, profile, volume, repeats = 1 }) => {
+  if (profile === NO_SOUND) return 0;
+
+  try {
+    const ctx = getAudioContext();
+    const destination = ctx.destination;
+    let start = ctx.currentTime + 0.05;
+    const startedAt = start;
+
+    const buffer = profile === CUSTOM_SOUND ? await loadCustomBuffer(ctx, severity) : null;
+    const synthesized = SOUND_PROFILES.find(item => item.id === profile) ||
+      SOUND_PROFILES.find(item => item.id === DEFAULT_SOUND_PROFILES[severity]);
+
+    for (let i = 0; i < repeats; i++) {
+      if (buffer) {
+        const source = ctx.createBufferSource();
+        const gainNode = ctx.createGain();
+        source.buffer = buffer;
+        gainNode.gain.setValueAtTime(volume, start);
+        source.connect(gainNode);
+        gainNode.connect(destination);
+        source.start(start);
+        start += buffer.duration + 0.2;
+      } else {
+        start += synthesized.play(ctx, destination, start, volume);
+      }
+    }
+
+    return (start - startedAt) * 1000;
+  } catch (error) {
+    console.error('Failed to play alarm:', error);
+    return 0;
+  }
+};
+
+export const saveCustomSound = async (severity, file) => {
+  if (!file.type.startsWith('audio/')) {
+    throw new Error('Choose an audio file');
+  }
+  if (file.size > MAX_CUSTOM_SOUND_SIZE) {
+    throw new Error('Audio files must be 2 MB or smaller');
+  }
+
+  await putSound({ id: severity, name: file.name, blob: file, savedAt: new Date().toISOString() });
+  customBuffers.delete(severity);
+};
+
+export const getCustomSoundName = async (severity) => {
+  const sound = await getSound(severity);
+  return sound ? sound.name : null;
+};
+
+export const removeCustomSound = async (severity) => {
+  await deleteSound(severity);
+  customBuffers.delete(severity);
+};
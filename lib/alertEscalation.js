@@ -0,0 +1,112 @@
+// File: lib/alertEscalation.js - Acknowledgement and escalation of active alerts
+import { SEVERITIES } from './drowsinessPipeline';
+
+const DEFAULT_ESCALATION_OPTIONS = {
+  // Alerts at or above this severity stay active until acknowledged
+  requireAckFrom: 'medium',
+  escalateAfter: 15000,
+  maxLevel: 4,
+  // How often an unacknowledged alert sounds again, per current severity
+  repeatIntervals: {
+    medium: 10000,
+    high: 6000,
+    critical: 3000
+  }
+};
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+
+// Volume for an alarm: louder for higher severities and for every escalation step
+export const alarmVolume = (severity, level) =>
+  Math.min(1, 0.15 + rank(severity) * 0.1 + level * 0.15);
+
+// Holds at most one active alert. A new alert only takes over if it is more
+// severe than the active one: repeats of the same severity arrive every few
+// seconds during ongoing drowsiness (pipeline cooldowns are shorter than
+// escalateAfter) and must not restart the escalation. Every method takes the
+// current time, so the policy runs the same under a fake clock.
+export const createAlertEscalator = (options = {}) => {
+  const config = {
+    ...DEFAULT_ESCALATION_OPTIONS,
+    ...options,
+    repeatIntervals: { ...DEFAULT_ESCALATION_OPTIONS.repeatIntervals, ...options.repeatIntervals }
+  };
+
+  let active = null;
+
+  const requiresAck = (severity) => rank(severity) >= rank(config.requireAckFrom);
+
+  // Returns the alarm to sound ({ severity, level, reason }) or null
+  const raise = (alert, now) => {
+    if (!requiresAck(alert.severity)) {
+      return null;
+    }
+    if (active && rank(active.severity) >= rank(alert.severity)) {
+      return null;
+    }
+
+    // The replaced alert is acknowledged together with the one replacing it
+    const superseded = active ? [...active.superseded, { alert: active.alert, raisedAt: active.raisedAt }] : [];
+    active = {
+      alert,
+      id: alert.id,
+      message: alert.message,
+      originalSeverity: alert.severity,
+      severity: alert.severity,
+      level: 0,
+      raisedAt: now,
+      escalatedAt: now,
+      alarmedAt: now,
+      superseded
+    };
+    return { severity: active.severity, level: active.level, reason: 'raised' };
+  };
+
+  // Call periodically; returns the alarm to sound, if any is due
+  const tick = (now) => {
+    if (!active) return null;
+
+    if (now - active.escalatedAt >= config.escalateAfter && active.level < config.maxLevel) {
+      active = {
+        ...active,
+        level: active.level + 1,
+        severity: SEVERITIES[Math.min(SEVERITIES.length - 1, rank(active.severity) + 1)],
+        escalatedAt: now,
+        alarmedAt: now
+      };
+      return { severity: active.severity, level: active.level, reason: 'escalated' };
+    }
+
+    if (now - active.alarmedAt >= config.repeatIntervals[active.severity]) {
+      active = { ...active, alarmedAt: now };
+      return { severity: active.severity, level: active.level, reason: 'repeat' };
+    }
+
+    return null;
+  };
+
+  // method: 'button' | 'keyboard' | 'gesture'
+  const acknowledge = (now, method) => {
+    if (!active) return null;
+
+    const acknowledged = {
+      alert: active.alert,
+      acknowledgedAt: now,
+      responseTime: now - active.raisedAt,
+      method,
+      escalationLevel: active.level,
+      escalatedTo: active.level > 0 ? active.severity : null,
+      superseded: active.superseded.map(item => ({ alert: item.alert, responseTime: now - item.raisedAt }))
+    };
+    active = null;
+    return acknowledged;
+  };
+
+  const getActive = () => active;
+
+  const reset = () => {
+    active = null;
+  };
+
+  return { raise, tick, acknowledge, getActive, reset };
+};
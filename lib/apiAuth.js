@@ -0,0 +1,31 @@
+// File: lib/apiAuth.js - Access tokens the browser sends to protected API routes
+//
+// Tokens are entered once per browser and kept in localStorage under
+// wakemate.token.<role>; the server side is lib/server/auth.js.
+const storageKey = (role) => `wakemate.token.${role}`;
+
+export const getAccessToken = (role) => {
+  try {
+    return window.localStorage.getItem(storageKey(role)) || '';
+  } catch (error) {
+    return '';
+  }
+};
+
+// An empty token removes the stored one
+export const setAccessToken = (role, token) => {
+  try {
+    if (token) {
+      window.localStorage.setItem(storageKey(role), token);
+    } else {
+      window.localStorage.removeItem(storageKey(role));
+    }
+  } catch (error) {
+    console.error('Failed to save access token:', error);
+  }
+};
+
+export const authHeaders = (role) => {
+  const token = getAccessToken(role);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
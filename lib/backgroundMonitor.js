@@ -0,0 +1,83 @@
+// File: lib/backgroundMonitor.js - Page Visibility warnings while detection runs in a hidden tab
+//
+// A hidden page gets no animation or video frames and its timers are slowed to
+// once a second or less, so detection effectively stops. Sound and speech keep
+// playing in the background, and a system notification shows over whatever
+// app took the foreground, so the driver hears and sees that nobody is watching.
+
+export const BACKGROUND_ALERT_MESSAGE = 'DETECTION PAUSED: WakeMate is in the background and cannot see you. Return to the app!';
+
+// Lets a later notification replace an earlier one instead of stacking
+const NOTIFICATION_TAG = 'wakemate-background';
+
+// Notifications created without a service worker, kept so they can be closed
+let pageNotification = null;
+
+// onHidden(timestamp) when the page is hidden, onVisible(timestamp, hiddenFor)
+// when it is shown again. Returns the function that stops watching.
+export const watchVisibility = ({ onHidden, onVisible }) => {
+  let hiddenAt = null;
+
+  const handleVisibilityChange = () => {
+    const now = Date.now();
+    if (document.visibilityState === 'hidden') {
+      if (hiddenAt !== null) return;
+      hiddenAt = now;
+      onHidden(now);
+    } else if (hiddenAt !== null) {
+      const hiddenFor = now - hiddenAt;
+      hiddenAt = null;
+      onVisible(now, hiddenFor);
+    }
+  };
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+};
+
+const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Ask when detection starts: browsers only show the prompt after a user gesture
+export const requestNotificationPermission = async () => {
+  if (!notificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  try {
+    return await Notification.requestPermission();
+  } catch (error) {
+    console.error('Notification permission request failed:', error);
+    return 'default';
+  }
+};
+
+// Shown through the service worker when there is one: Android browsers only
+// allow notifications from a worker. Resolves false when it could not be shown.
+export const showBackgroundNotification = async (body) => {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return false;
+
+  const options = { body, tag: NOTIFICATION_TAG, renotify: true, requireInteraction: true, icon: '/icons/icon-192.png' };
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) {
+      await registration.showNotification('WakeMate', options);
+    } else {
+      pageNotification = new Notification('WakeMate', options);
+    }
+    return true;
+  } catch (error) {
+    console.error('Background notification failed:', error);
+    return false;
+  }
+};
+
+// The warning is stale once the driver is back in the app
+export const clearBackgroundNotification = async () => {
+  pageNotification?.close();
+  pageNotification = null;
+  try {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    const notifications = registration ? await registration.getNotifications({ tag: NOTIFICATION_TAG }) : [];
+    notifications.forEach(notification => notification.close());
+  } catch (error) {
+    console.error('Failed to clear background notification:', error);
+  }
+};
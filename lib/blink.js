@@ -0,0 +1,54 @@
+// File: lib/blink.js - Blink event extraction and microsleep detection over the EAR stream
+const DEFAULT_BLINK_OPTIONS = {
+  minBlinkDuration: 50,
+  microsleepDuration: 500,
+  reopenRatio: 1.05
+};
+
+// Every closure (EAR below the driver's closed-eye threshold) is classified
+// when the eyes reopen: shorter than microsleepDuration is a blink, longer is
+// a microsleep. A microsleep is also reported the moment an ongoing closure
+// crosses microsleepDuration, so callers can alert before the eyes reopen;
+// that event's duration is then updated in place once the eyes reopen.
+export const createBlinkDetector = (options = {}) => {
+  const config = { ...DEFAULT_BLINK_OPTIONS, ...options };
+
+  let closedAt = null;
+  let ongoingMicrosleep = null;
+
+  const update = (ear, timestamp, threshold) => {
+    let blink = null;
+    let microsleep = null;
+
+    if (closedAt === null) {
+      if (ear < threshold) {
+        closedAt = timestamp;
+        ongoingMicrosleep = null;
+      }
+    } else if (ear >= threshold * config.reopenRatio) {
+      const duration = timestamp - closedAt;
+
+      if (ongoingMicrosleep) {
+        ongoingMicrosleep.duration = duration;
+      } else if (duration >= config.microsleepDuration) {
+        microsleep = { timestamp: closedAt, duration };
+      } else if (duration >= config.minBlinkDuration) {
+        blink = { timestamp: closedAt, duration };
+      }
+      closedAt = null;
+      ongoingMicrosleep = null;
+    } else if (!ongoingMicrosleep && timestamp - closedAt >= config.microsleepDuration) {
+      microsleep = { timestamp: closedAt, duration: timestamp - closedAt };
+      ongoingMicrosleep = microsleep;
+    }
+
+    return { closed: closedAt !== null, blink, microsleep };
+  };
+
+  const reset = () => {
+    closedAt = null;
+    ongoingMicrosleep = null;
+  };
+
+  return { update, reset };
+};
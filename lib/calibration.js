@@ -0,0 +1,115 @@
+// File: lib/calibration.js - Per-driver EAR/MAR baseline and road-ahead gaze calibration
+import { deriveGazeZone } from './gaze';
+
+const STORAGE_KEY = 'wakemate.calibration';
+const MIN_SAMPLES_PER_STEP = 10;
+const MIN_EYE_SEPARATION = 0.04;
+
+// Population defaults, used until a driver has calibrated
+export const DEFAULT_THRESHOLDS = {
+  earClosed: 0.2,
+  earCritical: 0.15,
+  marYawn: 1.0
+};
+
+export const CALIBRATION_STEPS = [
+  {
+    id: 'open',
+    title: 'Eyes Open',
+    instruction: 'Look at the camera as you normally would while driving. Blink naturally.',
+    duration: 9000
+  },
+  {
+    id: 'closed',
+    title: 'Eyes Closed',
+    instruction: 'Gently close your eyes and keep them closed until you hear the tone.',
+    duration: 8000
+  },
+  {
+    id: 'neutral',
+    title: 'Neutral Mouth',
+    instruction: 'Eyes open, mouth relaxed and closed. Do not talk.',
+    duration: 8000
+  },
+  {
+    id: 'road',
+    title: 'Road Ahead',
+    instruction: 'Look at the road ahead through the windscreen, the way you watch it while driving.',
+    duration: 6000
+  }
+];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// null for calibrations sampled without head poses
+const deriveRoadPose = (samples) => {
+  const poses = samples.filter(s => s.headPose).map(s => s.headPose);
+  if (poses.length < MIN_SAMPLES_PER_STEP) return null;
+  return { yaw: median(poses.map(pose => pose.yaw)), pitch: median(poses.map(pose => pose.pitch)) };
+};
+
+export const deriveThresholds = (samples) => {
+  CALIBRATION_STEPS.forEach(step => {
+    if (!samples[step.id] || samples[step.id].length < MIN_SAMPLES_PER_STEP) {
+      throw new Error(`Not enough face samples during "${step.title}". Make sure your face is visible and try again.`);
+    }
+  });
+
+  const earOpen = median(samples.open.map(s => s.ear));
+  const earShut = median(samples.closed.map(s => s.ear));
+  const marNeutral = median(samples.neutral.map(s => s.mar));
+
+  if (earOpen - earShut < MIN_EYE_SEPARATION) {
+    throw new Error('Open and closed eye samples look the same. Check the lighting and try again.');
+  }
+
+  // Thresholds sit at fixed fractions of the driver's own open/closed range,
+  // matching where the population defaults fall on a typical 0.30/0.05 range
+  const range = earOpen - earShut;
+
+  return {
+    baseline: { earOpen, earClosed: earShut, marNeutral },
+    thresholds: {
+      earClosed: earShut + range * 0.6,
+      earCritical: earShut + range * 0.4,
+      marYawn: Math.max(marNeutral * 2, marNeutral + 0.5)
+    },
+    // null without iris landmarks; detection then centres a default zone on the driver's usual gaze
+    gazeZone: deriveGazeZone(samples.road.filter(s => s.gaze).map(s => s.gaze)),
+    // Head pose while watching the road: where looking-away is measured from
+    roadPose: deriveRoadPose(samples.road),
+    calibratedAt: new Date().toISOString()
+  };
+};
+
+export const loadCalibration = () => {
+  if (typeof window === 'undefined') return null;
+
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Failed to read calibration:', error);
+    return null;
+  }
+};
+
+export const saveCalibration = (calibration) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(calibration));
+  } catch (error) {
+    console.error('Failed to save calibration:', error);
+  }
+};
+
+export const clearCalibration = () => {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to clear calibration:', error);
+  }
+};
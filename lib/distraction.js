@@ -0,0 +1,129 @@
+// File: lib/distraction.js - Face-absent and looking-away episodes with their own severity ladder
+//
+// Drowsiness can only be scored while a face is visible. This tracks the time
+// the driver is out of frame or facing away from the road, which the score
+// cannot see. Like the pipeline, it runs on frame timestamps only.
+import { createDirectionSettler } from './headPose';
+
+const DEFAULT_DISTRACTION_OPTIONS = {
+  // Degrees away from the driver's usual head pose that count as looking away
+  yawLimit: 30,
+  pitchDownLimit: 25,
+  pitchUpLimit: 20,
+  // How fast the usual pose follows the driver while attentive
+  baselineSmoothing: 0.02,
+  // Calibrated head pose while watching the road ({ yaw, pitch }); without
+  // one the usual pose is taken once the head has held still (createDirectionSettler)
+  baseline: null,
+  // An episode only ends after this long back on the road, so a single good
+  // frame in the middle of a glance does not restart the clock
+  recoverAfter: 500,
+  // Episode duration (ms) at which each severity is reached. Glances over
+  // 2 s away from the road are where crash risk starts to climb.
+  ladders: {
+    'face-absent': { medium: 2000, high: 4000, critical: 8000 },
+    'looking-away': { medium: 2000, high: 3500, critical: 6000 }
+  }
+};
+
+export const DISTRACTION_STATES = ['attentive', 'looking-away', 'face-absent'];
+
+export const DISTRACTION_LABELS = {
+  'face-absent': 'Face not visible',
+  'looking-away': 'Looking away'
+};
+
+const LADDER_SEVERITIES = ['medium', 'high', 'critical'];
+
+const MESSAGES = {
+  'face-absent': {
+    medium: (seconds) => `DISTRACTION: No face in view for ${seconds} s. Eyes on the road!`,
+    high: (seconds) => `HIGH ALERT: Driver out of view for ${seconds} s. Are you OK?`,
+    critical: (seconds) => `CRITICAL: Driver not visible for ${seconds} s! Check on the driver now!`
+  },
+  'looking-away': {
+    medium: (seconds) => `DISTRACTION: Eyes off the road for ${seconds} s`,
+    high: (seconds) => `HIGH ALERT: Looking away for ${seconds} s. Eyes on the road!`,
+    critical: (seconds) => `CRITICAL: Looking away for ${seconds} s! Eyes on the road now!`
+  }
+};
+
+export const distractionMessage = (state, severity, duration) =>
+  MESSAGES[state][severity]((duration / 1000).toFixed(1).replace(/\.0$/, ''));
+
+// headPose: { pitch, yaw }, or null when no face was found in the frame;
+// gazeOffRoad: the eyes are outside the road-ahead zone (lib/gaze.js) even
+// if the head is not turned.
+// Returns { state, duration, severity, escalated }: state is 'attentive',
+// 'looking-away' or 'face-absent'; severity the highest ladder step reached
+// this episode (null below the first); escalated true on the frame a new
+// step is reached, which is when an alert is due.
+export const createDistractionDetector = (options = {}) => {
+  const config = {
+    ...DEFAULT_DISTRACTION_OPTIONS,
+    ...options,
+    ladders: { ...DEFAULT_DISTRACTION_OPTIONS.ladders, ...options.ladders }
+  };
+
+  const settler = createDirectionSettler();
+  let baseline = config.baseline && { ...config.baseline };
+  let episode = null;
+
+  const isOffAxis = (headPose) => {
+    const yaw = headPose.yaw - baseline.yaw;
+    const pitch = headPose.pitch - baseline.pitch;
+    return Math.abs(yaw) > config.yawLimit || pitch > config.pitchDownLimit || pitch < -config.pitchUpLimit;
+  };
+
+  const update = (headPose, timestamp, gazeOffRoad = false) => {
+    if (headPose && !baseline) baseline = settler.update(headPose, timestamp);
+
+    // Until the usual pose is known a turned head cannot be told from a straight one
+    const turned = Boolean(headPose && baseline) && isOffAxis(headPose);
+    const state = !headPose ? 'face-absent' : turned || gazeOffRoad ? 'looking-away' : 'attentive';
+
+    if (state === 'attentive') {
+      if (baseline) {
+        baseline.pitch += (headPose.pitch - baseline.pitch) * config.baselineSmoothing;
+        baseline.yaw += (headPose.yaw - baseline.yaw) * config.baselineSmoothing;
+      }
+
+      if (!episode) return { state, duration: 0, severity: null, escalated: false };
+      if (episode.attentiveSince === null) episode.attentiveSince = timestamp;
+      if (timestamp - episode.attentiveSince >= config.recoverAfter) {
+        episode = null;
+        return { state, duration: 0, severity: null, escalated: false };
+      }
+    } else if (!episode) {
+      episode = { startedAt: timestamp, state, severity: null, attentiveSince: null };
+    } else {
+      episode.state = state;
+      episode.attentiveSince = null;
+    }
+
+    // Turning away and then out of frame is one episode; the current kind sets the ladder
+    const duration = timestamp - episode.startedAt;
+    const ladder = config.ladders[episode.state];
+    const reached = LADDER_SEVERITIES.filter(severity => duration >= ladder[severity]).pop() || null;
+    const escalated = Boolean(reached) &&
+      LADDER_SEVERITIES.indexOf(reached) > LADDER_SEVERITIES.indexOf(episode.severity);
+    if (escalated) episode.severity = reached;
+
+    return { state: episode.state, duration, severity: episode.severity, escalated };
+  };
+
+  // A new calibration takes effect at once; null goes back to settling
+  const setBaseline = (next) => {
+    config.baseline = next || null;
+    baseline = config.baseline && { ...config.baseline };
+    settler.reset();
+  };
+
+  const reset = () => {
+    baseline = config.baseline && { ...config.baseline };
+    settler.reset();
+    episode = null;
+  };
+
+  return { update, setBaseline, reset };
+};
@@ -0,0 +1,44 @@
+// File: lib/driverIdentity.js - Stable per-browser driver id used to tag synced data
+const STORAGE_KEY = 'wakemate.driverId';
+const KEY_STORAGE_KEY = 'wakemate.driverKey';
+
+let cachedId = null;
+let cachedKey = null;
+
+// Generated on first use and kept in localStorage, so every session from this
+// browser is attributed to the same driver on the server
+export const getDriverId = () => {
+  if (cachedId) return cachedId;
+
+  try {
+    cachedId = window.localStorage.getItem(STORAGE_KEY);
+    if (!cachedId) {
+      cachedId = `driver-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+      window.localStorage.setItem(STORAGE_KEY, cachedId);
+    }
+  } catch (error) {
+    console.error('Failed to persist driver id:', error);
+    cachedId = cachedId || `driver-${Math.random().toString(36).slice(2, 10)}`;
+  }
+  return cachedId;
+};
+
+const randomKey = () => Array.from(window.crypto.getRandomValues(new Uint8Array(24)), byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Secret sent with live updates: the server binds the driver id to it while
+// the session is live, so only this browser can update or end it
+export const getDriverKey = () => {
+  if (cachedKey) return cachedKey;
+
+  try {
+    cachedKey = window.localStorage.getItem(KEY_STORAGE_KEY);
+    if (!cachedKey) {
+      cachedKey = randomKey();
+      window.localStorage.setItem(KEY_STORAGE_KEY, cachedKey);
+    }
+  } catch (error) {
+    console.error('Failed to persist driver key:', error);
+    cachedKey = cachedKey || randomKey();
+  }
+  return cachedKey;
+};
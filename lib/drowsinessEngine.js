@@ -0,0 +1,133 @@
+// File: lib/drowsinessEngine.js - Framework-free detection engine with an explicit lifecycle
+//
+// An engine owns one pipeline and all of its state, so several can run side
+// by side and every start() begins from a clean slate. The landmark model and
+// the clock are injected: the browser passes createFaceMeshClient() and the
+// default Date.now, tests pass canned landmarks and a fake clock.
+import { DEFAULT_THRESHOLDS } from './calibration';
+import { createDrowsinessPipeline } from './drowsinessPipeline';
+
+// state: lifecycle changes; landmarks: { landmarks, timestamp } for every
+// analysed frame; result: the pipeline result; score: { score, timestamp }
+// while a face is visible; alert: { message, severity, kind, timestamp };
+// error: inference failures
+export const ENGINE_EVENTS = ['state', 'landmarks', 'result', 'score', 'alert', 'error'];
+
+// model: { init() -> Promise<boolean>, estimate(input) -> Promise<landmarks | null>, getStatus() }.
+// The engine does not dispose the model; whoever created it does.
+// options: { clock, cooldowns, gazeZone, roadPose }
+export const createDrowsinessEngine = ({ model, clock = Date.now, cooldowns, gazeZone, roadPose } = {}) => {
+  if (!model) throw new Error('createDrowsinessEngine needs a model');
+
+  const pipeline = createDrowsinessPipeline({ cooldowns, gazeZone, roadPose });
+  const listeners = Object.fromEntries(ENGINE_EVENTS.map(event => [event, new Set()]));
+
+  // state: 'idle' | 'running' | 'disposed'
+  let state = 'idle';
+  let thresholds = DEFAULT_THRESHOLDS;
+
+  const emit = (event, payload) => {
+    listeners[event].forEach(listener => listener(payload));
+  };
+
+  const setState = (next) => {
+    state = next;
+    emit('state', next);
+  };
+
+  const assertUsable = () => {
+    if (state === 'disposed') throw new Error('Drowsiness engine has been disposed');
+  };
+
+  // Returns the unsubscribe function
+  const on = (event, listener) => {
+    if (!listeners[event]) throw new Error(`Unknown engine event "${event}"`);
+    listeners[event].add(listener);
+    return () => listeners[event].delete(listener);
+  };
+
+  // Loads the model ahead of the first frame; resolves false when it could not
+  // be loaded. processFrame calls it too, so this is only needed to warm up.
+  const init = () => {
+    assertUsable();
+    return model.init();
+  };
+
+  // Starting again while running restarts: the pipeline is cleared either way
+  const start = ({ thresholds: next = DEFAULT_THRESHOLDS } = {}) => {
+    assertUsable();
+    pipeline.reset();
+    thresholds = next;
+    setState('running');
+  };
+
+  const stop = () => {
+    if (state === 'running') setState('idle');
+  };
+
+  // input is whatever the model estimates from (a video element in the
+  // browser). Resolves with the pipeline result, or null when the engine was
+  // stopped while the frame was being analysed.
+  const processFrame = async (input) => {
+    if (state !== 'running') throw new Error(`Drowsiness engine is ${state}; call start() first`);
+
+    const initialized = await model.init();
+    if (!initialized) {
+      const result = { score: null, alert: false, message: `Model unavailable: ${model.getStatus().reason}` };
+      emit('result', result);
+      return result;
+    }
+
+    let landmarks;
+    try {
+      landmarks = await model.estimate(input);
+    } catch (error) {
+      console.error('Detection error:', error);
+      emit('error', error);
+      const result = { score: null, alert: false, message: 'Detection error' };
+      emit('result', result);
+      return result;
+    }
+    if (state !== 'running') return null;
+
+    const timestamp = clock();
+    emit('landmarks', { landmarks, timestamp });
+
+    const result = pipeline.process(landmarks, timestamp, thresholds);
+    emit('result', result);
+    if (result.score !== null) emit('score', { score: result.score, timestamp });
+    if (result.alert) {
+      emit('alert', { message: result.message, severity: result.severity, kind: result.kind, timestamp });
+    }
+    return result;
+  };
+
+  // Clears detection state without leaving the current lifecycle state
+  const reset = () => {
+    assertUsable();
+    pipeline.reset();
+  };
+
+  const dispose = () => {
+    if (state === 'disposed') return;
+    setState('disposed');
+    ENGINE_EVENTS.forEach(event => listeners[event].clear());
+  };
+
+  const getState = () => state;
+
+  return {
+    init,
+    start,
+    stop,
+    processFrame,
+    reset,
+    dispose,
+    on,
+    getState,
+    setCooldowns: pipeline.setCooldowns,
+    setGazeZone: pipeline.setGazeZone,
+    setRoadPose: pipeline.setRoadPose,
+    getGazeHeatMap: pipeline.getGazeHeatMap
+  };
+};
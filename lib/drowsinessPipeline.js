@@ -0,0 +1,300 @@
+// File: lib/drowsinessPipeline.js - Landmarks to score and alerts, driven by frame timestamps
+//
+// Nothing in here reads the wall clock: every frame carries its own timestamp,
+// so a recorded landmark stream replays to exactly the same scores and alerts
+// in the browser or in Node.
+import { DEFAULT_THRESHOLDS } from './calibration';
+import { estimateHeadPose, createNodDetector, createHeadShakeDetector } from './headPose';
+import { createYawnDetector } from './yawn';
+import { createBlinkDetector } from './blink';
+import { computeExpressionFeatures } from './expressions';
+import { createMetricsEngine } from './metricsEngine';
+import { createFatigueForecaster } from './fatigueForecast';
+import { createDistractionDetector, distractionMessage } from './distraction';
+import { estimateGaze, createGazeTracker } from './gaze';
+import { LEFT_EYE, RIGHT_EYE, MOUTH } from './landmarkIndices';
+
+export const calculateEAR = (landmarks) => {
+  const getEyeEAR = (eyeIndices) => {
+    const p1 = landmarks[eyeIndices[0]];
+    const p2 = landmarks[eyeIndices[1]];
+    const p3 = landmarks[eyeIndices[2]];
+    const p4 = landmarks[eyeIndices[3]];
+    const p5 = landmarks[eyeIndices[4]];
+    const p6 = landmarks[eyeIndices[5]];
+
+    const v1 = Math.sqrt(Math.pow(p2[0] - p6[0], 2) + Math.pow(p2[1] - p6[1], 2));
+    const v2 = Math.sqrt(Math.pow(p3[0] - p5[0], 2) + Math.pow(p3[1] - p5[1], 2));
+    const h = Math.sqrt(Math.pow(p1[0] - p4[0], 2) + Math.pow(p1[1] - p4[1], 2));
+
+    return (v1 + v2) / (2 * h);
+  };
+
+  const leftEAR = getEyeEAR(LEFT_EYE);
+  const rightEAR = getEyeEAR(RIGHT_EYE);
+
+  return (leftEAR + rightEAR) / 2;
+};
+
+export const calculateMAR = (landmarks) => {
+  const p1 = landmarks[MOUTH[0]];
+  const p2 = landmarks[MOUTH[1]];
+  const p3 = landmarks[MOUTH[2]];
+  const p4 = landmarks[MOUTH[3]];
+  const p5 = landmarks[MOUTH[4]];
+  const p6 = landmarks[MOUTH[5]];
+  const p7 = landmarks[MOUTH[6]];
+  const p8 = landmarks[MOUTH[7]];
+
+  const v1 = Math.sqrt(Math.pow(p2[0] - p8[0], 2) + Math.pow(p2[1] - p8[1], 2));
+  const v2 = Math.sqrt(Math.pow(p3[0] - p7[0], 2) + Math.pow(p3[1] - p7[1], 2));
+  const v3 = Math.sqrt(Math.pow(p4[0] - p6[0], 2) + Math.pow(p4[1] - p6[1], 2));
+  const h = Math.sqrt(Math.pow(p1[0] - p5[0], 2) + Math.pow(p1[1] - p5[1], 2));
+
+  return (v1 + v2 + v3) / (3 * h);
+};
+
+export const calculateCompositeScore = (ear, windowed, emotions, thresholds = DEFAULT_THRESHOLDS) => {
+  const earScore = Math.max(0, 100 * (thresholds.earClosed - ear) / thresholds.earClosed);
+  const yawnScore = Math.min(100, windowed.yawnRate * 25);
+  const perclosScore = windowed.perclos * 100;
+  const nodScore = Math.min(100, windowed.nodsPerMinute * 35);
+
+  let emotionScore = 0;
+  if (emotions?.drowsy > 0.7) emotionScore += 30;
+  if (emotions?.stressed > 0.6) emotionScore += 20;
+
+  const compositeScore =
+    (earScore * 0.35) +
+    (yawnScore * 0.25) +
+    (perclosScore * 0.2) +
+    (nodScore * 0.1) +
+    (emotionScore * 0.1);
+
+  return Math.min(100, Math.max(0, compositeScore));
+};
+
+// Lowest to highest
+export const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+// Severity band of a composite score; same cut-offs as the camera overlay status
+export const scoreSeverity = (score) => {
+  if (score < 30) return 'low';
+  if (score < 60) return 'medium';
+  if (score < 80) return 'high';
+  return 'critical';
+};
+
+// How long (ms) further alerts are held back after an alert of each severity
+export const DEFAULT_COOLDOWNS = {
+  critical: 10000,
+  high: 10000,
+  medium: 3000,
+  low: 5000
+};
+
+const NO_ALERT = { shouldAlert: false, message: '', severity: 'low' };
+
+// Conditions are checked from most to least severe, so the result is the most
+// severe alert the frame warrants. Cooldowns are left to the caller.
+export const evaluateAlertConditions = (score, ear, events, windowed, emotions, thresholds = DEFAULT_THRESHOLDS) => {
+  // Microsleeps are reported once per closure, so they bypass cooldowns
+  if (events.microsleep) {
+    return {
+      shouldAlert: true,
+      message: windowed.microsleepCount > 1
+        ? `CRITICAL: ${windowed.microsleepCount} microsleeps in 10 minutes! Pull over now!`
+        : 'MICROSLEEP: Your eyes stayed closed too long. Pull over safely!',
+      severity: windowed.microsleepCount > 1 ? 'critical' : 'high',
+      bypassCooldown: true
+    };
+  }
+
+  if (ear < thresholds.earCritical && windowed.perclos > 0.8) {
+    return {
+      shouldAlert: true,
+      message: 'CRITICAL: Extreme drowsiness detected! Immediate attention required!',
+      severity: 'critical'
+    };
+  }
+
+  if (windowed.nodsPerMinute >= 3) {
+    return {
+      shouldAlert: true,
+      message: 'CRITICAL: Repeated head nodding detected! Pull over now!',
+      severity: 'critical'
+    };
+  }
+
+  if (events.nod) {
+    return {
+      shouldAlert: true,
+      message: 'HIGH ALERT: Head nod detected. You are falling asleep!',
+      severity: 'high'
+    };
+  }
+
+  if (score > 75 || windowed.yawnRate >= 4 || (ear < thresholds.earClosed && events.yawn)) {
+    return {
+      shouldAlert: true,
+      message: 'HIGH ALERT: Significant drowsiness detected. Take a break!',
+      severity: 'high'
+    };
+  }
+
+  if (score > 50 || windowed.perclos > 0.5 || windowed.yawnRate >= 2) {
+    return {
+      shouldAlert: true,
+      message: 'WARNING: Early signs of drowsiness detected',
+      severity: 'medium'
+    };
+  }
+
+  if (score > 30) {
+    return {
+      shouldAlert: true,
+      message: 'Notice: Mild fatigue detected. Stay alert!',
+      severity: 'low'
+    };
+  }
+
+  return NO_ALERT;
+};
+
+// options: { cooldowns, gazeZone, roadPose } (gazeZone and roadPose from
+// calibration, see lib/gaze.js and lib/distraction.js)
+export const createDrowsinessPipeline = (options = {}) => {
+  let cooldowns = { ...DEFAULT_COOLDOWNS, ...options.cooldowns };
+  const metricsEngine = createMetricsEngine();
+  const forecaster = createFatigueForecaster();
+  const distractionDetector = createDistractionDetector({ baseline: options.roadPose });
+  const gazeTracker = createGazeTracker({ zone: options.gazeZone });
+  const nodDetector = createNodDetector();
+  const yawnDetector = createYawnDetector();
+  const blinkDetector = createBlinkDetector();
+  const shakeDetector = createHeadShakeDetector();
+  let cooldownUntil = {};
+
+  // An alert is held back while its own severity or any higher one is cooling
+  // down, so a critical alert always breaks through a low one's cooldown
+  const isCoolingDown = (severity, timestamp) =>
+    SEVERITIES.slice(SEVERITIES.indexOf(severity)).some(level => timestamp < (cooldownUntil[level] || 0));
+
+  // Distraction alerts follow their own ladder, one alert per step, so they
+  // skip cooldowns. They take the frame unless a drowsiness alert is more severe.
+  const withDistraction = (alertResult, distraction) => {
+    if (!distraction.escalated) return alertResult;
+    if (alertResult.shouldAlert && SEVERITIES.indexOf(alertResult.severity) > SEVERITIES.indexOf(distraction.severity)) {
+      return alertResult;
+    }
+    return {
+      shouldAlert: true,
+      message: distractionMessage(distraction.state, distraction.severity, distraction.duration),
+      severity: distraction.severity,
+      kind: 'distraction',
+      bypassCooldown: true
+    };
+  };
+
+  // landmarks: scaled mesh, or null when no face was found in the frame. With
+  // no face there is no score: it is null, never 0, which would read as alert.
+  const process = (landmarks, timestamp, thresholds = DEFAULT_THRESHOLDS) => {
+    if (!landmarks) {
+      gazeTracker.update(null, timestamp);
+      const distraction = distractionDetector.update(null, timestamp);
+      const alertResult = withDistraction(NO_ALERT, distraction);
+      return {
+        score: null,
+        alert: alertResult.shouldAlert,
+        message: alertResult.shouldAlert ? alertResult.message : 'No face detected',
+        severity: alertResult.severity,
+        kind: alertResult.kind,
+        distraction
+      };
+    }
+
+    const ear = calculateEAR(landmarks);
+    const mar = calculateMAR(landmarks);
+    const emotions = computeExpressionFeatures(landmarks);
+    const headPose = estimateHeadPose(landmarks);
+
+    const { nod } = nodDetector.update(headPose.pitch, timestamp);
+    const { yawn, phase: yawnPhase } = yawnDetector.update(mar, timestamp, thresholds.marYawn);
+    const { blink, microsleep } = blinkDetector.update(ear, timestamp, thresholds.earClosed);
+    const { shake } = shakeDetector.update(headPose.yaw, timestamp);
+    // Iris positions are unreliable behind closed lids
+    const gaze = gazeTracker.update(ear < thresholds.earClosed ? null : estimateGaze(landmarks, headPose), timestamp);
+    const distraction = distractionDetector.update(headPose, timestamp, gaze.onRoad === false);
+    const events = { nod, yawn, blink, microsleep };
+
+    metricsEngine.record({ timestamp, ear, mar, eyesClosed: ear < thresholds.earClosed });
+    Object.keys(events).forEach(type => {
+      if (events[type]) metricsEngine.recordEvent(type, events[type]);
+    });
+
+    const windowed = metricsEngine.getSnapshot(timestamp);
+    const drowsinessScore = calculateCompositeScore(ear, windowed, emotions, thresholds);
+    metricsEngine.recordScore(timestamp, drowsinessScore);
+    const forecast = forecaster.update(timestamp, drowsinessScore);
+
+    let alertResult = evaluateAlertConditions(drowsinessScore, ear, events, windowed, emotions, thresholds);
+    if (alertResult.shouldAlert && !alertResult.bypassCooldown && isCoolingDown(alertResult.severity, timestamp)) {
+      alertResult = NO_ALERT;
+    }
+    alertResult = withDistraction(alertResult, distraction);
+    // The plan-a-break notice is advisory: it only goes out on a frame with
+    // nothing more pressing, and counts as a low alert for cooldowns
+    if (!alertResult.shouldAlert && forecaster.isNoticeDue(forecast, timestamp) && !isCoolingDown('low', timestamp)) {
+      forecaster.markNoticed(timestamp);
+      alertResult = {
+        shouldAlert: true,
+        message: `Plan a break: critical fatigue likely within about ${Math.max(1, Math.round(forecast.minutes))} minutes`,
+        severity: 'low',
+        kind: 'forecast'
+      };
+    }
+    if (alertResult.shouldAlert && alertResult.kind !== 'distraction') {
+      cooldownUntil[alertResult.severity] = timestamp + cooldowns[alertResult.severity];
+    }
+
+    return {
+      score: drowsinessScore,
+      alert: alertResult.shouldAlert,
+      message: alertResult.message,
+      severity: alertResult.severity,
+      kind: alertResult.kind,
+      metrics: { ear, mar, emotions, headPose, yawning: yawnPhase === 'open', ...windowed, forecast, gaze },
+      distraction,
+      headShake: Boolean(shake),
+      landmarks
+    };
+  };
+
+  const setCooldowns = (next) => {
+    cooldowns = { ...DEFAULT_COOLDOWNS, ...next };
+  };
+
+  const setGazeZone = (zone) => {
+    gazeTracker.setZone(zone);
+  };
+
+  const setRoadPose = (pose) => {
+    distractionDetector.setBaseline(pose);
+  };
+
+  const getGazeHeatMap = () => gazeTracker.getHeatMap();
+
+  const reset = () => {
+    cooldownUntil = {};
+    metricsEngine.reset();
+    forecaster.reset();
+    distractionDetector.reset();
+    gazeTracker.reset();
+    nodDetector.reset();
+    yawnDetector.reset();
+    blinkDetector.reset();
+    shakeDetector.reset();
+  };
+
+  return { process, setCooldowns, setGazeZone, setRoadPose, getGazeHeatMap, reset };
+};
@@ -0,0 +1,86 @@
+// File: lib/exporter.js - Client-side CSV and JSON export of stored sessions
+export const EXPORT_SCHEMA = 'wakemate.sessions';
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const EXPORT_FIELDS = [
+  { id: 'score', label: 'Drowsiness Score' },
+  { id: 'ear', label: 'EAR' },
+  { id: 'mar', label: 'MAR' },
+  { id: 'perclos', label: 'PERCLOS' },
+  { id: 'blinkRate', label: 'Blink Rate (/min)' },
+  { id: 'yawnRate', label: 'Yawns (/10 min)' },
+  { id: 'nodsPerMinute', label: 'Head Nods (/min)' }
+];
+
+const inRange = (time, { from, to }) => (from === null || time >= from) && (to === null || time <= to);
+
+// sessions: full records from getSession; range: { from, to } in ms (null = open)
+export const buildExport = (sessions, { range, fields, includeAlerts }) => ({
+  schema: EXPORT_SCHEMA,
+  version: EXPORT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  range: {
+    from: range.from === null ? null : new Date(range.from).toISOString(),
+    to: range.to === null ? null : new Date(range.to).toISOString()
+  },
+  fields,
+  sessions: sessions.map(session => ({
+    id: session.id,
+    startedAt: new Date(session.startedAt).toISOString(),
+    endedAt: session.endedAt ? new Date(session.endedAt).toISOString() : null,
+    thresholds: session.thresholds,
+    summary: session.summary,
+    samples: session.samples
+      .filter(sample => inRange(sample.timestamp, range))
+      .map(sample => {
+        const row = { timestamp: new Date(sample.timestamp).toISOString() };
+        fields.forEach(field => {
+          row[field] = sample[field] ?? null;
+        });
+        return row;
+      }),
+    alerts: includeAlerts
+      ? session.alerts
+          .filter(alert => inRange(new Date(alert.timestamp).getTime(), range))
+          .map(({ id, timestamp, severity, message }) => ({ id, timestamp, severity, message }))
+      : []
+  }))
+});
+
+export const toJSON = (exportData) => JSON.stringify(exportData, null, 2);
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One table for both record types, told apart by record_type, so the file
+// opens directly in a spreadsheet and filters cleanly
+export const toCSV = (exportData) => {
+  const header = ['record_type', 'session_id', 'timestamp', ...exportData.fields, 'severity', 'message'];
+  const rows = [header];
+
+  exportData.sessions.forEach(session => {
+    session.samples.forEach(sample => {
+      rows.push(['sample', session.id, sample.timestamp, ...exportData.fields.map(field => sample[field]), '', '']);
+    });
+    session.alerts.forEach(alert => {
+      rows.push(['alert', session.id, alert.timestamp, ...exportData.fields.map(() => ''), alert.severity, alert.message]);
+    });
+  });
+
+  return rows.map(row => row.map(escapeCSV).join(',')).join('\r\n');
+};
+
+export const downloadFile = (content, filename, mimeType) => {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
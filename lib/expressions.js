@@ -0,0 +1,100 @@
+// File: lib/expressions.js - Landmark-derived expression features
+//
+// Every feature is a pure function of one frame's face mesh, measured in 2D
+// image space and divided by the inter-ocular distance (outer eye corners) so
+// it does not depend on how close the driver sits to the camera. Each is
+// mapped onto 0..1, where 0 is a typical relaxed face and 1 is a strongly
+// expressed feature. The reference proportions come from the MediaPipe
+// canonical face model.
+
+const LEFT_EYE_OUTER = 33;
+const LEFT_EYE_INNER = 133;
+const RIGHT_EYE_OUTER = 263;
+const RIGHT_EYE_INNER = 362;
+const LEFT_UPPER_LID = 159;
+const LEFT_LOWER_LID = 145;
+const RIGHT_UPPER_LID = 386;
+const RIGHT_LOWER_LID = 374;
+const LEFT_BROW = 105;
+const RIGHT_BROW = 334;
+const LEFT_LIP_CORNER = 61;
+const RIGHT_LIP_CORNER = 291;
+const UPPER_LIP_INNER = 13;
+const LOWER_LIP_INNER = 14;
+
+const NEUTRAL_BROW_HEIGHT = 0.17;
+const LOWERED_BROW_RANGE = 0.06;
+const OPEN_LID_APERTURE = 0.28;
+const DROOP_RANGE = 0.2;
+const NEUTRAL_MOUTH_WIDTH = 0.55;
+const STRETCHED_MOUTH_RANGE = 0.12;
+const DEPRESSED_CORNER_RANGE = 0.04;
+const SLACK_JAW_RANGE = 0.1;
+
+const distance = (a, b) => Math.sqrt(Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2));
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+
+// Brow lowering (corrugator activity): brow-to-upper-lid height shrinks as the
+// brows are pulled down and together. 1 at 0.06 IOD below neutral.
+const measureBrowLowering = (landmarks, iod) => {
+  const left = distance(landmarks[LEFT_BROW], landmarks[LEFT_UPPER_LID]) / iod;
+  const right = distance(landmarks[RIGHT_BROW], landmarks[RIGHT_UPPER_LID]) / iod;
+  return clamp01((NEUTRAL_BROW_HEIGHT - (left + right) / 2) / LOWERED_BROW_RANGE);
+};
+
+// Eyelid droop (ptosis): lid aperture relative to eye width, measured against
+// a typical alert aperture. 1 when the lids are 0.2 eye-widths lower.
+const measureEyelidDroop = (landmarks) => {
+  const left = distance(landmarks[LEFT_UPPER_LID], landmarks[LEFT_LOWER_LID]) /
+    distance(landmarks[LEFT_EYE_OUTER], landmarks[LEFT_EYE_INNER]);
+  const right = distance(landmarks[RIGHT_UPPER_LID], landmarks[RIGHT_LOWER_LID]) /
+    distance(landmarks[RIGHT_EYE_OUTER], landmarks[RIGHT_EYE_INNER]);
+  return clamp01((OPEN_LID_APERTURE - (left + right) / 2) / DROOP_RANGE);
+};
+
+// Lip-corner tension: corners pulled outward (lips pressed or stretched)
+// widen the mouth beyond its relaxed width.
+const measureLipCornerTension = (landmarks, iod) => {
+  const width = distance(landmarks[LEFT_LIP_CORNER], landmarks[RIGHT_LIP_CORNER]) / iod;
+  return clamp01((width - NEUTRAL_MOUTH_WIDTH) / STRETCHED_MOUTH_RANGE);
+};
+
+// Lip-corner depression: corners sitting below the lip midline (a frown).
+const measureLipCornerDepression = (landmarks, iod) => {
+  const midlineY = (landmarks[UPPER_LIP_INNER][1] + landmarks[LOWER_LIP_INNER][1]) / 2;
+  const cornerY = (landmarks[LEFT_LIP_CORNER][1] + landmarks[RIGHT_LIP_CORNER][1]) / 2;
+  return clamp01(((cornerY - midlineY) / iod) / DEPRESSED_CORNER_RANGE);
+};
+
+// Jaw slack: a small, relaxed gap between the inner lips.
+const measureJawSlack = (landmarks, iod) => {
+  const gap = distance(landmarks[UPPER_LIP_INNER], landmarks[LOWER_LIP_INNER]) / iod;
+  return clamp01(gap / SLACK_JAW_RANGE);
+};
+
+export const computeExpressionFeatures = (landmarks) => {
+  const iod = distance(landmarks[LEFT_EYE_OUTER], landmarks[RIGHT_EYE_OUTER]);
+
+  if (!iod) {
+    return { drowsy: 0, stressed: 0, features: null };
+  }
+
+  const features = {
+    browLowering: measureBrowLowering(landmarks, iod),
+    eyelidDroop: measureEyelidDroop(landmarks),
+    lipCornerTension: measureLipCornerTension(landmarks, iod),
+    lipCornerDepression: measureLipCornerDepression(landmarks, iod),
+    jawSlack: measureJawSlack(landmarks, iod)
+  };
+
+  // Drowsy: heavy lids with a slack jaw. Stressed: lowered brows with tense,
+  // down-turned lip corners.
+  const drowsy = features.eyelidDroop * 0.7 + features.jawSlack * 0.3;
+  const stressed =
+    features.browLowering * 0.5 +
+    features.lipCornerTension * 0.3 +
+    features.lipCornerDepression * 0.2;
+
+  return { drowsy, stressed, features };
+};
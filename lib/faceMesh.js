@@ -0,0 +1,78 @@
+// File: lib/faceMesh.js - MediaPipe FaceMesh model loading and landmark estimation
+
+// Preferred order; each is tried until one initializes
+export const BACKENDS = ['webgl', 'wasm', 'cpu'];
+
+// Used when NEXT_PUBLIC_DETECTION_THRESHOLD is not set (see lib/settings.js)
+export const DEFAULT_DETECTION_CONFIDENCE = 0.7;
+
+// Importing a backend package registers it with tfjs-core
+const BACKEND_LOADERS = {
+  webgl: () => import('@tensorflow/tfjs-backend-webgl'),
+  wasm: async (path) => {
+    const wasm = await import('@tensorflow/tfjs-backend-wasm');
+    // The .wasm binaries are self-hosted next to the weights, not fetched from a CDN
+    wasm.setWasmPaths(`${path}/wasm/`);
+  },
+  cpu: () => import('@tensorflow/tfjs-backend-cpu')
+};
+
+// Weights live under the model path, one directory per graph (see scripts/fetchModels.js)
+export const modelUrls = (path) => ({
+  detectorModelUrl: `${path}/blazeface/model.json`,
+  modelUrl: `${path}/facemesh/model.json`,
+  irisModelUrl: `${path}/iris/model.json`
+});
+
+// Resolves with the backend in use and why the ones before it were skipped
+const selectBackend = async (tf, backends, path) => {
+  const skipped = [];
+
+  for (const name of backends) {
+    try {
+      await BACKEND_LOADERS[name](path);
+      // setBackend resolves false, rather than throwing, when the backend fails to initialize
+      if (await tf.setBackend(name)) {
+        await tf.ready();
+        return { backend: name, skipped };
+      }
+      skipped.push(`${name}: not supported here`);
+    } catch (error) {
+      skipped.push(`${name}: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No TensorFlow.js backend available (${skipped.join('; ')})`);
+};
+
+export const loadFaceMeshModel = async ({ path = '/models', backends = BACKENDS, maxFaces = 1, detectionConfidence = DEFAULT_DETECTION_CONFIDENCE } = {}) => {
+  // Dynamically import TensorFlow to avoid SSR issues
+  const faceLandmarksDetection = await import('@tensorflow-models/face-landmarks-detection');
+  const tf = await import('@tensorflow/tfjs-core');
+
+  const { backend, skipped } = await selectBackend(tf, backends, path);
+
+  const model = await faceLandmarksDetection.load(
+    faceLandmarksDetection.SupportedModels.MediaPipeFaceMesh,
+    {
+      model: 'mediapipe_face_mesh',
+      maxFaces,
+      detectionConfidence,
+      refineLandmarks: true,
+      flipHorizontal: false,
+      ...modelUrls(path)
+    }
+  );
+
+  return { model, tf, backend, skipped };
+};
+
+export const estimateLandmarks = async (model, input) => {
+  const predictions = await model.estimateFaces({
+    input,
+    returnTensors: false,
+    flipHorizontal: false,
+  });
+
+  return predictions.length > 0 ? predictions[0].scaledMesh : null;
+};
@@ -0,0 +1,41 @@
+// File: lib/faceMesh.worker.js - Face-mesh inference off the main thread
+import { loadFaceMeshModel, estimateLandmarks } from './faceMesh';
+
+let model = null;
+let tf = null;
+
+const handleInit = async ({ options }) => {
+  try {
+    let backend;
+    let skipped;
+    ({ model, tf, backend, skipped } = await loadFaceMeshModel(options));
+    self.postMessage({ type: 'ready', backend, skipped });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+// Every estimate gets a result message, even when the frame cannot be read
+// (lost context, detached or empty bitmap), so the client never waits forever
+const handleEstimate = async ({ id, bitmap, scale }) => {
+  let input = null;
+
+  try {
+    input = tf.browser.fromPixels(bitmap);
+    const landmarks = await estimateLandmarks(model, input);
+
+    // Frames arrive downscaled; report landmarks in video pixel coordinates
+    const scaled = landmarks && landmarks.map(([x, y, z]) => [x * scale, y * scale, z * scale]);
+    self.postMessage({ type: 'result', id, landmarks: scaled });
+  } catch (error) {
+    self.postMessage({ type: 'result', id, error: error.message });
+  } finally {
+    if (input) input.dispose();
+    bitmap.close();
+  }
+};
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'init') handleInit(data);
+  if (data.type === 'estimate') handleEstimate(data);
+};
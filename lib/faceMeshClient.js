@@ -0,0 +1,246 @@
+// File: lib/faceMeshClient.js - Face-mesh inference in a Web Worker with a main-thread fallback
+import { loadFaceMeshModel, estimateLandmarks } from './faceMesh';
+import { createLatencyTracker } from './telemetry';
+
+const INFERENCE_WIDTH = 640;
+
+// Share of recent inferences that may fail before the model counts as degraded
+const ERROR_WINDOW = 20;
+const ERROR_RATE_DEGRADED = 0.25;
+
+// A failed load is retried, backing off so a machine that cannot run the model
+// does not download the weights again every frame
+const INITIAL_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 60000;
+
+// A worker request without an answer by then is failed, so the frame
+// scheduler is released even if the worker hangs
+const REQUEST_TIMEOUT = 5000;
+
+const supportsWorkerInference = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap !== 'undefined';
+
+// modelOptions: { path, backends, maxFaces, detectionConfidence }, passed to the model loader
+export const createFaceMeshClient = (modelOptions = {}) => {
+  let worker = null;
+  let model = null;
+  let mode = null;
+  let backend = null;
+  let skippedBackends = [];
+  let initPromise = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  // state: 'idle' | 'loading' | 'ready' | 'failed'
+  let state = 'idle';
+  let loadTime = null;
+  let loadError = null;
+  let retryDelay = INITIAL_RETRY_DELAY;
+  let retryAt = 0;
+  let workerFailed = false;
+  let recentOutcomes = [];
+  const latency = createLatencyTracker();
+  const listeners = new Set();
+
+  // 'degraded' is reported on top of 'ready' when the model works, but not as intended
+  const getDegradation = () => {
+    if (state !== 'ready') return null;
+    const failures = recentOutcomes.filter(ok => !ok).length;
+    if (recentOutcomes.length >= ERROR_WINDOW / 2 && failures / recentOutcomes.length >= ERROR_RATE_DEGRADED) {
+      return 'Frequent inference errors';
+    }
+    if (backend === 'cpu') return 'Running on the CPU backend';
+    if (workerFailed) return 'Worker failed, inference on main thread';
+    return null;
+  };
+
+  const getStatus = () => ({
+    state: getDegradation() ? 'degraded' : state,
+    reason: getDegradation() || loadError,
+    mode,
+    backend,
+    skippedBackends,
+    loadTime
+  });
+
+  const notify = () => {
+    const status = getStatus();
+    listeners.forEach(listener => listener(status));
+  };
+
+  const setState = (next) => {
+    state = next;
+    notify();
+  };
+
+  const settleRequest = (id) => {
+    const request = pending.get(id);
+    pending.delete(id);
+    if (request) clearTimeout(request.timer);
+    return request;
+  };
+
+  const rejectPending = (error) => {
+    [...pending.keys()].forEach(id => settleRequest(id).reject(error));
+  };
+
+  const initWorker = () => new Promise((resolve, reject) => {
+    worker = new Worker(new URL('./faceMesh.worker.js', import.meta.url));
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'ready') {
+        backend = data.backend;
+        skippedBackends = data.skipped;
+        resolve();
+      }
+      if (data.type === 'error') reject(new Error(data.message));
+      if (data.type === 'result') {
+        const request = settleRequest(data.id);
+        if (!request) return;
+        if (data.error) request.reject(new Error(data.error));
+        else request.resolve(data.landmarks);
+      }
+    };
+    // Before ready this fails the load; afterwards it fails the frames in flight
+    worker.onerror = (event) => {
+      const error = new Error(event.message || 'Worker failed');
+      reject(error);
+      rejectPending(error);
+    };
+    worker.postMessage({ type: 'init', options: modelOptions });
+  });
+
+  const initMainThread = async () => {
+    ({ model, backend, skipped: skippedBackends } = await loadFaceMeshModel(modelOptions));
+  };
+
+  const init = () => {
+    if (!initPromise) {
+      if (state === 'failed' && performance.now() < retryAt) return Promise.resolve(false);
+
+      initPromise = (async () => {
+        // Keep showing the failure while a retry is loading
+        if (state !== 'failed') setState('loading');
+        const startedAt = performance.now();
+
+        if (supportsWorkerInference()) {
+          try {
+            await initWorker();
+            mode = 'worker';
+            loadTime = performance.now() - startedAt;
+            loadError = null;
+            retryDelay = INITIAL_RETRY_DELAY;
+            setState('ready');
+            console.log('✅ AI Model loaded successfully (worker)');
+            return true;
+          } catch (error) {
+            console.error('Worker inference unavailable, falling back to main thread:', error);
+            workerFailed = true;
+            terminateWorker();
+          }
+        }
+
+        try {
+          await initMainThread();
+          mode = 'main-thread';
+          loadTime = performance.now() - startedAt;
+          loadError = null;
+          retryDelay = INITIAL_RETRY_DELAY;
+          setState('ready');
+          console.log('✅ AI Model loaded successfully');
+          return true;
+        } catch (error) {
+          console.error('❌ Failed to load AI model:', error);
+          initPromise = null;
+          loadError = error.message;
+          retryAt = performance.now() + retryDelay;
+          retryDelay = Math.min(MAX_RETRY_DELAY, retryDelay * 2);
+          setState('failed');
+          return false;
+        }
+      })();
+    }
+    return initPromise;
+  };
+
+  const requestLandmarks = async (video) => {
+    if (mode === 'main-thread') {
+      return estimateLandmarks(model, video);
+    }
+
+    const scale = Math.max(1, video.videoWidth / INFERENCE_WIDTH);
+    const bitmap = await createImageBitmap(video, {
+      resizeWidth: Math.round(video.videoWidth / scale),
+      resizeHeight: Math.round(video.videoHeight / scale)
+    });
+    const id = nextId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        settleRequest(id);
+        reject(new Error(`Inference timed out after ${REQUEST_TIMEOUT} ms`));
+      }, REQUEST_TIMEOUT);
+      pending.set(id, { resolve, reject, timer });
+      worker.postMessage({ type: 'estimate', id, bitmap, scale }, [bitmap]);
+    });
+  };
+
+  const recordOutcome = (ok) => {
+    const wasDegraded = Boolean(getDegradation());
+    recentOutcomes = [...recentOutcomes, ok].slice(-ERROR_WINDOW);
+    if (Boolean(getDegradation()) !== wasDegraded) notify();
+  };
+
+  // Latency covers the whole round trip, including the frame copy to the worker
+  const estimate = async (video) => {
+    const startedAt = performance.now();
+    try {
+      const landmarks = await requestLandmarks(video);
+      latency.record(performance.now() - startedAt);
+      recordOutcome(true);
+      return landmarks;
+    } catch (error) {
+      recordOutcome(false);
+      throw error;
+    }
+  };
+
+  const terminateWorker = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    rejectPending(new Error('Face mesh client disposed'));
+  };
+
+  const dispose = () => {
+    terminateWorker();
+    model = null;
+    mode = null;
+    backend = null;
+    skippedBackends = [];
+    initPromise = null;
+    loadTime = null;
+    loadError = null;
+    retryDelay = INITIAL_RETRY_DELAY;
+    retryAt = 0;
+    workerFailed = false;
+    recentOutcomes = [];
+    latency.reset();
+    setState('idle');
+  };
+
+  const getMode = () => mode;
+
+  // Inference latency percentiles (ms) over the recent frames
+  const getLatency = () => latency.summary();
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { init, estimate, dispose, getMode, getStatus, getLatency, subscribe };
+};
@@ -0,0 +1,174 @@
+// File: lib/fatigueForecast.js - Time-to-critical forecast from the session's score history
+//
+// Scores are averaged into fixed time buckets, so the fit means the same at
+// any frame rate. Two models are fitted over the buckets and the one that
+// tracks the recent scores more closely is reported:
+//   linear       - straight-line trend over the recent window
+//   accumulation - exponential growth over the whole session, the shape fatigue
+//                  takes when every minute on task adds to what is already there
+// The band comes from the standard error of the fitted rate (about 90%).
+// Like the pipeline, nothing here reads the wall clock.
+
+const DEFAULT_FORECAST_OPTIONS = {
+  // Score at which the critical severity starts
+  threshold: 80,
+  bucketSize: 15 * 1000,
+  minHistory: 5 * 60 * 1000,
+  recentWindow: 15 * 60 * 1000,
+  maxHistory: 2 * 60 * 60 * 1000,
+  // Minutes; crossings further out than this are not forecast
+  horizon: 60,
+  // A plan-a-break notice goes out when critical is predicted within noticeLead
+  // minutes, at most once per noticeInterval
+  noticeLead: 15,
+  noticeInterval: 10 * 60 * 1000
+};
+
+// Two-sided 90% normal quantile
+const Z = 1.645;
+
+// Keeps the log defined for a score of zero and damps noise near the bottom
+const LOG_OFFSET = 10;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Least squares over x (minutes, 0 = latest bucket); intercept is the fitted
+// value now and slopeError the standard error of the slope
+const fitLine = (xs, ys) => {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let sxx = 0;
+  let sxy = 0;
+  xs.forEach((x, i) => {
+    sxx += (x - meanX) * (x - meanX);
+    sxy += (x - meanX) * (ys[i] - meanY);
+  });
+  if (!sxx) return null;
+
+  const slope = sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const residuals = xs.reduce((sum, x, i) => sum + Math.pow(ys[i] - (intercept + slope * x), 2), 0);
+
+  return { intercept, slope, slopeError: Math.sqrt(residuals / Math.max(1, n - 2) / sxx) };
+};
+
+const fitLinear = (points, threshold) => {
+  const fit = fitLine(points.map(point => point.x), points.map(point => point.value));
+  if (!fit) return null;
+
+  const timeAt = (slope) => (slope > 0 ? (threshold - fit.intercept) / slope : Infinity);
+  return {
+    model: 'linear',
+    level: fit.intercept,
+    rate: fit.slope,
+    significant: fit.slope - Z * fit.slopeError > 0,
+    predict: (x) => fit.intercept + fit.slope * x,
+    minutes: timeAt(fit.slope),
+    early: timeAt(fit.slope + Z * fit.slopeError),
+    late: timeAt(fit.slope - Z * fit.slopeError)
+  };
+};
+
+// ln(score + offset) = a + k·x, so score grows by the factor e^k every minute
+const fitAccumulation = (points, threshold) => {
+  const fit = fitLine(points.map(point => point.x), points.map(point => Math.log(point.value + LOG_OFFSET)));
+  if (!fit) return null;
+
+  const target = Math.log(threshold + LOG_OFFSET);
+  const timeAt = (k) => (k > 0 ? (target - fit.intercept) / k : Infinity);
+  const level = Math.exp(fit.intercept) - LOG_OFFSET;
+  return {
+    model: 'accumulation',
+    level,
+    rate: fit.slope * (level + LOG_OFFSET),
+    significant: fit.slope - Z * fit.slopeError > 0,
+    predict: (x) => Math.exp(fit.intercept + fit.slope * x) - LOG_OFFSET,
+    minutes: timeAt(fit.slope),
+    early: timeAt(fit.slope + Z * fit.slopeError),
+    late: timeAt(fit.slope - Z * fit.slopeError)
+  };
+};
+
+const rmse = (fit, points) =>
+  Math.sqrt(points.reduce((sum, point) => sum + Math.pow(point.value - fit.predict(point.x), 2), 0) / points.length);
+
+export const createFatigueForecaster = (options = {}) => {
+  const config = { ...DEFAULT_FORECAST_OPTIONS, ...options };
+
+  let startedAt = null;
+  let buckets = [];
+  let current = null;
+  let forecast = null;
+  let nextNoticeAt = 0;
+
+  // status: 'warming-up' | 'stable' | 'rising' | 'critical'. minutes and band
+  // ({ early, late }; late null past the horizon) are set only while rising.
+  const compute = (now) => {
+    const history = now - startedAt;
+    if (history < config.minHistory || buckets.length < 3) {
+      return { status: 'warming-up', history, needed: config.minHistory };
+    }
+
+    const latest = buckets[buckets.length - 1].timestamp;
+    const points = buckets.map(bucket => ({ x: (bucket.timestamp - latest) / 60000, value: bucket.value }));
+    const recent = points.filter(point => point.x > -config.recentWindow / 60000);
+
+    const candidates = [fitLinear(recent, config.threshold), fitAccumulation(points, config.threshold)]
+      .filter(Boolean);
+    if (!candidates.length) return { status: 'warming-up', history, needed: config.minHistory };
+
+    const fit = candidates.reduce((best, candidate) => (rmse(candidate, recent) < rmse(best, recent) ? candidate : best));
+    const summary = { model: fit.model, level: round(fit.level), rate: round(fit.rate), history };
+
+    if (fit.level >= config.threshold) return { ...summary, status: 'critical', minutes: 0 };
+    if (!fit.significant || fit.minutes > config.horizon) return { ...summary, status: 'stable' };
+
+    return {
+      ...summary,
+      status: 'rising',
+      minutes: round(fit.minutes),
+      band: {
+        early: round(fit.early),
+        late: fit.late > config.horizon ? null : round(fit.late)
+      }
+    };
+  };
+
+  // Returns the latest forecast; it is refitted only when a bucket closes
+  const update = (timestamp, score) => {
+    if (startedAt === null) startedAt = timestamp;
+
+    if (current && timestamp >= current.start + config.bucketSize) {
+      buckets.push({ timestamp: current.start + config.bucketSize / 2, value: current.sum / current.count });
+      buckets = buckets.filter(bucket => bucket.timestamp > timestamp - config.maxHistory);
+      current = null;
+      forecast = compute(timestamp);
+    }
+    if (!current) current = { start: timestamp, sum: 0, count: 0 };
+    current.sum += score;
+    current.count += 1;
+
+    return forecast || compute(timestamp);
+  };
+
+  // True when the forecast warrants a plan-a-break notice; the interval starts
+  // only once the caller has actually issued it
+  const isNoticeDue = (result, timestamp) =>
+    result.status === 'rising' && result.minutes <= config.noticeLead && timestamp >= nextNoticeAt;
+
+  const markNoticed = (timestamp) => {
+    nextNoticeAt = timestamp + config.noticeInterval;
+  };
+
+  const reset = () => {
+    startedAt = null;
+    buckets = [];
+    current = null;
+    forecast = null;
+    nextNoticeAt = 0;
+  };
+
+  return { update, isNoticeDue, markNoticed, reset };
+};
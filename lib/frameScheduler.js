@@ -0,0 +1,120 @@
+// File: lib/frameScheduler.js - Video-frame-accurate analysis scheduling with an adaptive rate
+const DEFAULT_SCHEDULER_OPTIONS = {
+  minRate: 5,
+  maxRate: 15,
+  initialRate: 10,
+  smoothing: 0.2,
+  jankThreshold: 34,
+  rateWindow: 2000
+};
+
+// Runs onFrame on new video frames (requestVideoFrameCallback, or rAF where
+// unsupported) with at most one analysis in flight. The target rate climbs
+// toward maxRate while inference keeps up and the UI renders smoothly, and
+// backs off toward minRate when inference lags or UI frames run long.
+// A frame that is due for analysis while the previous one is still running
+// counts as dropped; frames skipped to hold the target rate do not.
+export const createFrameScheduler = ({ video, onFrame, ...options }) => {
+  const config = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+  const useVideoFrames = typeof video.requestVideoFrameCallback === 'function';
+
+  let running = false;
+  let busy = false;
+  let frameHandle = null;
+  let uiHandle = null;
+  let targetRate = Math.min(config.maxRate, Math.max(config.minRate, config.initialRate));
+  let lastRunAt = 0;
+  let latency = 0;
+  let uiFrameTime = 1000 / 60;
+  let lastUiTick = 0;
+  let completed = [];
+  let seen = [];
+  let framesAnalyzed = 0;
+  let framesDropped = 0;
+
+  const adapt = () => {
+    const interval = 1000 / targetRate;
+
+    if (uiFrameTime > config.jankThreshold || latency > interval * 0.9) {
+      targetRate = Math.max(config.minRate, targetRate - 1);
+    } else if (latency < interval * 0.6) {
+      targetRate = Math.min(config.maxRate, targetRate + 0.5);
+    }
+  };
+
+  const schedule = () => {
+    if (!running) return;
+    frameHandle = useVideoFrames
+      ? video.requestVideoFrameCallback(tick)
+      : requestAnimationFrame(tick);
+  };
+
+  const tick = (now) => {
+    schedule();
+    seen = [...seen, now].filter(time => time > now - config.rateWindow);
+
+    if (now - lastRunAt < 1000 / targetRate) return;
+    if (busy) {
+      framesDropped += 1;
+      return;
+    }
+
+    busy = true;
+    lastRunAt = now;
+    const startedAt = performance.now();
+
+    Promise.resolve()
+      .then(onFrame)
+      .catch(error => console.error('Frame processing error:', error))
+      .finally(() => {
+        const finishedAt = performance.now();
+        const elapsed = finishedAt - startedAt;
+        latency = latency ? latency + (elapsed - latency) * config.smoothing : elapsed;
+        completed = [...completed, finishedAt].filter(time => time > finishedAt - config.rateWindow);
+        framesAnalyzed += 1;
+        adapt();
+        busy = false;
+      });
+  };
+
+  const watchUi = (now) => {
+    if (lastUiTick) {
+      uiFrameTime += (now - lastUiTick - uiFrameTime) * config.smoothing;
+    }
+    lastUiTick = now;
+    uiHandle = requestAnimationFrame(watchUi);
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    schedule();
+    uiHandle = requestAnimationFrame(watchUi);
+  };
+
+  const stop = () => {
+    running = false;
+    if (frameHandle !== null) {
+      if (useVideoFrames) video.cancelVideoFrameCallback(frameHandle);
+      else cancelAnimationFrame(frameHandle);
+    }
+    if (uiHandle !== null) cancelAnimationFrame(uiHandle);
+    frameHandle = null;
+    uiHandle = null;
+    lastUiTick = 0;
+  };
+
+  // sourceRate is the camera frame rate with requestVideoFrameCallback, the
+  // display refresh rate otherwise
+  const getStats = () => ({
+    targetRate,
+    effectiveRate: completed.length / (config.rateWindow / 1000),
+    sourceRate: seen.length / (config.rateWindow / 1000),
+    latency,
+    framesAnalyzed,
+    framesDropped,
+    source: useVideoFrames ? 'video-frame' : 'animation-frame'
+  });
+
+  return { start, stop, getStats };
+};
@@ -0,0 +1,220 @@
+// File: lib/gaze.js - Iris gaze direction, road-ahead zone, off-road glances and gaze heat map
+//
+// Gaze is head pose plus the eyes' rotation in the head, read from where the
+// iris centre sits between the eye corners (the refined FaceMesh landmarks).
+// Angles are in degrees with the head pose's signs: yaw positive toward the
+// camera's right, pitch positive looking down. Frame timestamps only.
+import { LEFT_IRIS_CENTER, RIGHT_IRIS_CENTER, LEFT_EYE_CORNERS, RIGHT_EYE_CORNERS } from './landmarkIndices';
+import { createDirectionSettler } from './headPose';
+
+// Degrees of eye rotation per eye-width of iris travel; rough anatomical
+// averages, and calibration absorbs the per-driver offset
+const EYE_YAW_GAIN = 140;
+const EYE_PITCH_GAIN = 120;
+
+const MIN_ZONE_SAMPLES = 10;
+
+// Zone half-sizes used until the driver calibrates, and the smallest allowed after
+export const DEFAULT_GAZE_ZONE = { halfWidth: 20, halfHeight: 12 };
+
+const DEFAULT_GAZE_OPTIONS = {
+  // Eyes-off-road share is measured over this window
+  window: 60 * 1000,
+  // Glance statistics cover this window
+  glanceWindow: 5 * 60 * 1000,
+  // Glances at least this long count toward the long-glance total
+  longGlance: 2000,
+  // Shorter excursions are saccades or noise, not glances
+  minGlance: 100,
+  // A glance only ends after this long back in the zone
+  recoverAfter: 200,
+  maxSampleGap: 2000,
+  // How fast an uncalibrated zone follows the driver's usual gaze
+  baselineSmoothing: 0.02,
+  // Heat map cells and the degrees either side of the zone centre they cover
+  heatMap: { cols: 12, rows: 8, yawRange: 60, pitchRange: 40 }
+};
+
+const sub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+
+// Iris position across the eye (0 at the image-left corner, 1 at the right)
+// and below the corner line, both in eye widths
+const irisOffset = (landmarks, [leftCorner, rightCorner], iris) => {
+  const left = landmarks[leftCorner];
+  const axis = sub(landmarks[rightCorner], left);
+  const width2 = dot(axis, axis);
+  const fromLeft = sub(landmarks[iris], left);
+
+  return {
+    x: dot(fromLeft, axis) / width2,
+    // Perpendicular component, positive downward in the image
+    y: (axis[0] * fromLeft[1] - axis[1] * fromLeft[0]) / width2
+  };
+};
+
+// null without iris landmarks (model loaded without refineLandmarks)
+export const estimateGaze = (landmarks, headPose) => {
+  if (landmarks.length <= RIGHT_IRIS_CENTER) return null;
+
+  const left = irisOffset(landmarks, LEFT_EYE_CORNERS, LEFT_IRIS_CENTER);
+  const right = irisOffset(landmarks, RIGHT_EYE_CORNERS, RIGHT_IRIS_CENTER);
+  const x = (left.x + right.x) / 2;
+  const y = (left.y + right.y) / 2;
+
+  return {
+    yaw: headPose.yaw + (x - 0.5) * EYE_YAW_GAIN,
+    pitch: headPose.pitch + y * EYE_PITCH_GAIN
+  };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Road-ahead zone from gaze samples taken while the driver watched the road.
+// Natural scanning widens it; null when there were too few samples.
+export const deriveGazeZone = (samples) => {
+  if (samples.length < MIN_ZONE_SAMPLES) return null;
+
+  const yaw = median(samples.map(sample => sample.yaw));
+  const pitch = median(samples.map(sample => sample.pitch));
+  const spread = (values, center) => 2.5 * median(values.map(value => Math.abs(value - center)));
+
+  return {
+    yaw,
+    pitch,
+    halfWidth: Math.max(DEFAULT_GAZE_ZONE.halfWidth, spread(samples.map(sample => sample.yaw), yaw)),
+    halfHeight: Math.max(DEFAULT_GAZE_ZONE.halfHeight, spread(samples.map(sample => sample.pitch), pitch))
+  };
+};
+
+// zone: calibrated road-ahead zone ({ yaw, pitch, halfWidth, halfHeight }),
+// or null to centre a default-sized zone on the driver's usual gaze once it
+// has held still (createDirectionSettler); until then gaze is not judged
+export const createGazeTracker = (options = {}) => {
+  const config = { ...DEFAULT_GAZE_OPTIONS, ...options };
+  const { cols, rows, yawRange, pitchRange } = config.heatMap;
+
+  let zone = options.zone || null;
+  const settler = createDirectionSettler();
+  let baseline = null;
+  let samples = [];
+  let glances = [];
+  let glance = null;
+  let heat = new Array(cols * rows).fill(0);
+  let previous = null;
+
+  const currentZone = () => zone || (baseline && { ...baseline, ...DEFAULT_GAZE_ZONE });
+
+  // Heat is time held per cell, laid out as the driver sees it: the driver's
+  // left (the camera's right, positive yaw) on the left
+  const addHeat = (offset, held) => {
+    const col = Math.floor((yawRange - offset.yaw) / (2 * yawRange) * cols);
+    const row = Math.floor((offset.pitch + pitchRange) / (2 * pitchRange) * rows);
+    const clamp = (value, size) => Math.min(size - 1, Math.max(0, value));
+    heat[clamp(row, rows) * cols + clamp(col, cols)] += held;
+  };
+
+  const offRoadRatio = (now) => {
+    const recent = samples.filter(sample => sample.timestamp > now - config.window);
+    let offTime = 0;
+    let coveredTime = 0;
+    recent.forEach((sample, i) => {
+      const held = Math.min((i + 1 < recent.length ? recent[i + 1].timestamp : now) - sample.timestamp, config.maxSampleGap);
+      coveredTime += held;
+      if (!sample.onRoad) offTime += held;
+    });
+    return coveredTime ? offTime / coveredTime : 0;
+  };
+
+  const endGlance = (timestamp) => {
+    const duration = glance.backSince - glance.startedAt;
+    if (duration >= config.minGlance) glances.push({ timestamp, duration });
+    glance = null;
+  };
+
+  // direction: estimateGaze output, or null when the gaze cannot be read
+  // (no face, eyes closed); such frames leave the glance state as it was
+  const update = (direction, timestamp) => {
+    if (direction && !zone && !baseline) baseline = settler.update(direction, timestamp);
+
+    glances = glances.filter(item => item.timestamp > timestamp - config.glanceWindow);
+    samples = samples.filter(sample => sample.timestamp > timestamp - config.window);
+
+    let offset = null;
+    let onRoad = null;
+    const area = direction && currentZone();
+    if (area) {
+      offset = { yaw: direction.yaw - area.yaw, pitch: direction.pitch - area.pitch };
+      onRoad = Math.abs(offset.yaw) <= area.halfWidth && Math.abs(offset.pitch) <= area.halfHeight;
+
+      if (onRoad && !zone) {
+        baseline.yaw += (direction.yaw - baseline.yaw) * config.baselineSmoothing;
+        baseline.pitch += (direction.pitch - baseline.pitch) * config.baselineSmoothing;
+      }
+
+      if (previous) addHeat(previous.offset, Math.min(timestamp - previous.timestamp, config.maxSampleGap));
+      previous = { timestamp, offset };
+      samples.push({ timestamp, onRoad });
+
+      if (!onRoad) {
+        if (!glance) glance = { startedAt: timestamp, backSince: null };
+        glance.backSince = null;
+      } else if (glance) {
+        if (glance.backSince === null) glance.backSince = timestamp;
+        if (timestamp - glance.backSince >= config.recoverAfter) endGlance(timestamp);
+      }
+    } else {
+      previous = null;
+    }
+
+    const durations = glances.map(item => item.duration);
+    return {
+      direction,
+      offset,
+      onRoad,
+      calibrated: Boolean(zone),
+      offRoadRatio: offRoadRatio(timestamp),
+      // Length of the glance in progress, 0 when looking at the road
+      glance: glance && glance.backSince === null ? timestamp - glance.startedAt : 0,
+      glanceCount: durations.length,
+      longGlanceCount: durations.filter(duration => duration >= config.longGlance).length,
+      meanGlance: durations.length ? durations.reduce((sum, duration) => sum + duration, 0) / durations.length : 0,
+      longestGlance: durations.reduce((longest, duration) => Math.max(longest, duration), 0)
+    };
+  };
+
+  // Cells as shares of the hottest one, with the zone in the same units for drawing
+  const getHeatMap = () => {
+    const max = Math.max(...heat);
+    const area = currentZone() || DEFAULT_GAZE_ZONE;
+    return {
+      cols,
+      rows,
+      yawRange,
+      pitchRange,
+      cells: heat.map(value => (max ? value / max : 0)),
+      zone: { halfWidth: area.halfWidth, halfHeight: area.halfHeight }
+    };
+  };
+
+  const setZone = (next) => {
+    zone = next || null;
+  };
+
+  // The heat map covers a session, so it is cleared with everything else
+  const reset = () => {
+    baseline = null;
+    settler.reset();
+    samples = [];
+    glances = [];
+    glance = null;
+    heat = new Array(cols * rows).fill(0);
+    previous = null;
+  };
+
+  return { update, getHeatMap, setZone, reset };
+};
@@ -0,0 +1,193 @@
+// File: lib/headPose.js - Head pose estimation, nod and head-shake event detection
+const FOREHEAD = 10;
+const CHIN = 152;
+const LEFT_EYE_OUTER = 33;
+const RIGHT_EYE_OUTER = 263;
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// Pitch is positive when the head drops forward, yaw positive when turning
+// to the camera's right, roll positive when tilting clockwise
+export const estimateHeadPose = (landmarks) => {
+  const forehead = landmarks[FOREHEAD];
+  const chin = landmarks[CHIN];
+  const leftEye = landmarks[LEFT_EYE_OUTER];
+  const rightEye = landmarks[RIGHT_EYE_OUTER];
+
+  const pitch = toDegrees(Math.atan2(forehead[2] - chin[2], chin[1] - forehead[1]));
+  const yaw = toDegrees(Math.atan2(leftEye[2] - rightEye[2], rightEye[0] - leftEye[0]));
+  const roll = toDegrees(Math.atan2(rightEye[1] - leftEye[1], rightEye[0] - leftEye[0]));
+
+  return { pitch, yaw, roll };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const DEFAULT_SETTLE_OPTIONS = {
+  // The direction has to hold this long...
+  duration: 2000,
+  // ...within this many degrees of its median
+  tolerance: 6
+};
+
+// Finds a driver's usual { yaw, pitch } without calibration: the median of the
+// first stretch where it held still, not whatever the first frame showed, so a
+// session that starts mid-glance does not take the glance as straight ahead.
+// update() returns the settled direction, or null while it is still moving.
+export const createDirectionSettler = (options = {}) => {
+  const config = { ...DEFAULT_SETTLE_OPTIONS, ...options };
+  let samples = [];
+
+  const update = ({ yaw, pitch }, timestamp) => {
+    samples.push({ yaw, pitch, timestamp });
+    // Keep one sample at or before the start of the window so its span is covered
+    while (samples.length > 1 && samples[1].timestamp <= timestamp - config.duration) samples.shift();
+    if (timestamp - samples[0].timestamp < config.duration) return null;
+
+    const settled = {
+      yaw: median(samples.map(sample => sample.yaw)),
+      pitch: median(samples.map(sample => sample.pitch))
+    };
+    const steady = samples.every(sample =>
+      Math.abs(sample.yaw - settled.yaw) <= config.tolerance && Math.abs(sample.pitch - settled.pitch) <= config.tolerance);
+    return steady ? settled : null;
+  };
+
+  const reset = () => {
+    samples = [];
+  };
+
+  return { update, reset };
+};
+
+const DEFAULT_NOD_OPTIONS = {
+  onsetDelta: 5,
+  dropDelta: 12,
+  minDropDuration: 300,
+  maxHoldDuration: 4000,
+  minRecoveryVelocity: 40,
+  baselineSmoothing: 0.05
+};
+
+// A nod is a slow forward drop of the head past dropDelta degrees below the
+// driver's running baseline, followed by a fast snap back toward it. Quick
+// deliberate glances down fail the minDropDuration check, and holding the
+// head down (e.g. reading a phone) times out after maxHoldDuration.
+export const createNodDetector = (options = {}) => {
+  const config = { ...DEFAULT_NOD_OPTIONS, ...options };
+
+  let baseline = null;
+  let phase = 'neutral';
+  let onsetAt = 0;
+  let peak = null;
+  let previous = null;
+
+  const update = (pitch, timestamp) => {
+    let nod = null;
+
+    if (baseline === null) {
+      baseline = pitch;
+    }
+
+    const delta = pitch - baseline;
+    const velocity = previous && timestamp > previous.timestamp
+      ? (pitch - previous.pitch) / ((timestamp - previous.timestamp) / 1000)
+      : 0;
+
+    if (phase === 'neutral') {
+      if (delta > config.onsetDelta) {
+        phase = 'dropping';
+        onsetAt = previous ? previous.timestamp : timestamp;
+        peak = { pitch, timestamp };
+      } else {
+        baseline += (pitch - baseline) * config.baselineSmoothing;
+      }
+    } else {
+      if (pitch > peak.pitch) {
+        peak = { pitch, timestamp };
+      }
+
+      const depth = peak.pitch - baseline;
+      const dropDuration = peak.timestamp - onsetAt;
+
+      if (timestamp - peak.timestamp > config.maxHoldDuration) {
+        phase = 'neutral';
+        baseline = pitch;
+      } else if (delta <= config.onsetDelta) {
+        if (depth >= config.dropDelta &&
+            dropDuration >= config.minDropDuration &&
+            -velocity >= config.minRecoveryVelocity) {
+          nod = { timestamp, depth, dropDuration, recoveryDuration: timestamp - peak.timestamp };
+        }
+        phase = 'neutral';
+      }
+    }
+
+    previous = { pitch, timestamp };
+
+    return { phase, nod, baseline };
+  };
+
+  const reset = () => {
+    baseline = null;
+    phase = 'neutral';
+    peak = null;
+    previous = null;
+  };
+
+  return { update, reset };
+};
+
+const DEFAULT_SHAKE_OPTIONS = {
+  swingDelta: 15,
+  minSwings: 3,
+  maxDuration: 2000,
+  baselineSmoothing: 0.05
+};
+
+// A head shake is a deliberate "no": the yaw swings past swingDelta degrees
+// to alternating sides at least minSwings times (left-right-left) within
+// maxDuration. A single glance at a mirror only ever produces one swing.
+export const createHeadShakeDetector = (options = {}) => {
+  const config = { ...DEFAULT_SHAKE_OPTIONS, ...options };
+
+  let baseline = null;
+  let swings = [];
+
+  const update = (yaw, timestamp) => {
+    let shake = null;
+
+    if (baseline === null) {
+      baseline = yaw;
+    }
+
+    const delta = yaw - baseline;
+    const side = delta > config.swingDelta ? 'right' : delta < -config.swingDelta ? 'left' : null;
+
+    swings = swings.filter(swing => timestamp - swing.timestamp <= config.maxDuration);
+
+    if (side && (swings.length === 0 || swings[swings.length - 1].side !== side)) {
+      swings.push({ side, timestamp });
+
+      if (swings.length >= config.minSwings) {
+        shake = { timestamp, swings: swings.length, duration: timestamp - swings[0].timestamp };
+        swings = [];
+      }
+    } else if (Math.abs(delta) < config.swingDelta / 2 && swings.length === 0) {
+      baseline += (yaw - baseline) * config.baselineSmoothing;
+    }
+
+    return { shake };
+  };
+
+  const reset = () => {
+    baseline = null;
+    swings = [];
+  };
+
+  return { update, reset };
+};
@@ -0,0 +1,85 @@
+// File: lib/hourlyPattern.js - Alertness and incidents by hour of day from recorded history
+import { SEVERITIES } from './drowsinessPipeline';
+
+export const PATTERN_RANGES = [
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+  { value: 90, label: 'Last 90 days' },
+  { value: 0, label: 'All time' }
+];
+
+export const DAY_TYPES = [
+  { value: 'all', label: 'All days' },
+  { value: 'weekday', label: 'Weekdays' },
+  { value: 'weekend', label: 'Weekends' }
+];
+
+// Hours with less monitoring than this are shown but not trusted for rates or the dip
+const MIN_MINUTES = 10;
+
+// Low alerts are mild-fatigue notices; incidents start at medium
+const INCIDENT_SEVERITIES = SEVERITIES.slice(SEVERITIES.indexOf('medium'));
+
+const matchesDayType = (date, dayType) => {
+  if (dayType === 'all') return true;
+  const weekend = date.getDay() === 0 || date.getDay() === 6;
+  return dayType === 'weekend' ? weekend : !weekend;
+};
+
+// Samples are fed one at a time so a month of per-second samples never has
+// to sit in memory. Hours are local time on this device.
+export const createHourlyAccumulator = ({ dayType = 'all' } = {}) => {
+  const buckets = Array.from({ length: 24 }, () => ({
+    scoreSum: 0,
+    samples: 0,
+    minutes: new Set(),
+    incidents: 0
+  }));
+
+  const addSample = (sample) => {
+    const date = new Date(sample.timestamp);
+    if (!matchesDayType(date, dayType)) return;
+
+    const bucket = buckets[date.getHours()];
+    bucket.scoreSum += sample.score;
+    bucket.samples += 1;
+    // Counting distinct minutes keeps monitored time independent of the sample rate
+    bucket.minutes.add(`${sample.sessionId}:${Math.floor(sample.timestamp / 60000)}`);
+  };
+
+  const addAlert = (alert) => {
+    if (!INCIDENT_SEVERITIES.includes(alert.severity)) return;
+    const date = new Date(alert.timestamp);
+    if (!matchesDayType(date, dayType)) return;
+
+    buckets[date.getHours()].incidents += 1;
+  };
+
+  // alertness: 100 minus the mean drowsiness score; incidentRate: incidents per
+  // monitored hour. Both are null where there is no (or too little) data.
+  const result = () => {
+    const hours = buckets.map((bucket, hour) => {
+      const minutes = bucket.minutes.size;
+      return {
+        hour: `${String(hour).padStart(2, '0')}:00`,
+        minutes,
+        incidents: bucket.incidents,
+        alertness: bucket.samples ? Math.round((100 - bucket.scoreSum / bucket.samples) * 10) / 10 : null,
+        incidentRate: minutes >= MIN_MINUTES ? Math.round(bucket.incidents / (minutes / 60) * 10) / 10 : null
+      };
+    });
+
+    const reliable = hours.filter(hour => hour.minutes >= MIN_MINUTES && hour.alertness !== null);
+    const dip = reliable.length
+      ? reliable.reduce((lowest, hour) => (hour.alertness < lowest.alertness ? hour : lowest))
+      : null;
+
+    return {
+      hours,
+      dip,
+      totalMinutes: hours.reduce((sum, hour) => sum + hour.minutes, 0)
+    };
+  };
+
+  return { addSample, addAlert, result };
+};
@@ -0,0 +1,17 @@
+// File: lib/landmarkIndices.js - MediaPipe FaceMesh landmark indices shared by metrics and overlay
+// Points as consumed by calculateEAR (first six per eye) and calculateMAR
+export const LEFT_EYE = [33, 133, 157, 158, 159, 160, 161, 173];
+export const RIGHT_EYE = [362, 263, 386, 387, 388, 389, 390, 373];
+export const MOUTH = [78, 81, 13, 311, 308, 402, 14, 178];
+
+// Index pairs (into the arrays above) whose distances each ratio measures
+export const EYE_SEGMENTS = [[1, 5], [2, 4], [0, 3]];
+export const MOUTH_SEGMENTS = [[1, 7], [2, 6], [3, 5], [0, 4]];
+
+export const NOSE_TIP = 1;
+
+// Refined (refineLandmarks) iris centres, and each eye's corners from image left to right
+export const LEFT_IRIS_CENTER = 468;
+export const RIGHT_IRIS_CENTER = 473;
+export const LEFT_EYE_CORNERS = [33, 133];
+export const RIGHT_EYE_CORNERS = [362, 263];
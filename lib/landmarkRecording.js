@@ -0,0 +1,140 @@
+// File: lib/landmarkRecording.js - Capture landmark streams and replay them through the pipeline
+//
+// A recording is the raw per-frame landmark stream with timestamps relative to
+// its start. Replaying feeds it to a fresh pipeline as fast as it will run;
+// since the pipeline only uses frame timestamps, a replay gives the same
+// scores and alerts every time, which makes recorded drives usable as
+// regression fixtures for threshold and weight changes.
+import { createDrowsinessPipeline } from './drowsinessPipeline';
+
+export const RECORDING_SCHEMA = 'wakemate.recording';
+export const RECORDING_SCHEMA_VERSION = 1;
+
+const DEFAULT_RECORDER_OPTIONS = {
+  // Decimal places kept per coordinate; landmarks are in video pixels
+  precision: 2
+};
+
+// Landmarks are stored flattened ([x0, y0, z0, x1, ...]) to keep files compact
+const packLandmarks = (landmarks, precision) => {
+  const factor = Math.pow(10, precision);
+  const packed = [];
+  landmarks.forEach(point => {
+    packed.push(
+      Math.round(point[0] * factor) / factor,
+      Math.round(point[1] * factor) / factor,
+      Math.round(point[2] * factor) / factor
+    );
+  });
+  return packed;
+};
+
+const unpackLandmarks = (packed) => {
+  const landmarks = [];
+  for (let i = 0; i < packed.length; i += 3) {
+    landmarks.push([packed[i], packed[i + 1], packed[i + 2]]);
+  }
+  return landmarks;
+};
+
+export const createLandmarkRecorder = (options = {}) => {
+  const config = { ...DEFAULT_RECORDER_OPTIONS, ...options };
+  let recording = null;
+
+  const start = ({ startedAt, thresholds, cooldowns, gazeZone = null, roadPose = null }) => {
+    recording = {
+      schema: RECORDING_SCHEMA,
+      version: RECORDING_SCHEMA_VERSION,
+      startedAt,
+      thresholds,
+      cooldowns,
+      gazeZone,
+      roadPose,
+      frames: []
+    };
+  };
+
+  // Frames without a face are kept (as null) so replay sees the same gaps
+  const capture = (landmarks, timestamp) => {
+    if (!recording) return;
+    recording.frames.push({
+      t: timestamp - recording.startedAt,
+      landmarks: landmarks ? packLandmarks(landmarks, config.precision) : null
+    });
+  };
+
+  const stop = () => {
+    const finished = recording;
+    recording = null;
+    return finished;
+  };
+
+  const isRecording = () => recording !== null;
+
+  const getFrameCount = () => (recording ? recording.frames.length : 0);
+
+  return { start, capture, stop, isRecording, getFrameCount };
+};
+
+export const parseRecording = (text) => {
+  const recording = JSON.parse(text);
+
+  if (recording.schema !== RECORDING_SCHEMA) {
+    throw new Error('Not a WakeMate landmark recording');
+  }
+  if (recording.version !== RECORDING_SCHEMA_VERSION) {
+    throw new Error(`Unsupported recording version ${recording.version}`);
+  }
+  if (!Array.isArray(recording.frames)) {
+    throw new Error('Recording has no frames');
+  }
+
+  return recording;
+};
+
+// Runs synchronously; thresholds and cooldowns default to the ones the drive was recorded with.
+// Recordings made before gaze calibration have no gazeZone and replay with the default zone;
+// without a roadPose the usual head pose is settled from the frames, as live.
+export const replayRecording = (recording, { thresholds = recording.thresholds, cooldowns = recording.cooldowns, onResult } = {}) => {
+  const pipeline = createDrowsinessPipeline({ cooldowns, gazeZone: recording.gazeZone, roadPose: recording.roadPose });
+  const results = [];
+  const alerts = [];
+
+  recording.frames.forEach(frame => {
+    const timestamp = recording.startedAt + frame.t;
+    const result = pipeline.process(frame.landmarks ? unpackLandmarks(frame.landmarks) : null, timestamp, thresholds);
+
+    results.push({
+      timestamp,
+      score: result.score,
+      alert: result.alert,
+      severity: result.alert ? result.severity : null,
+      faceDetected: Boolean(result.metrics)
+    });
+    if (result.alert) {
+      alerts.push({ timestamp, severity: result.severity, message: result.message });
+    }
+    if (onResult) onResult(result, timestamp);
+  });
+
+  const scored = results.filter(result => result.faceDetected);
+  const lastFrame = recording.frames[recording.frames.length - 1];
+
+  return {
+    duration: lastFrame ? lastFrame.t : 0,
+    frameCount: recording.frames.length,
+    thresholds,
+    cooldowns,
+    results,
+    alerts,
+    summary: {
+      meanScore: scored.length ? scored.reduce((sum, result) => sum + result.score, 0) / scored.length : 0,
+      peakScore: scored.reduce((peak, result) => Math.max(peak, result.score), 0),
+      alertCount: alerts.length,
+      alertsBySeverity: alerts.reduce((counts, alert) => {
+        counts[alert.severity] = (counts[alert.severity] || 0) + 1;
+        return counts;
+      }, {})
+    }
+  };
+};
@@ -0,0 +1,65 @@
+// File: lib/livePublisher.js - Streams the running session's status to the supervisor view
+import { SEVERITIES } from './drowsinessPipeline';
+import { authHeaders } from './apiAuth';
+import { getDriverKey } from './driverIdentity';
+
+const DEFAULT_PUBLISHER_OPTIONS = {
+  // Regular updates are throttled to this; a rise in severity goes out at once
+  interval: 1000
+};
+
+// Live status is only useful while it is fresh, so unlike the sync queue
+// nothing is retried: a failed update is simply replaced by the next one.
+export const createLivePublisher = (options = {}) => {
+  const config = { ...DEFAULT_PUBLISHER_OPTIONS, ...options };
+
+  let lastSentAt = 0;
+  let lastSeverity = 'low';
+  let inFlight = false;
+  let failing = false;
+
+  const headers = () => ({ ...authHeaders('driver'), 'X-Driver-Key': getDriverKey() });
+
+  const send = async (status) => {
+    inFlight = true;
+    try {
+      const response = await fetch('/api/live', {
+        method: 'POST',
+        headers: { ...headers(), 'Content-Type': 'application/json' },
+        body: JSON.stringify(status)
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      failing = false;
+    } catch (error) {
+      // Logged once per outage rather than every second
+      if (!failing) console.error('Failed to publish live status:', error);
+      failing = true;
+    } finally {
+      inFlight = false;
+    }
+  };
+
+  const publish = (status) => {
+    if (config.enabled === false) return;
+
+    const now = Date.now();
+    const escalated = SEVERITIES.indexOf(status.severity) > SEVERITIES.indexOf(lastSeverity);
+    if (inFlight || (!escalated && now - lastSentAt < config.interval)) return;
+
+    lastSentAt = now;
+    lastSeverity = status.severity;
+    send(status);
+  };
+
+  // keepalive lets the request finish when the page is being closed
+  const end = (driverId) => {
+    lastSentAt = 0;
+    lastSeverity = 'low';
+    if (config.enabled === false) return;
+
+    fetch(`/api/live/${driverId}`, { method: 'DELETE', headers: headers(), keepalive: true })
+      .catch(error => console.error('Failed to end live session:', error));
+  };
+
+  return { publish, end };
+};
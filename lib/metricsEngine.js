@@ -0,0 +1,149 @@
+// File: lib/metricsEngine.js - Time-based sliding-window drowsiness metrics
+//
+// Windows are defined in milliseconds, not sample counts, so every metric
+// means the same thing at 1 Hz and at 15 Hz. Frame samples are integrated
+// sample-and-hold: each sample's state lasts until the next one, capped at
+// maxSampleGap so a stalled camera does not count as eyes open or closed.
+
+export const DEFAULT_WINDOWS = {
+  perclos: 60 * 1000,
+  blinks: 5 * 60 * 1000,
+  yawns: 10 * 60 * 1000,
+  nods: 60 * 1000,
+  microsleeps: 10 * 60 * 1000,
+  trend: 30 * 60 * 1000
+};
+
+// nodCount always covers ten minutes, whatever the nods window
+const NOD_COUNT_WINDOW = 10 * 60 * 1000;
+
+const DEFAULT_ENGINE_OPTIONS = {
+  maxSampleGap: 2000,
+  minPerclosCoverage: 0.25,
+  minRateSpan: 5000
+};
+
+// Series are in time order, so expired entries are all at the front
+const dropUntil = (list, since) => {
+  let expired = 0;
+  while (expired < list.length && list[expired].timestamp <= since) expired++;
+  if (expired > 0) list.splice(0, expired);
+};
+
+const linearTrend = (points) => {
+  if (points.length < 2) return { mean: points.length ? points[0].value : 0, slope: 0 };
+
+  const t0 = points[0].timestamp;
+  const xs = points.map(point => (point.timestamp - t0) / 60000);
+  const ys = points.map(point => point.value);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+  let covariance = 0;
+  let variance = 0;
+  xs.forEach((x, i) => {
+    covariance += (x - meanX) * (ys[i] - meanY);
+    variance += (x - meanX) * (x - meanX);
+  });
+
+  return { mean: meanY, slope: variance ? covariance / variance : 0 };
+};
+
+export const createMetricsEngine = (options = {}) => {
+  const config = { ...DEFAULT_ENGINE_OPTIONS, ...options };
+  const windows = { ...DEFAULT_WINDOWS, ...options.windows };
+  // Each series is kept only as long as the longest window that reads it:
+  // raw samples feed PERCLOS alone, so they are not held for the trend window
+  const eventRetention = {
+    blink: windows.blinks,
+    microsleep: windows.microsleeps,
+    yawn: windows.yawns,
+    nod: Math.max(windows.nods, NOD_COUNT_WINDOW)
+  };
+
+  let startedAt = null;
+  let samples = [];
+  let scores = [];
+  let events = { blink: [], microsleep: [], yawn: [], nod: [] };
+
+  const prune = (now) => {
+    dropUntil(samples, now - windows.perclos);
+    dropUntil(scores, now - windows.trend);
+    Object.keys(events).forEach(type => dropUntil(events[type], now - eventRetention[type]));
+  };
+
+  // sample: { timestamp, ear, mar, eyesClosed }
+  const record = (sample) => {
+    if (startedAt === null) startedAt = sample.timestamp;
+    samples.push(sample);
+    prune(sample.timestamp);
+  };
+
+  const recordEvent = (type, event) => {
+    events[type].push(event);
+  };
+
+  const recordScore = (timestamp, value) => {
+    scores.push({ timestamp, value });
+  };
+
+  const eventsWithin = (type, windowMs, now) =>
+    events[type].filter(event => event.timestamp > now - windowMs);
+
+  const perclos = (now) => {
+    const recent = samples.filter(sample => sample.timestamp > now - windows.perclos);
+    let closedTime = 0;
+    let coveredTime = 0;
+
+    recent.forEach((sample, i) => {
+      const nextTimestamp = i + 1 < recent.length ? recent[i + 1].timestamp : now;
+      const held = Math.min(nextTimestamp - sample.timestamp, config.maxSampleGap);
+      coveredTime += held;
+      if (sample.eyesClosed) closedTime += held;
+    });
+
+    const coverage = coveredTime / windows.perclos;
+    return {
+      value: coverage >= config.minPerclosCoverage && coveredTime ? closedTime / coveredTime : 0,
+      coverage
+    };
+  };
+
+  // Events per minute, normalized by how much of the window has been observed
+  const ratePerMinute = (type, windowMs, now) => {
+    const span = Math.min(windowMs, now - (startedAt ?? now));
+    if (span < config.minRateSpan) return 0;
+    return eventsWithin(type, windowMs, now).length / (span / 60000);
+  };
+
+  const getSnapshot = (now) => {
+    const perclosResult = perclos(now);
+    const recentBlinks = eventsWithin('blink', windows.blinks, now);
+    const recentMicrosleeps = eventsWithin('microsleep', windows.microsleeps, now);
+
+    return {
+      perclos: perclosResult.value,
+      perclosCoverage: Math.min(1, perclosResult.coverage),
+      blinkRate: ratePerMinute('blink', windows.blinks, now),
+      meanBlinkDuration: recentBlinks.length
+        ? recentBlinks.reduce((sum, event) => sum + event.duration, 0) / recentBlinks.length
+        : 0,
+      longestClosure: [...recentBlinks, ...recentMicrosleeps]
+        .reduce((max, event) => Math.max(max, event.duration), 0),
+      microsleepCount: recentMicrosleeps.length,
+      yawnRate: eventsWithin('yawn', windows.yawns, now).length * (10 * 60 * 1000 / windows.yawns),
+      nodsPerMinute: eventsWithin('nod', windows.nods, now).length * (60 * 1000 / windows.nods),
+      nodCount: eventsWithin('nod', NOD_COUNT_WINDOW, now).length,
+      trend: linearTrend(scores.filter(point => point.timestamp > now - windows.trend))
+    };
+  };
+
+  const reset = () => {
+    startedAt = null;
+    samples = [];
+    scores = [];
+    events = { blink: [], microsleep: [], yawn: [], nod: [] };
+  };
+
+  return { record, recordEvent, recordScore, getSnapshot, reset };
+};
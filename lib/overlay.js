@@ -0,0 +1,138 @@
+// File: lib/overlay.js - Face-mesh debug overlay drawing for the camera canvas
+import { LEFT_EYE, RIGHT_EYE, MOUTH, EYE_SEGMENTS, MOUTH_SEGMENTS, NOSE_TIP } from './landmarkIndices';
+
+export const OVERLAY_LAYERS = [
+  { id: 'mesh', label: 'Mesh' },
+  { id: 'contours', label: 'Eye/Mouth' },
+  { id: 'readouts', label: 'EAR/MAR' },
+  { id: 'pose', label: 'Head Pose' },
+  { id: 'box', label: 'Bounding Box' }
+];
+
+export const DEFAULT_OVERLAY_OPTIONS = {
+  mesh: false,
+  contours: true,
+  readouts: true,
+  pose: true,
+  box: true
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const getBounds = (landmarks) => {
+  const xs = landmarks.map(point => point[0]);
+  const ys = landmarks.map(point => point[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+};
+
+const drawMesh = (ctx, landmarks) => {
+  ctx.fillStyle = 'rgba(56, 189, 248, 0.6)';
+  landmarks.forEach(([x, y]) => ctx.fillRect(x - 1, y - 1, 2, 2));
+};
+
+const drawFeature = (ctx, landmarks, indices, segments, color) => {
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = 1.5;
+
+  segments.forEach(([a, b]) => {
+    const p1 = landmarks[indices[a]];
+    const p2 = landmarks[indices[b]];
+    ctx.beginPath();
+    ctx.moveTo(p1[0], p1[1]);
+    ctx.lineTo(p2[0], p2[1]);
+    ctx.stroke();
+  });
+
+  indices.forEach(index => {
+    const [x, y] = landmarks[index];
+    ctx.beginPath();
+    ctx.arc(x, y, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+  });
+};
+
+// Projects the head's rotated X (red), Y (green) and Z (blue) axes onto the
+// image plane, anchored at the nose tip
+const drawPoseAxes = (ctx, landmarks, headPose, length) => {
+  const pitch = toRadians(headPose.pitch);
+  const yaw = toRadians(headPose.yaw);
+  const roll = toRadians(headPose.roll);
+  const [ox, oy] = landmarks[NOSE_TIP];
+
+  const rotate = ([x, y, z]) => {
+    const y1 = y * Math.cos(pitch) - z * Math.sin(pitch);
+    const z1 = y * Math.sin(pitch) + z * Math.cos(pitch);
+    const x2 = x * Math.cos(yaw) + z1 * Math.sin(yaw);
+    const x3 = x2 * Math.cos(roll) - y1 * Math.sin(roll);
+    const y3 = x2 * Math.sin(roll) + y1 * Math.cos(roll);
+    return [x3, y3];
+  };
+
+  [
+    { axis: [1, 0, 0], color: '#EF4444' },
+    { axis: [0, -1, 0], color: '#10B981' },
+    { axis: [0, 0, -1], color: '#3B82F6' }
+  ].forEach(({ axis, color }) => {
+    const [dx, dy] = rotate(axis);
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(ox, oy);
+    ctx.lineTo(ox + dx * length, oy + dy * length);
+    ctx.stroke();
+  });
+};
+
+const drawReadouts = (ctx, bounds, metrics) => {
+  const lines = [
+    `EAR ${metrics.ear.toFixed(3)}`,
+    `MAR ${metrics.mar.toFixed(3)}`
+  ];
+  if (metrics.headPose) {
+    const { pitch, yaw, roll } = metrics.headPose;
+    lines.push(`P ${pitch.toFixed(0)}° Y ${yaw.toFixed(0)}° R ${roll.toFixed(0)}°`);
+  }
+
+  const x = bounds.x + bounds.width + 10;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, bounds.y, 170, lines.length * 22 + 10);
+  ctx.fillStyle = 'white';
+  ctx.font = '16px monospace';
+  lines.forEach((line, i) => ctx.fillText(line, x + 8, bounds.y + 24 + i * 22));
+};
+
+export const drawFaceOverlay = (ctx, frame, options = DEFAULT_OVERLAY_OPTIONS) => {
+  const { landmarks, metrics } = frame;
+  const bounds = getBounds(landmarks);
+
+  ctx.save();
+
+  if (options.mesh) {
+    drawMesh(ctx, landmarks);
+  }
+
+  if (options.contours) {
+    drawFeature(ctx, landmarks, LEFT_EYE.slice(0, 6), EYE_SEGMENTS, '#22D3EE');
+    drawFeature(ctx, landmarks, RIGHT_EYE.slice(0, 6), EYE_SEGMENTS, '#22D3EE');
+    drawFeature(ctx, landmarks, MOUTH, MOUTH_SEGMENTS, '#F472B6');
+  }
+
+  if (options.box) {
+    ctx.strokeStyle = '#FBBF24';
+    ctx.lineWidth = 2;
+    ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+  }
+
+  if (options.pose && metrics?.headPose) {
+    drawPoseAxes(ctx, landmarks, metrics.headPose, bounds.width * 0.4);
+  }
+
+  if (options.readouts && metrics) {
+    drawReadouts(ctx, bounds, metrics);
+  }
+
+  ctx.restore();
+};
@@ -0,0 +1,53 @@
+// File: lib/server/apiHandler.js - Method routing and error responses for API routes
+import { checkAccess } from './auth';
+
+export class ApiError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// methods: { GET: (req, res) => ..., POST: ... }. Handlers throw ApiError for
+// client errors; anything else is logged and reported as a 500.
+// options.access: the role every method needs, or { GET: role, ... } per
+// method (see auth.js); options.queryToken also accepts ?access_token=.
+export const createApiHandler = (methods, { access, queryToken = false } = {}) => async (req, res) => {
+  const handler = methods[req.method];
+
+  if (!handler) {
+    res.setHeader('Allow', Object.keys(methods).join(', '));
+    res.status(405).json({ error: `Method ${req.method} not allowed` });
+    return;
+  }
+
+  const role = typeof access === 'string' ? access : access?.[req.method];
+  const denied = role ? checkAccess(req, role, { allowQuery: queryToken }) : null;
+  if (denied) {
+    if (denied.status === 401) res.setHeader('WWW-Authenticate', 'Bearer');
+    res.status(denied.status).json({ error: denied.message });
+    return;
+  }
+
+  try {
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof ApiError) {
+      res.status(error.status).json({ error: error.message, ...(error.details && { details: error.details }) });
+      return;
+    }
+    console.error(`API ${req.method} ${req.url} failed:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+export const paginated = (res, { items, total }, { offset, limit }) => {
+  res.status(200).json({
+    items,
+    total,
+    offset,
+    limit,
+    nextOffset: offset + items.length < total ? offset + items.length : null
+  });
+};
@@ -0,0 +1,56 @@
+// File: lib/server/auth.js - Bearer-token access control for API routes
+//
+// Each role's token comes from the environment and is sent as
+// "Authorization: Bearer <token>". The admin token passes every role's check.
+// When no token is configured for a role its routes stay open under next dev
+// and are refused in any other build, so a deployment cannot ship them
+// unprotected by accident.
+import crypto from 'crypto';
+
+// admin: webhook management; supervisor: the live driver board;
+// driver: detection clients publishing their live status
+const ROLE_TOKEN_VARIABLES = {
+  admin: 'WAKEMATE_ADMIN_TOKEN',
+  supervisor: 'WAKEMATE_SUPERVISOR_TOKEN',
+  driver: 'WAKEMATE_DRIVER_TOKEN'
+};
+
+const warnedOpenRoles = new Set();
+
+const tokensFor = (role) => [ROLE_TOKEN_VARIABLES[role], ROLE_TOKEN_VARIABLES.admin]
+  .map(name => process.env[name])
+  .filter(Boolean);
+
+// Hashing first gives equal-length buffers, as timingSafeEqual requires
+const digest = (value) => crypto.createHash('sha256').update(value).digest();
+const matchesToken = (presented, expected) => crypto.timingSafeEqual(digest(presented), digest(expected));
+
+// allowQuery accepts ?access_token= for clients that cannot set headers
+const presentedToken = (req, allowQuery) => {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)\s*$/i);
+  if (match) return match[1];
+  if (allowQuery && typeof req.query.access_token === 'string') return req.query.access_token;
+  return null;
+};
+
+// Resolves to null when the request may proceed, otherwise { status, message }
+export const checkAccess = (req, role, { allowQuery = false } = {}) => {
+  if (!ROLE_TOKEN_VARIABLES[role]) throw new Error(`Unknown access role "${role}"`);
+
+  const expected = tokensFor(role);
+  if (expected.length === 0) {
+    if (process.env.NODE_ENV !== 'development') {
+      return { status: 503, message: `Set ${ROLE_TOKEN_VARIABLES[role]} to enable this API` };
+    }
+    if (!warnedOpenRoles.has(role)) {
+      warnedOpenRoles.add(role);
+      console.warn(`${ROLE_TOKEN_VARIABLES[role]} is not set; ${role} API routes are open in development`);
+    }
+    return null;
+  }
+
+  const token = presentedToken(req, allowQuery);
+  if (!token) return { status: 401, message: 'Access token required' };
+  if (!expected.some(candidate => matchesToken(token, candidate))) return { status: 401, message: 'Invalid access token' };
+  return null;
+};
@@ -0,0 +1,173 @@
+// File: lib/server/jsonFileStorage.js - Storage adapter keeping sessions and alerts in JSON files
+//
+// Layout under dataDir: sessions.json, alerts.json, webhooks.json and
+// deadLetters.json hold every record keyed by id, samples/<sessionId>.json
+// holds one session's samples. Files are
+// loaded once and written atomically (temp file + rename); writes go through
+// a single queue so concurrent requests never interleave.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const readJSON = async (file, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+};
+
+const writeJSON = async (file, data) => {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data));
+  await fs.rename(temp, file);
+};
+
+const alertKey = (alert) => `${alert.sessionId}/${alert.id}`;
+
+const page = (items, { offset, limit }) => ({
+  items: items.slice(offset, offset + limit),
+  total: items.length
+});
+
+export const createJsonFileStorage = ({ dataDir }) => {
+  const sessionsFile = path.join(dataDir, 'sessions.json');
+  const alertsFile = path.join(dataDir, 'alerts.json');
+  const webhooksFile = path.join(dataDir, 'webhooks.json');
+  const deadLettersFile = path.join(dataDir, 'deadLetters.json');
+  const samplesDir = path.join(dataDir, 'samples');
+  const samplesFile = (sessionId) => path.join(samplesDir, `${sessionId}.json`);
+
+  let loaded = null;
+  let writes = Promise.resolve();
+
+  const load = () => {
+    if (!loaded) {
+      loaded = (async () => {
+        await fs.mkdir(samplesDir, { recursive: true });
+        return {
+          sessions: await readJSON(sessionsFile, {}),
+          alerts: await readJSON(alertsFile, {}),
+          webhooks: await readJSON(webhooksFile, {}),
+          deadLetters: await readJSON(deadLettersFile, {})
+        };
+      })().catch(error => {
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  const serialize = (task) => {
+    const run = writes.then(task);
+    writes = run.catch(() => {});
+    return run;
+  };
+
+  const upsertSession = (session) => serialize(async () => {
+    const data = await load();
+    data.sessions[session.id] = { ...data.sessions[session.id], ...session, updatedAt: new Date().toISOString() };
+    await writeJSON(sessionsFile, data.sessions);
+    return data.sessions[session.id];
+  });
+
+  const getSession = async (id) => {
+    const data = await load();
+    return data.sessions[id] || null;
+  };
+
+  const listSessions = async ({ driverId, offset, limit }) => {
+    const data = await load();
+    const sessions = Object.values(data.sessions)
+      .filter(session => !driverId || session.driverId === driverId)
+      .sort((a, b) => b.startedAt - a.startedAt);
+    return page(sessions, { offset, limit });
+  };
+
+  // Samples are keyed by timestamp, so a retried batch does not duplicate rows
+  const appendSamples = (sessionId, samples) => serialize(async () => {
+    await load();
+    const existing = await readJSON(samplesFile(sessionId), []);
+    const seen = new Set(existing.map(sample => sample.timestamp));
+    const merged = [...existing, ...samples.filter(sample => !seen.has(sample.timestamp))]
+      .sort((a, b) => a.timestamp - b.timestamp);
+    await writeJSON(samplesFile(sessionId), merged);
+    return merged.length - existing.length;
+  });
+
+  const listSamples = async (sessionId, { offset, limit }) => {
+    await load();
+    return page(await readJSON(samplesFile(sessionId), []), { offset, limit });
+  };
+
+  // Resolves to the alerts that were not stored before
+  const upsertAlerts = (alerts) => serialize(async () => {
+    const data = await load();
+    const created = alerts.filter(alert => !data.alerts[alertKey(alert)]);
+    alerts.forEach(alert => {
+      data.alerts[alertKey(alert)] = { ...data.alerts[alertKey(alert)], ...alert };
+    });
+    await writeJSON(alertsFile, data.alerts);
+    return created;
+  });
+
+  const listAlerts = async ({ sessionId, driverId, severity, since, offset, limit }) => {
+    const data = await load();
+    const alerts = Object.values(data.alerts)
+      .filter(alert => !sessionId || alert.sessionId === sessionId)
+      .filter(alert => !driverId || alert.driverId === driverId)
+      .filter(alert => !severity || alert.severity === severity)
+      .filter(alert => !since || alert.timestamp >= since)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return page(alerts, { offset, limit });
+  };
+
+  const listWebhooks = async () => {
+    const data = await load();
+    return Object.values(data.webhooks).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  };
+
+  const upsertWebhook = (webhook) => serialize(async () => {
+    const data = await load();
+    data.webhooks[webhook.id] = webhook;
+    await writeJSON(webhooksFile, data.webhooks);
+    return webhook;
+  });
+
+  const deleteWebhook = (id) => serialize(async () => {
+    const data = await load();
+    if (!data.webhooks[id]) return false;
+    delete data.webhooks[id];
+    await writeJSON(webhooksFile, data.webhooks);
+    return true;
+  });
+
+  const addDeadLetter = (entry) => serialize(async () => {
+    const data = await load();
+    data.deadLetters[entry.id] = entry;
+    await writeJSON(deadLettersFile, data.deadLetters);
+    return entry;
+  });
+
+  const listDeadLetters = async ({ offset, limit }) => {
+    const data = await load();
+    const entries = Object.values(data.deadLetters).sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+    return page(entries, { offset, limit });
+  };
+
+  // Removes a dead letter and resolves to it, or to null if it is already gone
+  const takeDeadLetter = (id) => serialize(async () => {
+    const data = await load();
+    const entry = data.deadLetters[id];
+    if (!entry) return null;
+    delete data.deadLetters[id];
+    await writeJSON(deadLettersFile, data.deadLetters);
+    return entry;
+  });
+
+  return {
+    upsertSession, getSession, listSessions, appendSamples, listSamples, upsertAlerts, listAlerts,
+    listWebhooks, upsertWebhook, deleteWebhook, addDeadLetter, listDeadLetters, takeDeadLetter
+  };
+};
@@ -0,0 +1,112 @@
+// File: lib/server/liveHub.js - In-memory registry of running detection sessions for the supervisor view
+//
+// Driver clients post a status update about once a second; the hub keeps the
+// latest status and a short score timeline per driver and fans every change
+// out to subscribers (the supervisor SSE streams). Nothing here is persisted:
+// live state is rebuilt from the next round of updates after a restart.
+//
+// A driver id is bound to the device key of its first update until the driver
+// ends or goes stale, so one device cannot overwrite or end another's session.
+import crypto from 'crypto';
+
+const DEFAULT_HUB_OPTIONS = {
+  // A driver that has not reported for this long is dropped
+  staleAfter: 30000,
+  // Timeline points kept per driver (15 minutes at one per second)
+  timelineLength: 900,
+  alertHistoryLength: 50
+};
+
+export const createLiveHub = (options = {}) => {
+  const config = { ...DEFAULT_HUB_OPTIONS, ...options };
+  const drivers = new Map();
+  // driverId -> SHA-256 of the device key, kept apart so it never reaches a response
+  const keyHashes = new Map();
+  const listeners = new Set();
+
+  const emit = (event) => {
+    listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Live hub listener failed:', error);
+      }
+    });
+  };
+
+  // What tiles need; the timeline and alert history are only sent on drill-down
+  const toSummary = ({ timeline, alerts, ...driver }, now = Date.now()) => ({ ...driver, age: now - driver.receivedAt });
+
+  const hashKey = (key) => crypto.createHash('sha256').update(key).digest();
+
+  // True when the driver id is free or was claimed with this key
+  const owns = (driverId, key) => {
+    const expected = keyHashes.get(driverId);
+    return !expected || crypto.timingSafeEqual(expected, hashKey(key));
+  };
+
+  // Callers check owns() first; the key claims the driver id if it is free
+  const update = (status, key) => {
+    const now = Date.now();
+    const previous = drivers.get(status.driverId);
+    // A new session from the same driver starts a fresh timeline. Sessions are
+    // told apart by start time because the id arrives a moment after the first update.
+    const sameSession = previous && previous.startedAt === status.startedAt;
+    const timeline = sameSession ? previous.timeline : [];
+    const alerts = sameSession ? previous.alerts : [];
+
+    timeline.push({ timestamp: status.timestamp, score: status.score, severity: status.severity });
+    if (timeline.length > config.timelineLength) timeline.shift();
+
+    if (status.lastAlert && status.lastAlert.timestamp !== alerts[0]?.timestamp) {
+      alerts.unshift(status.lastAlert);
+      if (alerts.length > config.alertHistoryLength) alerts.pop();
+    }
+
+    const driver = { ...status, receivedAt: now, timeline, alerts };
+    drivers.set(status.driverId, driver);
+    if (!keyHashes.has(status.driverId)) keyHashes.set(status.driverId, hashKey(key));
+    emit({ type: 'update', driver: toSummary(driver, now) });
+    return driver;
+  };
+
+  const end = (driverId) => {
+    keyHashes.delete(driverId);
+    if (!drivers.delete(driverId)) return false;
+    emit({ type: 'end', driverId });
+    return true;
+  };
+
+  // Drops drivers whose client stopped reporting without ending its session
+  const prune = () => {
+    const cutoff = Date.now() - config.staleAfter;
+    drivers.forEach((driver, driverId) => {
+      if (driver.receivedAt < cutoff) end(driverId);
+    });
+  };
+
+  const list = () => {
+    prune();
+    const now = Date.now();
+    return [...drivers.values()].map(driver => toSummary(driver, now));
+  };
+
+  const getDriver = (driverId) => {
+    const driver = drivers.get(driverId);
+    return driver ? { ...toSummary(driver), timeline: driver.timeline, alerts: driver.alerts } : null;
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { owns, update, end, prune, list, getDriver, subscribe };
+};
+
+// Kept on globalThis for the same reason as the storage adapter: every route
+// has to see the same drivers
+export const getLiveHub = () => {
+  if (!globalThis.wakemateLiveHub) globalThis.wakemateLiveHub = createLiveHub();
+  return globalThis.wakemateLiveHub;
+};
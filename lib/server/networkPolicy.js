@@ -0,0 +1,106 @@
+// File: lib/server/networkPolicy.js - Keeps outbound webhook requests off private networks
+//
+// Webhook targets are user supplied, so without this check the server could be
+// made to POST to (and the test route to report on) loopback services, cloud
+// metadata endpoints or anything else on the internal network. Hostnames are
+// checked when a target is saved and their resolved addresses before every
+// request. Set WAKEMATE_WEBHOOK_ALLOW_PRIVATE=true to deliver to LAN receivers.
+import dns from 'dns';
+import net from 'net';
+
+export const privateTargetsAllowed = () => process.env.WAKEMATE_WEBHOOK_ALLOW_PRIVATE === 'true';
+
+// [network, prefix length] in dotted form
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (address) => address.split('.').reduce((value, part) => value * 256 + Number(part), 0);
+
+const isPrivateIpv4 = (address) => {
+  const value = ipv4ToNumber(address);
+  return PRIVATE_IPV4_RANGES.some(([network, bits]) => {
+    const size = 2 ** (32 - bits);
+    return Math.floor(value / size) === Math.floor(ipv4ToNumber(network) / size);
+  });
+};
+
+// The 16 bytes of an address net.isIPv6 accepted. Parsed rather than matched
+// as text: URL normalizes ::ffff:127.0.0.1 to ::ffff:7f00:1, for one.
+const ipv6ToBytes = (address) => {
+  let text = address.toLowerCase().split('%')[0];
+  // A trailing dotted quad stands for the last two groups
+  const quad = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (quad) {
+    const [a, b, c, d] = quad.slice(1).map(Number);
+    text = `${text.slice(0, -quad[0].length)}${(a * 256 + b).toString(16)}:${(c * 256 + d).toString(16)}`;
+  }
+
+  const groupsOf = (part) => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+  const [head, tail] = text.split('::');
+  const headGroups = groupsOf(head);
+  const tailGroups = groupsOf(tail);
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill(0), ...tailGroups];
+  return groups.flatMap(group => [group >> 8, group & 0xff]);
+};
+
+const isPrivateIpv6 = (address) => {
+  const bytes = ipv6ToBytes(address);
+  const startsWith = (prefix) => prefix.every((byte, i) => bytes[i] === byte);
+  const zeros = (from, to) => bytes.slice(from, to).every(byte => byte === 0);
+  const embeddedIpv4 = (offset) => isPrivateIpv4(bytes.slice(offset, offset + 4).join('.'));
+
+  // Ranges that carry an IPv4 address get its verdict: IPv4-mapped
+  // ::ffff:0:0/96, IPv4-compatible ::/96 (:: and ::1 included), NAT64
+  // 64:ff9b::/96 and 6to4 2002::/16
+  if (zeros(0, 10) && (zeros(10, 12) || startsWith([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff]))) return embeddedIpv4(12);
+  if (startsWith([0, 0x64, 0xff, 0x9b]) && zeros(4, 12)) return embeddedIpv4(12);
+  if (startsWith([0x20, 0x02])) return embeddedIpv4(2);
+
+  // 64:ff9b:1::/48 local-use NAT64, fc00::/7 unique local, fe80::/10
+  // link-local and fec0::/10 site-local, ff00::/8 multicast
+  return startsWith([0, 0x64, 0xff, 0x9b, 0, 1]) ||
+    (bytes[0] & 0xfe) === 0xfc ||
+    (bytes[0] === 0xfe && bytes[1] >= 0x80) ||
+    bytes[0] === 0xff;
+};
+
+export const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) return isPrivateIpv4(address);
+  if (net.isIPv6(address)) return isPrivateIpv6(address);
+  return false;
+};
+
+// Literal check for a URL's hostname, no DNS lookup
+export const isPrivateHostname = (hostname) => {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+  return isPrivateAddress(host);
+};
+
+// Resolves to an error message when the URL's host is, or resolves to, a
+// private address; null when the request may go ahead. Lookup failures are
+// left to the request itself so they count as ordinary, retryable errors.
+export const checkPublicTarget = async (url, lookup = dns.promises.lookup) => {
+  if (privateTargetsAllowed()) return null;
+
+  const { hostname } = new URL(url);
+  if (isPrivateHostname(hostname)) return `Refusing to send to private address ${hostname}`;
+  if (net.isIP(hostname.replace(/^\[|\]$/g, ''))) return null;
+
+  const addresses = await lookup(hostname, { all: true }).catch(() => []);
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  return blocked ? `Refusing to send to ${hostname}: it resolves to private address ${blocked.address}` : null;
+};
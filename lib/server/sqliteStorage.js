@@ -0,0 +1,201 @@
+// File: lib/server/sqliteStorage.js - Storage adapter backed by a SQLite database file
+//
+// Uses better-sqlite3, which is synchronous; queries are small and indexed, so
+// they finish well within a request. The package is only loaded when this
+// adapter is selected (WAKEMATE_STORAGE=sqlite).
+import path from 'path';
+import { promises as fs } from 'fs';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    driver_id TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS sessions_driver ON sessions (driver_id, started_at);
+
+  CREATE TABLE IF NOT EXISTS samples (
+    session_id TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (session_id, timestamp)
+  );
+
+  CREATE TABLE IF NOT EXISTS alerts (
+    session_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    driver_id TEXT NOT NULL,
+    severity TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (session_id, id)
+  );
+  CREATE INDEX IF NOT EXISTS alerts_timestamp ON alerts (timestamp);
+
+  CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS dead_letters (
+    id TEXT PRIMARY KEY,
+    failed_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+`;
+
+// Builds "WHERE a = ? AND b >= ?" from the filters that are set
+const where = (conditions) => {
+  const active = conditions.filter(([, value]) => value !== undefined && value !== null);
+  return {
+    clause: active.length ? `WHERE ${active.map(([sql]) => sql).join(' AND ')}` : '',
+    params: active.map(([, value]) => value)
+  };
+};
+
+export const createSqliteStorage = ({ dataDir }) => {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = (async () => {
+        const { default: Database } = await import('better-sqlite3');
+        await fs.mkdir(dataDir, { recursive: true });
+        const db = new Database(path.join(dataDir, 'wakemate.sqlite'));
+        db.pragma('journal_mode = WAL');
+        db.exec(SCHEMA);
+        return db;
+      })().catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  };
+
+  const parseRows = (rows) => rows.map(row => JSON.parse(row.data));
+
+  const upsertSession = async (session) => {
+    const db = await open();
+    const existing = db.prepare('SELECT data FROM sessions WHERE id = ?').get(session.id);
+    const merged = { ...(existing && JSON.parse(existing.data)), ...session, updatedAt: new Date().toISOString() };
+
+    db.prepare(`
+      INSERT INTO sessions (id, driver_id, started_at, data) VALUES (?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET driver_id = excluded.driver_id, started_at = excluded.started_at, data = excluded.data
+    `).run(merged.id, merged.driverId, merged.startedAt, JSON.stringify(merged));
+    return merged;
+  };
+
+  const getSession = async (id) => {
+    const db = await open();
+    const row = db.prepare('SELECT data FROM sessions WHERE id = ?').get(id);
+    return row ? JSON.parse(row.data) : null;
+  };
+
+  const listSessions = async ({ driverId, offset, limit }) => {
+    const db = await open();
+    const { clause, params } = where([['driver_id = ?', driverId]]);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM sessions ${clause}`).get(...params);
+    const rows = db.prepare(`SELECT data FROM sessions ${clause} ORDER BY started_at DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    return { items: parseRows(rows), total };
+  };
+
+  const appendSamples = async (sessionId, samples) => {
+    const db = await open();
+    const insert = db.prepare('INSERT OR IGNORE INTO samples (session_id, timestamp, data) VALUES (?, ?, ?)');
+    const insertAll = db.transaction(rows => rows.reduce(
+      (added, sample) => added + insert.run(sessionId, sample.timestamp, JSON.stringify(sample)).changes, 0
+    ));
+    return insertAll(samples);
+  };
+
+  const listSamples = async (sessionId, { offset, limit }) => {
+    const db = await open();
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM samples WHERE session_id = ?').get(sessionId);
+    const rows = db.prepare('SELECT data FROM samples WHERE session_id = ? ORDER BY timestamp LIMIT ? OFFSET ?')
+      .all(sessionId, limit, offset);
+    return { items: parseRows(rows), total };
+  };
+
+  // Resolves to the alerts that were not stored before
+  const upsertAlerts = async (alerts) => {
+    const db = await open();
+    const exists = db.prepare('SELECT 1 FROM alerts WHERE session_id = ? AND id = ?');
+    const upsert = db.prepare(`
+      INSERT INTO alerts (session_id, id, driver_id, severity, timestamp, data) VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT (session_id, id) DO UPDATE SET severity = excluded.severity, data = excluded.data
+    `);
+    return db.transaction(rows => rows.filter(alert => {
+      const isNew = !exists.get(alert.sessionId, String(alert.id));
+      upsert.run(alert.sessionId, String(alert.id), alert.driverId, alert.severity, alert.timestamp, JSON.stringify(alert));
+      return isNew;
+    }))(alerts);
+  };
+
+  const listAlerts = async ({ sessionId, driverId, severity, since, offset, limit }) => {
+    const db = await open();
+    const { clause, params } = where([
+      ['session_id = ?', sessionId],
+      ['driver_id = ?', driverId],
+      ['severity = ?', severity],
+      ['timestamp >= ?', since]
+    ]);
+    const { total } = db.prepare(`SELECT COUNT(*) AS total FROM alerts ${clause}`).get(...params);
+    const rows = db.prepare(`SELECT data FROM alerts ${clause} ORDER BY timestamp DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+    return { items: parseRows(rows), total };
+  };
+
+  const listWebhooks = async () => {
+    const db = await open();
+    return parseRows(db.prepare('SELECT data FROM webhooks ORDER BY created_at').all());
+  };
+
+  const upsertWebhook = async (webhook) => {
+    const db = await open();
+    db.prepare(`
+      INSERT INTO webhooks (id, created_at, data) VALUES (?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET data = excluded.data
+    `).run(webhook.id, webhook.createdAt, JSON.stringify(webhook));
+    return webhook;
+  };
+
+  const deleteWebhook = async (id) => {
+    const db = await open();
+    return db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+  };
+
+  const addDeadLetter = async (entry) => {
+    const db = await open();
+    db.prepare('INSERT OR REPLACE INTO dead_letters (id, failed_at, data) VALUES (?, ?, ?)')
+      .run(entry.id, entry.failedAt, JSON.stringify(entry));
+    return entry;
+  };
+
+  const listDeadLetters = async ({ offset, limit }) => {
+    const db = await open();
+    const { total } = db.prepare('SELECT COUNT(*) AS total FROM dead_letters').get();
+    const rows = db.prepare('SELECT data FROM dead_letters ORDER BY failed_at DESC LIMIT ? OFFSET ?').all(limit, offset);
+    return { items: parseRows(rows), total };
+  };
+
+  // Removes a dead letter and resolves to it, or to null if it is already gone
+  const takeDeadLetter = async (id) => {
+    const db = await open();
+    return db.transaction(() => {
+      const row = db.prepare('SELECT data FROM dead_letters WHERE id = ?').get(id);
+      if (!row) return null;
+      db.prepare('DELETE FROM dead_letters WHERE id = ?').run(id);
+      return JSON.parse(row.data);
+    })();
+  };
+
+  return {
+    upsertSession, getSession, listSessions, appendSamples, listSamples, upsertAlerts, listAlerts,
+    listWebhooks, upsertWebhook, deleteWebhook, addDeadLetter, listDeadLetters, takeDeadLetter
+  };
+};
@@ -0,0 +1,28 @@
+// File: lib/server/storage.js - Selects the server storage adapter from the environment
+import path from 'path';
+import { createJsonFileStorage } from './jsonFileStorage';
+import { createSqliteStorage } from './sqliteStorage';
+
+const ADAPTERS = {
+  json: createJsonFileStorage,
+  sqlite: createSqliteStorage
+};
+
+// WAKEMATE_STORAGE picks the adapter (json by default), WAKEMATE_DATA_DIR
+// where it keeps its files. One instance is shared by every API route; it
+// lives on globalThis because Next.js may give each route its own copy of
+// this module, and the JSON adapter caches file contents in memory.
+export const getStorage = () => {
+  if (!globalThis.wakemateStorage) {
+    const kind = process.env.WAKEMATE_STORAGE || 'json';
+    const createAdapter = ADAPTERS[kind];
+    if (!createAdapter) {
+      throw new Error(`Unknown WAKEMATE_STORAGE "${kind}", expected one of ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+
+    globalThis.wakemateStorage = createAdapter({
+      dataDir: path.resolve(process.env.WAKEMATE_DATA_DIR || '.data')
+    });
+  }
+  return globalThis.wakemateStorage;
+};
@@ -0,0 +1,286 @@
+// File: lib/server/validation.js - Request validation for the sessions and alerts API
+import { ApiError } from './apiHandler';
+import { SEVERITIES } from '../drowsinessPipeline';
+import { DISTRACTION_STATES } from '../distraction';
+import { isPrivateHostname, privateTargetsAllowed } from './networkPolicy';
+
+const ID_PATTERN = /^[\w-]{1,100}$/;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_SAMPLES_PER_REQUEST = 1000;
+const MAX_ALERTS_PER_REQUEST = 200;
+const ACK_METHODS = ['button', 'keyboard', 'gesture'];
+const SAMPLE_FIELDS = ['ear', 'mar', 'perclos', 'blinkRate', 'yawnRate', 'nodsPerMinute'];
+const METRIC_FIELDS = ['score', ...SAMPLE_FIELDS];
+const WEBHOOK_SEVERITIES = SEVERITIES.filter(severity => severity !== 'low');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isTimestamp = (value) => isNumber(value) && value > 0;
+const isIsoDate = (value) => typeof value === 'string' && !Number.isNaN(Date.parse(value));
+const isId = (value) => (typeof value === 'string' && ID_PATTERN.test(value)) || Number.isSafeInteger(value);
+
+// Collects { field: message } and throws one 400 listing all of them
+const validator = () => {
+  const errors = {};
+  return {
+    check: (condition, field, message) => {
+      if (!condition) errors[field] = message;
+    },
+    done: (message) => {
+      if (Object.keys(errors).length) throw new ApiError(400, message, errors);
+    }
+  };
+};
+
+const parseInteger = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
+};
+
+export const parsePagination = (query) => {
+  const offset = parseInteger(query.offset, 0);
+  const limit = parseInteger(query.limit, DEFAULT_PAGE_SIZE);
+
+  const { check, done } = validator();
+  check(Number.isSafeInteger(offset), 'offset', 'Must be a non-negative integer');
+  check(Number.isSafeInteger(limit) && limit >= 1 && limit <= MAX_PAGE_SIZE, 'limit', `Must be between 1 and ${MAX_PAGE_SIZE}`);
+  done('Invalid pagination');
+
+  return { offset, limit };
+};
+
+export const parseSince = (value) => {
+  if (value === undefined) return null;
+  if (!isIsoDate(value)) throw new ApiError(400, 'Invalid query', { since: 'Must be an ISO date' });
+  return new Date(value).toISOString();
+};
+
+export const validateId = (value, field = 'id') => {
+  if (!isId(value)) throw new ApiError(400, 'Invalid request', { [field]: 'Must be a short identifier' });
+  return value;
+};
+
+export const validateSeverity = (value) => {
+  if (value !== undefined && !SEVERITIES.includes(value)) {
+    throw new ApiError(400, 'Invalid query', { severity: `Must be one of ${SEVERITIES.join(', ')}` });
+  }
+  return value;
+};
+
+const validateSummary = (summary, check) => {
+  if (summary === null || summary === undefined) return;
+  check(isObject(summary), 'summary', 'Must be an object');
+  if (!isObject(summary)) return;
+  Object.keys(summary).forEach(key => {
+    check(isNumber(summary[key]), `summary.${key}`, 'Must be a number');
+  });
+};
+
+export const validateSession = (body) => {
+  const { check, done } = validator();
+  check(isObject(body), 'body', 'Must be a JSON object');
+  done('Invalid session');
+
+  check(isId(body.id), 'id', 'Must be a short identifier');
+  check(isId(body.driverId), 'driverId', 'Must be a short identifier');
+  check(body.driverName === undefined || (typeof body.driverName === 'string' && body.driverName.length <= 100),
+    'driverName', 'Must be at most 100 characters');
+  check(isTimestamp(body.startedAt), 'startedAt', 'Must be a timestamp in ms');
+  check(body.endedAt === null || body.endedAt === undefined ||
+    (isTimestamp(body.endedAt) && body.endedAt >= body.startedAt), 'endedAt', 'Must be a timestamp after startedAt');
+  check(body.thresholds === undefined || (isObject(body.thresholds) && Object.values(body.thresholds).every(isNumber)),
+    'thresholds', 'Must be an object of numbers');
+  validateSummary(body.summary, check);
+  done('Invalid session');
+
+  return {
+    id: body.id,
+    driverId: body.driverId,
+    driverName: body.driverName || null,
+    startedAt: body.startedAt,
+    endedAt: body.endedAt ?? null,
+    thresholds: body.thresholds || null,
+    summary: body.summary ?? null
+  };
+};
+
+export const validateSamples = (body) => {
+  const { check, done } = validator();
+  const samples = body?.samples;
+  check(Array.isArray(samples) && samples.length <= MAX_SAMPLES_PER_REQUEST,
+    'samples', `Must be an array of at most ${MAX_SAMPLES_PER_REQUEST} samples`);
+  done('Invalid samples');
+
+  samples.forEach((sample, i) => {
+    check(isObject(sample), `samples[${i}]`, 'Must be an object');
+    if (!isObject(sample)) return;
+    check(isTimestamp(sample.timestamp), `samples[${i}].timestamp`, 'Must be a timestamp in ms');
+    check(isNumber(sample.score) && sample.score >= 0 && sample.score <= 100, `samples[${i}].score`, 'Must be between 0 and 100');
+    SAMPLE_FIELDS.forEach(field => {
+      check(sample[field] === undefined || sample[field] === null || isNumber(sample[field]),
+        `samples[${i}].${field}`, 'Must be a number');
+    });
+  });
+  done('Invalid samples');
+
+  return samples.map(sample => {
+    const clean = { timestamp: sample.timestamp, score: sample.score };
+    SAMPLE_FIELDS.forEach(field => {
+      clean[field] = sample[field] ?? null;
+    });
+    return clean;
+  });
+};
+
+const validateAlert = (alert, prefix, check) => {
+  check(isObject(alert), prefix, 'Must be an object');
+  if (!isObject(alert)) return;
+
+  check(isId(alert.id), `${prefix}.id`, 'Must be a short identifier');
+  check(isId(alert.sessionId), `${prefix}.sessionId`, 'Must be a short identifier');
+  check(isId(alert.driverId), `${prefix}.driverId`, 'Must be a short identifier');
+  check(isIsoDate(alert.timestamp), `${prefix}.timestamp`, 'Must be an ISO date');
+  check(SEVERITIES.includes(alert.severity), `${prefix}.severity`, `Must be one of ${SEVERITIES.join(', ')}`);
+  check(typeof alert.message === 'string' && alert.message.length <= 500, `${prefix}.message`, 'Must be at most 500 characters');
+  check(alert.acknowledgedAt === undefined || isIsoDate(alert.acknowledgedAt), `${prefix}.acknowledgedAt`, 'Must be an ISO date');
+  check(alert.ackMethod === undefined || ACK_METHODS.includes(alert.ackMethod), `${prefix}.ackMethod`, `Must be one of ${ACK_METHODS.join(', ')}`);
+  check(alert.responseTime === undefined || (isNumber(alert.responseTime) && alert.responseTime >= 0), `${prefix}.responseTime`, 'Must be a duration in ms');
+  check(alert.escalationLevel === undefined || Number.isSafeInteger(alert.escalationLevel), `${prefix}.escalationLevel`, 'Must be an integer');
+  check(alert.escalatedTo === undefined || alert.escalatedTo === null || SEVERITIES.includes(alert.escalatedTo),
+    `${prefix}.escalatedTo`, `Must be one of ${SEVERITIES.join(', ')}`);
+  check(alert.metrics === undefined || alert.metrics === null ||
+    (isObject(alert.metrics) && METRIC_FIELDS.every(field => alert.metrics[field] === undefined ||
+      alert.metrics[field] === null || isNumber(alert.metrics[field]))),
+    `${prefix}.metrics`, 'Must be an object of numbers');
+};
+
+// Keeps only the known metric fields of an alert's metrics snapshot
+const cleanMetrics = (metrics) => {
+  if (!metrics) return null;
+  const clean = {};
+  METRIC_FIELDS.forEach(field => {
+    clean[field] = metrics[field] ?? null;
+  });
+  return clean;
+};
+
+// Accepts one alert or an array of them
+export const validateAlerts = (body) => {
+  const alerts = Array.isArray(body) ? body : [body];
+  const { check, done } = validator();
+
+  check(alerts.length >= 1 && alerts.length <= MAX_ALERTS_PER_REQUEST, 'body', `Must hold 1 to ${MAX_ALERTS_PER_REQUEST} alerts`);
+  done('Invalid alerts');
+
+  alerts.forEach((alert, i) => validateAlert(alert, `alerts[${i}]`, check));
+  done('Invalid alerts');
+
+  return alerts.map(alert => ({
+    id: alert.id,
+    sessionId: alert.sessionId,
+    driverId: alert.driverId,
+    timestamp: new Date(alert.timestamp).toISOString(),
+    severity: alert.severity,
+    message: alert.message,
+    acknowledgedAt: alert.acknowledgedAt ?? null,
+    ackMethod: alert.ackMethod ?? null,
+    responseTime: alert.responseTime ?? null,
+    escalationLevel: alert.escalationLevel ?? 0,
+    escalatedTo: alert.escalatedTo ?? null,
+    metrics: cleanMetrics(alert.metrics)
+  }));
+};
+
+const isWebhookUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Only the literal host is checked here; names that resolve to private
+// addresses are caught when a delivery is attempted
+const isPublicWebhookUrl = (value) => privateTargetsAllowed() || !isPrivateHostname(new URL(value).hostname);
+
+// Target settings only; the id and signing secret are assigned by the server
+export const validateWebhook = (body) => {
+  const { check, done } = validator();
+  check(isObject(body), 'body', 'Must be a JSON object');
+  done('Invalid webhook');
+
+  const validUrl = typeof body.url === 'string' && body.url.length <= 2000 && isWebhookUrl(body.url);
+  check(validUrl, 'url', 'Must be an http(s) URL');
+  check(!validUrl || isPublicWebhookUrl(body.url), 'url', 'Must not point at a loopback, link-local or private address');
+  check(body.description === undefined || (typeof body.description === 'string' && body.description.length <= 200),
+    'description', 'Must be at most 200 characters');
+  check(WEBHOOK_SEVERITIES.includes(body.minSeverity), 'minSeverity', `Must be one of ${WEBHOOK_SEVERITIES.join(', ')}`);
+  check(body.enabled === undefined || typeof body.enabled === 'boolean', 'enabled', 'Must be true or false');
+  done('Invalid webhook');
+
+  return {
+    url: body.url,
+    description: body.description || '',
+    minSeverity: body.minSeverity,
+    enabled: body.enabled !== false
+  };
+};
+
+const validateAlertSummary = (alert, field, check) => {
+  if (alert === null || alert === undefined) return;
+  check(isObject(alert) && SEVERITIES.includes(alert.severity) &&
+    typeof alert.message === 'string' && alert.message.length <= 500 &&
+    (alert.timestamp === undefined || isIsoDate(alert.timestamp)),
+  field, 'Must be { severity, message, timestamp }');
+};
+
+const pickAlertSummary = (alert) => (alert
+  ? { severity: alert.severity, message: alert.message, timestamp: alert.timestamp ?? null }
+  : null);
+
+// The X-Driver-Key header a driver's device sends with its live updates
+export const validateDriverKey = (value) => {
+  if (typeof value !== 'string' || !/^[\w-]{16,200}$/.test(value)) {
+    throw new ApiError(400, 'Invalid driver key', { 'x-driver-key': 'Must be 16 to 200 letters, digits, - or _' });
+  }
+  return value;
+};
+
+// One status update from a driver's running session
+export const validateLiveUpdate = (body) => {
+  const { check, done } = validator();
+  check(isObject(body), 'body', 'Must be a JSON object');
+  done('Invalid live update');
+
+  check(isId(body.driverId), 'driverId', 'Must be a short identifier');
+  check(body.driverName === undefined || body.driverName === null ||
+    (typeof body.driverName === 'string' && body.driverName.length <= 100), 'driverName', 'Must be at most 100 characters');
+  check(body.sessionId === null || isId(body.sessionId), 'sessionId', 'Must be a short identifier or null');
+  check(isTimestamp(body.startedAt), 'startedAt', 'Must be a timestamp in ms');
+  check(isTimestamp(body.timestamp), 'timestamp', 'Must be a timestamp in ms');
+  check(body.score === null || (isNumber(body.score) && body.score >= 0 && body.score <= 100), 'score', 'Must be between 0 and 100, or null without a face');
+  check(SEVERITIES.includes(body.severity), 'severity', `Must be one of ${SEVERITIES.join(', ')}`);
+  check(typeof body.faceDetected === 'boolean', 'faceDetected', 'Must be true or false');
+  check(body.distraction === undefined || body.distraction === null ||
+    (isObject(body.distraction) && DISTRACTION_STATES.includes(body.distraction.state) &&
+      isNumber(body.distraction.duration) && body.distraction.duration >= 0),
+    'distraction', `Must be null or { state: ${DISTRACTION_STATES.join(' | ')}, duration }`);
+  validateAlertSummary(body.activeAlert, 'activeAlert', check);
+  validateAlertSummary(body.lastAlert, 'lastAlert', check);
+  done('Invalid live update');
+
+  return {
+    driverId: body.driverId,
+    driverName: body.driverName || null,
+    sessionId: body.sessionId,
+    startedAt: body.startedAt,
+    timestamp: body.timestamp,
+    score: body.score,
+    severity: body.severity,
+    faceDetected: body.faceDetected,
+    distraction: body.distraction ? { state: body.distraction.state, duration: body.distraction.duration } : null,
+    activeAlert: pickAlertSummary(body.activeAlert),
+    lastAlert: pickAlertSummary(body.lastAlert)
+  };
+};
@@ -0,0 +1,177 @@
+// File: lib/server/webhooks.js - Signed webhook delivery with retry and a dead-letter list
+//
+// Each request carries the JSON event and three headers:
+//   X-WakeMate-Event      event type ('alert.raised' or 'test')
+//   X-WakeMate-Delivery   event id, stable across retries so receivers can dedupe
+//   X-WakeMate-Signature  t=<unix ms>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the target's secret>
+// Deliveries that still fail after the last retry, or that the receiver
+// rejects outright, are kept as dead letters until retried or discarded.
+// Targets on private networks are refused (see networkPolicy.js) and
+// redirects are not followed, so a public URL cannot bounce a request inside.
+import crypto from 'crypto';
+import { SEVERITIES } from '../drowsinessPipeline';
+import { checkPublicTarget } from './networkPolicy';
+import { getStorage } from './storage';
+
+const DEFAULT_DELIVERY_OPTIONS = {
+  maxAttempts: 5,
+  initialRetryDelay: 1000,
+  maxRetryDelay: 30000,
+  timeout: 5000
+};
+
+const randomId = (prefix) => `${prefix}-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+
+export const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+export const signPayload = (body, secret, timestamp) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+export const findWebhook = async (id) => {
+  const webhooks = await getStorage().listWebhooks();
+  return webhooks.find(webhook => webhook.id === id) || null;
+};
+
+// The secret is only revealed when a target is created
+export const toPublicWebhook = ({ secret, ...webhook }) => ({ ...webhook, secretHint: `…${secret.slice(-4)}` });
+
+export const buildAlertEvent = (alert, session) => ({
+  id: randomId('evt'),
+  type: 'alert.raised',
+  createdAt: new Date().toISOString(),
+  driverId: alert.driverId,
+  driverName: session?.driverName || null,
+  sessionId: alert.sessionId,
+  alert: {
+    id: alert.id,
+    severity: alert.severity,
+    message: alert.message,
+    timestamp: alert.timestamp
+  },
+  metrics: alert.metrics
+});
+
+const buildTestEvent = (webhook) => ({
+  id: randomId('evt'),
+  type: 'test',
+  createdAt: new Date().toISOString(),
+  driverId: 'test-driver',
+  driverName: 'Test Driver',
+  sessionId: 'test-session',
+  alert: {
+    id: 0,
+    severity: webhook.minSeverity,
+    message: 'Test event from WakeMate',
+    timestamp: new Date().toISOString()
+  },
+  metrics: null
+});
+
+const isRetryable = (status) => status >= 500 || status === 408 || status === 429;
+
+export const createWebhookDispatcher = (options = {}) => {
+  const config = { ...DEFAULT_DELIVERY_OPTIONS, ...options };
+  const storage = config.storage || getStorage();
+  const send = config.fetch || fetch;
+
+  // One HTTP attempt; resolves to { ok, status, error, blocked } and never throws
+  const attempt = async (webhook, event) => {
+    const refused = await checkPublicTarget(webhook.url, config.lookup);
+    if (refused) return { ok: false, status: null, error: refused, blocked: true };
+
+    const body = JSON.stringify(event);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeout);
+
+    try {
+      const response = await send(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'WakeMate-Webhooks/1',
+          'X-WakeMate-Event': event.type,
+          'X-WakeMate-Delivery': event.id,
+          'X-WakeMate-Signature': signPayload(body, webhook.secret, Date.now())
+        },
+        body,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+      return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+      return { ok: false, status: null, error: error.name === 'AbortError' ? 'Timed out' : error.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  const deadLetter = (webhook, event, attempts, result) => storage.addDeadLetter({
+    id: randomId('dl'),
+    webhookId: webhook.id,
+    url: webhook.url,
+    event,
+    attempts,
+    lastStatus: result.status,
+    lastError: result.error,
+    failedAt: new Date().toISOString()
+  });
+
+  // Retries in the background with exponential backoff; resolves once the
+  // event was delivered or dead-lettered
+  const deliver = (webhook, event) => new Promise(resolve => {
+    const run = async (attempts) => {
+      const result = await attempt(webhook, event);
+      if (result.ok) {
+        resolve(result);
+        return;
+      }
+
+      const retryable = !result.blocked && (result.status === null || isRetryable(result.status));
+      if (!retryable || attempts >= config.maxAttempts) {
+        console.error(`Webhook ${webhook.id} gave up on ${event.id} after ${attempts} attempts:`, result.error);
+        await deadLetter(webhook, event, attempts, result).catch(error => {
+          console.error('Failed to store dead letter:', error);
+        });
+        resolve(result);
+        return;
+      }
+
+      const delay = Math.min(config.maxRetryDelay, config.initialRetryDelay * 2 ** (attempts - 1));
+      setTimeout(() => run(attempts + 1), delay);
+    };
+    run(1);
+  });
+
+  // Sends newly stored alerts to every enabled target whose minimum severity they reach
+  const dispatchAlerts = async (alerts, sessionsById = {}) => {
+    if (alerts.length === 0) return [];
+
+    const webhooks = (await storage.listWebhooks()).filter(webhook => webhook.enabled);
+    const deliveries = [];
+    alerts.forEach(alert => {
+      webhooks
+        .filter(webhook => SEVERITIES.indexOf(alert.severity) >= SEVERITIES.indexOf(webhook.minSeverity))
+        .forEach(webhook => {
+          deliveries.push(deliver(webhook, buildAlertEvent(alert, sessionsById[alert.sessionId])));
+        });
+    });
+    return Promise.all(deliveries);
+  };
+
+  // Single attempt so the caller can report the result right away
+  const sendTest = (webhook) => attempt(webhook, buildTestEvent(webhook));
+
+  // Retries a dead letter against its target's current URL and secret
+  const redeliver = (webhook, entry) => deliver(webhook, entry.event);
+
+  return { dispatchAlerts, sendTest, redeliver, deliver };
+};
+
+let dispatcher = null;
+
+export const getWebhookDispatcher = () => {
+  if (!dispatcher) dispatcher = createWebhookDispatcher();
+  return dispatcher;
+};
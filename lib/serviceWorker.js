@@ -0,0 +1,44 @@
+// File: lib/serviceWorker.js - Registers public/sw.js and reports whether the app can start offline
+import { modelUrls } from './faceMesh';
+
+// state: 'disabled' (development builds, where a cached shell would hide
+// code changes) | 'unsupported' | 'installing' | 'ready' | 'failed';
+// modelsCached: the face-mesh weights are in the cache, so detection works offline too
+export const DEFAULT_OFFLINE_STATUS = { state: 'disabled', modelsCached: false, reason: null };
+
+const isEnabled = () => process.env.NODE_ENV === 'production';
+
+const areModelsCached = async (modelPath) => {
+  if (typeof caches === 'undefined') return false;
+  const urls = Object.values(modelUrls(modelPath)).map(url => new URL(url, window.location.origin).href);
+  const cached = await Promise.all(urls.map(url => caches.match(url)));
+  return cached.every(Boolean);
+};
+
+// Resolves once a worker is active (its precache finished) or registration failed.
+// The build id is part of the script URL, so every deploy installs a fresh shell.
+export const registerServiceWorker = async (modelPath, onStatus) => {
+  if (!isEnabled()) {
+    onStatus(DEFAULT_OFFLINE_STATUS);
+    return null;
+  }
+  if (!('serviceWorker' in navigator)) {
+    onStatus({ ...DEFAULT_OFFLINE_STATUS, state: 'unsupported' });
+    return null;
+  }
+
+  const build = window.__NEXT_DATA__?.buildId || 'development';
+  const url = `/sw.js?build=${encodeURIComponent(build)}&models=${encodeURIComponent(modelPath)}`;
+
+  try {
+    onStatus({ ...DEFAULT_OFFLINE_STATUS, state: 'installing' });
+    const registration = await navigator.serviceWorker.register(url);
+    await navigator.serviceWorker.ready;
+    onStatus({ state: 'ready', modelsCached: await areModelsCached(modelPath), reason: null });
+    return registration;
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+    onStatus({ ...DEFAULT_OFFLINE_STATUS, state: 'failed', reason: error.message });
+    return null;
+  }
+};
@@ -0,0 +1,45 @@
+// File: lib/sessionAnalytics.js - Analytics Panel statistics computed from stored history
+const DAY = 24 * 60 * 60 * 1000;
+
+export const startOfToday = () => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today.getTime();
+};
+
+// Risk follows the last 24 hours of alerts: any critical alert or a run of
+// high alerts is high risk, a handful of medium-or-worse alerts is medium
+const assessRisk = (alerts) => {
+  const count = (severities) => alerts.filter(alert => severities.includes(alert.severity)).length;
+
+  if (count(['critical']) > 0 || count(['high']) >= 3) return 'high';
+  if (count(['high', 'medium']) >= 3) return 'medium';
+  return 'low';
+};
+
+const findPeakHours = (alerts) => {
+  const byHour = {};
+  alerts.forEach(alert => {
+    const hour = new Date(alert.timestamp).getHours();
+    byHour[hour] = (byHour[hour] || 0) + 1;
+  });
+
+  return Object.entries(byHour)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 2)
+    .map(([hour]) => `${String(hour).padStart(2, '0')}:00`);
+};
+
+export const computeAnalytics = (sessions, recentAlerts, now = Date.now()) => {
+  const finished = sessions.filter(session => session.summary);
+  const totalDuration = finished.reduce((sum, session) => sum + session.summary.duration, 0);
+  const lastDay = recentAlerts.filter(alert => new Date(alert.timestamp).getTime() > now - DAY);
+
+  return {
+    totalSessions: sessions.length,
+    avgDetectionTime: finished.length ? Math.round(totalDuration / finished.length / 60000) : 0,
+    alertsToday: recentAlerts.filter(alert => new Date(alert.timestamp).getTime() >= startOfToday()).length,
+    peakHours: findPeakHours(recentAlerts),
+    riskLevel: assessRisk(lastDay)
+  };
+};
@@ -0,0 +1,189 @@
+// File: lib/sessionStore.js - IndexedDB persistence for detection sessions, samples, alerts and sounds
+const DB_NAME = 'wakemate';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+export const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+
+      if (event.oldVersion < 1) {
+        const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+        sessions.createIndex('startedAt', 'startedAt');
+
+        const samples = db.createObjectStore('samples', { autoIncrement: true });
+        samples.createIndex('sessionId', 'sessionId');
+
+        const alerts = db.createObjectStore('alerts', { keyPath: 'id' });
+        alerts.createIndex('sessionId', 'sessionId');
+        alerts.createIndex('timestamp', 'timestamp');
+      }
+
+      // User-supplied alarm sounds, one per severity
+      if (event.oldVersion < 2) {
+        db.createObjectStore('sounds', { keyPath: 'id' });
+      }
+
+      // Lets history-wide analytics read samples by time instead of per session
+      if (event.oldVersion < 3) {
+        request.transaction.objectStore('samples').createIndex('timestamp', 'timestamp');
+      }
+    };
+
+    dbPromise = promisify(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+export const createSession = async ({ startedAt, thresholds }) => {
+  const db = await openDatabase();
+  const session = {
+    id: `session-${startedAt}`,
+    startedAt,
+    endedAt: null,
+    thresholds,
+    summary: null
+  };
+
+  const tx = db.transaction('sessions', 'readwrite');
+  tx.objectStore('sessions').put(session);
+  await transactionDone(tx);
+  return session;
+};
+
+export const appendSamples = async (sessionId, samples) => {
+  if (samples.length === 0) return;
+
+  const db = await openDatabase();
+  const tx = db.transaction('samples', 'readwrite');
+  const store = tx.objectStore('samples');
+  samples.forEach(sample => store.add({ ...sample, sessionId }));
+  await transactionDone(tx);
+};
+
+export const addAlert = async (sessionId, alert) => {
+  const db = await openDatabase();
+  const tx = db.transaction('alerts', 'readwrite');
+  tx.objectStore('alerts').put({ ...alert, sessionId });
+  await transactionDone(tx);
+};
+
+export const finishSession = async (sessionId, endedAt) => {
+  const db = await openDatabase();
+  const [session, samples, alerts] = await Promise.all([
+    promisify(db.transaction('sessions').objectStore('sessions').get(sessionId)),
+    promisify(db.transaction('samples').objectStore('samples').index('sessionId').getAll(sessionId)),
+    promisify(db.transaction('alerts').objectStore('alerts').index('sessionId').getAll(sessionId))
+  ]);
+  if (!session) return null;
+
+  const scores = samples.map(sample => sample.score);
+  const finished = {
+    ...session,
+    endedAt,
+    summary: {
+      duration: endedAt - session.startedAt,
+      sampleCount: samples.length,
+      meanScore: scores.length ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0,
+      peakScore: scores.length ? Math.max(...scores) : 0,
+      alertCount: alerts.length,
+      criticalCount: alerts.filter(alert => alert.severity === 'critical').length
+    }
+  };
+
+  const tx = db.transaction('sessions', 'readwrite');
+  tx.objectStore('sessions').put(finished);
+  await transactionDone(tx);
+  return finished;
+};
+
+export const listSessions = async () => {
+  const db = await openDatabase();
+  const sessions = await promisify(db.transaction('sessions').objectStore('sessions').getAll());
+  return sessions.sort((a, b) => b.startedAt - a.startedAt);
+};
+
+export const getSession = async (sessionId) => {
+  const db = await openDatabase();
+  const tx = db.transaction(['sessions', 'samples', 'alerts']);
+  const [session, samples, alerts] = await Promise.all([
+    promisify(tx.objectStore('sessions').get(sessionId)),
+    promisify(tx.objectStore('samples').index('sessionId').getAll(sessionId)),
+    promisify(tx.objectStore('alerts').index('sessionId').getAll(sessionId))
+  ]);
+  if (!session) return null;
+
+  return {
+    ...session,
+    samples: samples.sort((a, b) => a.timestamp - b.timestamp),
+    alerts: alerts.sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+  };
+};
+
+export const getAlertsSince = async (since) => {
+  const db = await openDatabase();
+  const range = IDBKeyRange.lowerBound(new Date(since).toISOString());
+  const alerts = await promisify(db.transaction('alerts').objectStore('alerts').index('timestamp').getAll(range));
+  return alerts.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+};
+
+// Walks samples from `since` on with a cursor, so long histories are
+// aggregated without loading every sample at once
+export const forEachSampleSince = async (since, visit) => {
+  const db = await openDatabase();
+  const request = db.transaction('samples').objectStore('samples').index('timestamp')
+    .openCursor(IDBKeyRange.lowerBound(since));
+
+  await new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      visit(cursor.value);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+};
+
+export const putSound = async (sound) => {
+  const db = await openDatabase();
+  const tx = db.transaction('sounds', 'readwrite');
+  tx.objectStore('sounds').put(sound);
+  await transactionDone(tx);
+};
+
+export const getSound = async (id) => {
+  const db = await openDatabase();
+  return promisify(db.transaction('sounds').objectStore('sounds').get(id));
+};
+
+export const deleteSound = async (id) => {
+  const db = await openDatabase();
+  const tx = db.transaction('sounds', 'readwrite');
+  tx.objectStore('sounds').delete(id);
+  await transactionDone(tx);
+};
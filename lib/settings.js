@@ -0,0 +1,208 @@
+// File: lib/settings.js - Typed configuration: env defaults overridden by saved user settings
+import { DEFAULT_THRESHOLDS } from './calibration';
+import { DEFAULT_COOLDOWNS } from './drowsinessPipeline';
+import { SOUND_PROFILE_OPTIONS, DEFAULT_SOUND_PROFILES } from './alarmSounds';
+import { SPEECH_LANGUAGES } from './voicePrompts';
+import { BACKENDS, DEFAULT_DETECTION_CONFIDENCE } from './faceMesh';
+
+const STORAGE_KEY = 'wakemate.settings';
+
+// Next.js only inlines NEXT_PUBLIC_* variables referenced literally, so each
+// one is read by name here rather than through a lookup table
+const ENV = {
+  modelPath: process.env.NEXT_PUBLIC_MODEL_PATH,
+  modelBackends: process.env.NEXT_PUBLIC_MODEL_BACKENDS,
+  maxFaces: process.env.NEXT_PUBLIC_MAX_FACES,
+  detectionThreshold: process.env.NEXT_PUBLIC_DETECTION_THRESHOLD,
+  alertCooldown: process.env.NEXT_PUBLIC_ALERT_COOLDOWN,
+  soundEnabled: process.env.NEXT_PUBLIC_SOUND_ENABLED,
+  vibrationEnabled: process.env.NEXT_PUBLIC_VIBRATION_ENABLED,
+  syncEnabled: process.env.NEXT_PUBLIC_SYNC_ENABLED
+};
+
+const parseNumber = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+const parseBoolean = (value, fallback) => {
+  if (value === undefined || value === '') return fallback;
+  return value === 'true' || value === '1';
+};
+
+// Comma-separated subset of BACKENDS in preference order; unknown names are ignored
+const parseBackends = (value) => {
+  const backends = (value || '').split(',').map(name => name.trim()).filter(name => BACKENDS.includes(name));
+  return backends.length ? backends : BACKENDS;
+};
+
+// Every setting with its type and allowed range. The Settings panel renders
+// from this list and validateSettings checks against it.
+export const SETTING_FIELDS = [
+  { path: 'driver.name', section: 'Driver', label: 'Driver name', type: 'string', maxLength: 100 },
+  { path: 'thresholds.earClosed', section: 'Thresholds', label: 'Eyes closed EAR', type: 'number', min: 0.05, max: 0.4, step: 0.01 },
+  { path: 'thresholds.earCritical', section: 'Thresholds', label: 'Critical EAR', type: 'number', min: 0.03, max: 0.35, step: 0.01 },
+  { path: 'thresholds.marYawn', section: 'Thresholds', label: 'Yawn MAR', type: 'number', min: 0.3, max: 2.5, step: 0.05 },
+  { path: 'cooldowns.critical', section: 'Alert Cooldowns', label: 'Critical (ms)', type: 'number', min: 0, max: 60000, step: 500 },
+  { path: 'cooldowns.high', section: 'Alert Cooldowns', label: 'High (ms)', type: 'number', min: 0, max: 60000, step: 500 },
+  { path: 'cooldowns.medium', section: 'Alert Cooldowns', label: 'Medium (ms)', type: 'number', min: 0, max: 60000, step: 500 },
+  { path: 'cooldowns.low', section: 'Alert Cooldowns', label: 'Low (ms)', type: 'number', min: 0, max: 60000, step: 500 },
+  { path: 'alerts.sound', section: 'Alert Channels', label: 'Sound', type: 'boolean' },
+  { path: 'alerts.vibration', section: 'Alert Channels', label: 'Vibration', type: 'boolean' },
+  { path: 'alerts.speech', section: 'Alert Channels', label: 'Voice prompts', type: 'boolean' },
+  { path: 'sounds.medium', section: 'Alarm Sounds', label: 'Medium', type: 'select', options: SOUND_PROFILE_OPTIONS, control: 'sound' },
+  { path: 'sounds.high', section: 'Alarm Sounds', label: 'High', type: 'select', options: SOUND_PROFILE_OPTIONS, control: 'sound' },
+  { path: 'sounds.critical', section: 'Alarm Sounds', label: 'Critical', type: 'select', options: SOUND_PROFILE_OPTIONS, control: 'sound' },
+  { path: 'speech.lang', section: 'Voice Prompts', label: 'Language', type: 'select', options: SPEECH_LANGUAGES },
+  { path: 'speech.voice', section: 'Voice Prompts', label: 'Voice', type: 'string', control: 'voice' },
+  { path: 'speech.rate', section: 'Voice Prompts', label: 'Speaking rate', type: 'number', min: 0.5, max: 2, step: 0.1 },
+  { path: 'sampling.minRate', section: 'Sampling', label: 'Minimum rate (fps)', type: 'number', min: 1, max: 30, step: 1 },
+  { path: 'sampling.maxRate', section: 'Sampling', label: 'Maximum rate (fps)', type: 'number', min: 1, max: 30, step: 1 }
+];
+
+// Model settings apply when the model loads, so they come from the environment only
+export const MODEL_CONFIG = {
+  // No trailing slash, so file names can be appended
+  path: (ENV.modelPath || '/models').replace(/\/+$/, ''),
+  backends: parseBackends(ENV.modelBackends),
+  maxFaces: Math.max(1, Math.round(parseNumber(ENV.maxFaces, 1))),
+  detectionConfidence: Math.min(1, Math.max(0, parseNumber(ENV.detectionThreshold, DEFAULT_DETECTION_CONFIDENCE)))
+};
+
+// Server sync can be turned off per deployment, e.g. for a purely offline kiosk
+export const SYNC_CONFIG = {
+  enabled: parseBoolean(ENV.syncEnabled, true)
+};
+
+const envCooldown = parseNumber(ENV.alertCooldown, DEFAULT_COOLDOWNS.high);
+
+export const DEFAULT_SETTINGS = {
+  driver: {
+    name: ''
+  },
+  thresholds: { ...DEFAULT_THRESHOLDS },
+  cooldowns: {
+    ...DEFAULT_COOLDOWNS,
+    critical: envCooldown,
+    high: envCooldown
+  },
+  alerts: {
+    sound: parseBoolean(ENV.soundEnabled, true),
+    vibration: parseBoolean(ENV.vibrationEnabled, true),
+    speech: false
+  },
+  sounds: { ...DEFAULT_SOUND_PROFILES },
+  speech: {
+    lang: 'en-US',
+    voice: '',
+    rate: 1
+  },
+  sampling: {
+    minRate: 5,
+    maxRate: 15
+  }
+};
+
+export const getSetting = (settings, path) => {
+  const [section, key] = path.split('.');
+  return settings[section]?.[key];
+};
+
+export const setSetting = (settings, path, value) => {
+  const [section, key] = path.split('.');
+  return { ...settings, [section]: { ...settings[section], [key]: value } };
+};
+
+const checkField = (field, value) => {
+  if (field.type === 'boolean') {
+    return typeof value === 'boolean' ? null : 'Must be on or off';
+  }
+  if (field.type === 'select') {
+    return field.options.some(option => option.value === value) ? null : 'Choose one of the options';
+  }
+  if (field.type === 'string') {
+    if (typeof value !== 'string') return 'Must be text';
+    return field.maxLength && value.length > field.maxLength ? `Must be at most ${field.maxLength} characters` : null;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return 'Must be a number';
+  }
+  if (value < field.min || value > field.max) {
+    return `Must be between ${field.min} and ${field.max}`;
+  }
+  return null;
+};
+
+// Returns { path: message } for every invalid setting; empty when all are valid
+export const validateSettings = (settings) => {
+  const errors = {};
+
+  SETTING_FIELDS.forEach(field => {
+    const error = checkField(field, getSetting(settings, field.path));
+    if (error) errors[field.path] = error;
+  });
+
+  if (!errors['thresholds.earCritical'] && !errors['thresholds.earClosed'] &&
+      settings.thresholds.earCritical >= settings.thresholds.earClosed) {
+    errors['thresholds.earCritical'] = 'Must be below the eyes closed EAR';
+  }
+  if (!errors['sampling.minRate'] && !errors['sampling.maxRate'] &&
+      settings.sampling.minRate > settings.sampling.maxRate) {
+    errors['sampling.minRate'] = 'Must not exceed the maximum rate';
+  }
+
+  return errors;
+};
+
+// Stored overrides are applied one by one, so a single bad value (say, from an
+// older version) falls back to its default instead of discarding the rest
+export const loadSettings = () => {
+  if (typeof window === 'undefined') return DEFAULT_SETTINGS;
+
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    let settings = DEFAULT_SETTINGS;
+
+    SETTING_FIELDS.forEach(field => {
+      const value = stored[field.path];
+      if (value !== undefined && !checkField(field, value)) {
+        settings = setSetting(settings, field.path, value);
+      }
+    });
+
+    return Object.keys(validateSettings(settings)).length ? DEFAULT_SETTINGS : settings;
+  } catch (error) {
+    console.error('Failed to read settings:', error);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+// Only values that differ from the env defaults are stored, so changing the
+// deployment's .env still reaches users who never touched that setting
+export const saveSettings = (settings) => {
+  const errors = validateSettings(settings);
+  if (Object.keys(errors).length) {
+    throw new Error('Invalid settings: ' + Object.keys(errors).join(', '));
+  }
+
+  const overrides = {};
+  SETTING_FIELDS.forEach(field => {
+    const value = getSetting(settings, field.path);
+    if (value !== getSetting(DEFAULT_SETTINGS, field.path)) overrides[field.path] = value;
+  });
+
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  } catch (error) {
+    console.error('Failed to save settings:', error);
+  }
+};
+
+export const clearSettings = () => {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Failed to clear settings:', error);
+  }
+};
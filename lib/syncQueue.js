@@ -0,0 +1,153 @@
+// File: lib/syncQueue.js - Persistent outbox that replays API writes once the server is reachable
+import { authHeaders } from './apiAuth';
+
+const STORAGE_KEY = 'wakemate.outbox';
+
+const DEFAULT_SYNC_OPTIONS = {
+  // Oldest writes are dropped past this, to stay inside the localStorage quota
+  maxQueueLength: 1000,
+  initialRetryDelay: 2000,
+  maxRetryDelay: 60000
+};
+
+// Writes are sent strictly in order (a session must exist before its samples
+// and alerts), one at a time. Network failures and 5xx/408/429 responses keep
+// the write at the head of the queue and retry with exponential backoff, as
+// does 401: the write goes through once the driver token is entered. Other
+// 4xx responses can never succeed, so the write is dropped and logged.
+export const createSyncQueue = (options = {}) => {
+  const config = { ...DEFAULT_SYNC_OPTIONS, ...options };
+
+  let queue = [];
+  let flushing = false;
+  let retryTimer = null;
+  let retryDelay = config.initialRetryDelay;
+  let lastSyncedAt = null;
+  let lastError = null;
+  const listeners = new Set();
+
+  const persist = () => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+    } catch (error) {
+      console.error('Failed to persist sync queue:', error);
+    }
+  };
+
+  const getStatus = () => ({
+    enabled: config.enabled !== false,
+    pending: queue.length,
+    online: typeof navigator === 'undefined' || navigator.onLine,
+    lastSyncedAt,
+    lastError
+  });
+
+  const notify = () => {
+    const status = getStatus();
+    listeners.forEach(listener => listener(status));
+  };
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(flush, retryDelay);
+    retryDelay = Math.min(config.maxRetryDelay, retryDelay * 2);
+  };
+
+  const send = async ({ method, path, body }) => {
+    const response = await fetch(path, {
+      method,
+      headers: { ...authHeaders('driver'), 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    if (response.ok) return 'sent';
+    if (response.status >= 500 || [401, 408, 429].includes(response.status)) return 'retry';
+
+    const details = await response.json().catch(() => null);
+    console.error(`Sync rejected ${method} ${path}:`, response.status, details);
+    return 'rejected';
+  };
+
+  const flush = async () => {
+    if (flushing || config.enabled === false || queue.length === 0) return;
+    if (typeof navigator !== 'undefined' && !navigator.onLine) return;
+
+    flushing = true;
+    try {
+      while (queue.length > 0) {
+        let outcome;
+        try {
+          outcome = await send(queue[0]);
+        } catch (error) {
+          outcome = 'retry';
+          lastError = error.message;
+        }
+
+        if (outcome === 'retry') {
+          scheduleRetry();
+          break;
+        }
+
+        queue.shift();
+        persist();
+        if (outcome === 'sent') {
+          lastSyncedAt = Date.now();
+          lastError = null;
+          retryDelay = config.initialRetryDelay;
+        } else {
+          lastError = 'A write was rejected by the server';
+        }
+        notify();
+      }
+    } finally {
+      flushing = false;
+      notify();
+    }
+  };
+
+  // op: { method, path, body }
+  const enqueue = (op) => {
+    if (config.enabled === false) return;
+
+    queue.push(op);
+    if (queue.length > config.maxQueueLength) {
+      console.error(`Sync queue full, dropping ${queue.length - config.maxQueueLength} oldest writes`);
+      queue = queue.slice(-config.maxQueueLength);
+    }
+    persist();
+    notify();
+    flush();
+  };
+
+  const handleOnline = () => {
+    retryDelay = config.initialRetryDelay;
+    flush();
+  };
+
+  // Restores writes queued in an earlier visit and starts watching connectivity
+  const start = () => {
+    try {
+      queue = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+      console.error('Failed to restore sync queue:', error);
+      queue = [];
+    }
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', notify);
+    notify();
+    flush();
+  };
+
+  const stop = () => {
+    clearTimeout(retryTimer);
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', notify);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { enqueue, flush, start, stop, subscribe, getStatus };
+};
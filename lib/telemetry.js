@@ -0,0 +1,41 @@
+// File: lib/telemetry.js - Rolling latency percentiles for performance instrumentation
+const DEFAULT_TRACKER_OPTIONS = {
+  // Enough for about 30 s at the maximum analysis rate
+  size: 450
+};
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+// Keeps the most recent durations (ms) in a ring buffer
+export const createLatencyTracker = (options = {}) => {
+  const config = { ...DEFAULT_TRACKER_OPTIONS, ...options };
+  const samples = new Array(config.size);
+  let count = 0;
+  let next = 0;
+
+  const record = (duration) => {
+    samples[next] = duration;
+    next = (next + 1) % config.size;
+    count = Math.min(config.size, count + 1);
+  };
+
+  // null until something was recorded
+  const summary = () => {
+    if (count === 0) return null;
+    const sorted = samples.slice(0, count).sort((a, b) => a - b);
+    return {
+      count,
+      p50: percentile(sorted, 0.5),
+      p95: percentile(sorted, 0.95),
+      p99: percentile(sorted, 0.99),
+      max: sorted[count - 1]
+    };
+  };
+
+  const reset = () => {
+    count = 0;
+    next = 0;
+  };
+
+  return { record, summary, reset };
+};
@@ -0,0 +1,99 @@
+// File: lib/voicePrompts.js - Spoken alert prompts through the Web Speech API
+export const SPEECH_LANGUAGES = [
+  { value: 'en-US', label: 'English (US)' },
+  { value: 'en-GB', label: 'English (UK)' },
+  { value: 'en-IN', label: 'English (India)' },
+  { value: 'hi-IN', label: 'हिन्दी' },
+  { value: 'es-ES', label: 'Español' },
+  { value: 'fr-FR', label: 'Français' },
+  { value: 'de-DE', label: 'Deutsch' }
+];
+
+// Alert messages are written in English, so other languages speak a
+// translated prompt for the alert's severity (or kind, for notices) instead
+const PROMPTS = {
+  hi: {
+    medium: 'आपमें थकान के शुरुआती संकेत दिख रहे हैं। सतर्क रहें।',
+    high: 'आपमें थकान के संकेत दिखे हैं, कृपया आराम करें।',
+    critical: 'आपको नींद आ रही है। कृपया अभी गाड़ी रोकें।',
+    forecast: 'जल्द ही गंभीर थकान की आशंका है। आराम की योजना बनाएं।',
+    distraction: 'कृपया सड़क पर ध्यान दें।',
+    background: 'निगरानी रुक गई है। कृपया ऐप पर वापस आएं।'
+  },
+  es: {
+    medium: 'Muestras los primeros signos de fatiga. Mantente alerta.',
+    high: 'Has mostrado signos de fatiga, por favor toma un descanso.',
+    critical: 'Te estás quedando dormido. Detente ahora, por favor.',
+    forecast: 'Es probable que pronto llegues a una fatiga crítica. Planifica un descanso.',
+    distraction: 'Mantén la vista en la carretera.',
+    background: 'La detección está en pausa. Vuelve a la aplicación.'
+  },
+  fr: {
+    medium: 'Vous montrez les premiers signes de fatigue. Restez vigilant.',
+    high: 'Vous montrez des signes de fatigue, veuillez faire une pause.',
+    critical: 'Vous vous endormez. Veuillez vous arrêter maintenant.',
+    forecast: 'Une fatigue critique est probable bientôt. Prévoyez une pause.',
+    distraction: 'Gardez les yeux sur la route.',
+    background: 'La détection est en pause. Revenez à l\'application.'
+  },
+  de: {
+    medium: 'Sie zeigen erste Anzeichen von Müdigkeit. Bleiben Sie aufmerksam.',
+    high: 'Sie zeigen Anzeichen von Müdigkeit, bitte machen Sie eine Pause.',
+    critical: 'Sie schlafen ein. Bitte halten Sie jetzt an.',
+    forecast: 'Starke Müdigkeit ist bald wahrscheinlich. Planen Sie eine Pause ein.',
+    distraction: 'Bitte achten Sie auf die Straße.',
+    background: 'Die Überwachung ist pausiert. Bitte kehren Sie zur App zurück.'
+  }
+};
+
+export const isSpeechSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Voices load asynchronously in Chrome; wait for them once
+export const listVoices = () => new Promise(resolve => {
+  if (!isSpeechSupported()) {
+    resolve([]);
+    return;
+  }
+
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length) {
+    resolve(voices);
+    return;
+  }
+
+  const handleVoicesChanged = () => {
+    window.speechSynthesis.removeEventListener('voiceschanged', handleVoicesChanged);
+    resolve(window.speechSynthesis.getVoices());
+  };
+  window.speechSynthesis.addEventListener('voiceschanged', handleVoicesChanged);
+});
+
+// "HIGH ALERT: Head nod detected. You are falling asleep!" reads as
+// "Head nod detected. You are falling asleep."
+const toSpokenText = (message) =>
+  message.replace(/^[A-Z ]+:\s*|^Notice:\s*/, '').replace(/!+/g, '.');
+
+export const buildPrompt = ({ message, severity, kind }, lang) => {
+  const translated = PROMPTS[lang.split('-')[0]];
+  return translated ? translated[kind] || translated[severity] || translated.medium : toSpokenText(message);
+};
+
+// speech: { lang, voice (voiceURI, '' for the language default), rate }
+export const speakAlert = async (alert, speech) => {
+  if (!isSpeechSupported()) return;
+
+  try {
+    const voices = await listVoices();
+    const utterance = new SpeechSynthesisUtterance(buildPrompt(alert, speech.lang));
+    utterance.lang = speech.lang;
+    utterance.rate = speech.rate;
+    utterance.voice = voices.find(voice => voice.voiceURI === speech.voice) || null;
+
+    // A newer prompt replaces one still being read
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(utterance);
+  } catch (error) {
+    console.error('Failed to speak alert:', error);
+  }
+};
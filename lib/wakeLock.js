@@ -0,0 +1,82 @@
+// File: lib/wakeLock.js - Keeps the screen on through the Screen Wake Lock API
+//
+// The browser drops the lock whenever the page is hidden, so while the lock is
+// wanted it is requested again each time the page becomes visible.
+
+// state: 'off' | 'active' | 'unsupported' | 'failed' (refused, e.g. on
+// battery saver or by a permissions policy; reason says why)
+export const DEFAULT_WAKE_LOCK_STATUS = { state: 'off', reason: null };
+
+const isSupported = () => typeof navigator !== 'undefined' && 'wakeLock' in navigator;
+
+export const createWakeLock = () => {
+  let wanted = false;
+  let sentinel = null;
+  let status = DEFAULT_WAKE_LOCK_STATUS;
+  const listeners = new Set();
+
+  const setStatus = (next) => {
+    status = { ...status, ...next };
+    listeners.forEach(listener => listener(status));
+  };
+
+  const request = async () => {
+    if (sentinel || document.visibilityState !== 'visible') return;
+
+    try {
+      const lock = await navigator.wakeLock.request('screen');
+      // Released while the request was pending
+      if (!wanted) {
+        lock.release();
+        return;
+      }
+      sentinel = lock;
+      sentinel.addEventListener('release', () => {
+        sentinel = null;
+        if (wanted) setStatus({ state: 'off', reason: 'Released while the page was hidden' });
+      });
+      setStatus({ state: 'active', reason: null });
+    } catch (error) {
+      setStatus({ state: 'failed', reason: error.message });
+    }
+  };
+
+  const handleVisibilityChange = () => {
+    if (wanted && document.visibilityState === 'visible') request();
+  };
+
+  // Resolves true when the screen is being kept on
+  const acquire = async () => {
+    if (!isSupported()) {
+      setStatus({ state: 'unsupported', reason: null });
+      return false;
+    }
+    if (!wanted) {
+      wanted = true;
+      document.addEventListener('visibilitychange', handleVisibilityChange);
+    }
+    await request();
+    return Boolean(sentinel);
+  };
+
+  const release = async () => {
+    if (!wanted) return;
+    wanted = false;
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+
+    const lock = sentinel;
+    sentinel = null;
+    if (lock) await lock.release();
+    setStatus({ state: 'off', reason: null });
+  };
+
+  const getStatus = () => status;
+
+  // Returns the unsubscribe function
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return { acquire, release, getStatus, subscribe };
+};
@@ -0,0 +1,43 @@
+// File: lib/webhookApi.js - Browser client for the webhook management API
+import { authHeaders } from './apiAuth';
+
+// Thrown for 401 responses so the panel can ask for the admin token
+export class UnauthorizedError extends Error {}
+
+const request = async (method, path, body) => {
+  const response = await fetch(path, {
+    method,
+    headers: {
+      ...authHeaders('admin'),
+      ...(body !== undefined && { 'Content-Type': 'application/json' })
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  if (response.status === 204) return null;
+
+  const data = await response.json().catch(() => null);
+  if (response.status === 401) throw new UnauthorizedError(data?.error || 'Access token required');
+  if (!response.ok) {
+    const details = data?.details ? Object.values(data.details).join(', ') : '';
+    throw new Error([data?.error || `HTTP ${response.status}`, details].filter(Boolean).join(': '));
+  }
+  return data;
+};
+
+export const listWebhooks = async () => (await request('GET', '/api/webhooks')).items;
+
+// Resolves to the new target including its signing secret
+export const createWebhook = (webhook) => request('POST', '/api/webhooks', webhook);
+
+export const updateWebhook = (id, webhook) => request('PUT', `/api/webhooks/${id}`, webhook);
+
+export const deleteWebhook = (id) => request('DELETE', `/api/webhooks/${id}`);
+
+// Resolves to { delivered, status, error }
+export const sendTestEvent = (id) => request('POST', `/api/webhooks/${id}/test`);
+
+export const listDeadLetters = async () => (await request('GET', '/api/webhooks/dead-letters?limit=100')).items;
+
+export const retryDeadLetter = (id) => request('POST', `/api/webhooks/dead-letters/${id}`);
+
+export const discardDeadLetter = (id) => request('DELETE', `/api/webhooks/dead-letters/${id}`);
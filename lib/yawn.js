@@ -0,0 +1,64 @@
+// File: lib/yawn.js - Temporal yawn event detection over the MAR stream
+const DEFAULT_YAWN_OPTIONS = {
+  closeRatio: 0.7,
+  minDuration: 2000,
+  maxDuration: 10000,
+  maxGap: 150,
+  minSustain: 0.8
+};
+
+// A yawn opens above the driver's MAR threshold and stays open for a typical
+// yawn duration before closing below closeRatio of that threshold. Talking
+// and singing produce short, rapidly alternating openings that either close
+// too soon, drop out for longer than maxGap, or spend less than minSustain of
+// the episode above the threshold, so they never qualify.
+export const createYawnDetector = (options = {}) => {
+  const config = { ...DEFAULT_YAWN_OPTIONS, ...options };
+
+  let phase = 'closed';
+  let onsetAt = 0;
+  let lastOpenAt = 0;
+  let peakMar = 0;
+  let openSamples = 0;
+  let totalSamples = 0;
+
+  const update = (mar, timestamp, threshold) => {
+    let yawn = null;
+
+    if (phase === 'closed') {
+      if (mar > threshold) {
+        phase = 'open';
+        onsetAt = timestamp;
+        lastOpenAt = timestamp;
+        peakMar = mar;
+        openSamples = 1;
+        totalSamples = 1;
+      }
+    } else if (mar >= threshold * config.closeRatio) {
+      lastOpenAt = timestamp;
+      totalSamples++;
+      if (mar > threshold) openSamples++;
+      peakMar = Math.max(peakMar, mar);
+
+      if (timestamp - onsetAt > config.maxDuration) {
+        phase = 'closed';
+      }
+    } else if (timestamp - lastOpenAt <= config.maxGap && lastOpenAt !== onsetAt) {
+      totalSamples++;
+    } else {
+      const duration = lastOpenAt - onsetAt;
+      if (duration >= config.minDuration && openSamples / totalSamples >= config.minSustain) {
+        yawn = { timestamp: onsetAt, duration, peakMar };
+      }
+      phase = 'closed';
+    }
+
+    return { phase, yawn };
+  };
+
+  const reset = () => {
+    phase = 'closed';
+  };
+
+  return { update, reset };
+};
@@ -9,6 +9,9 @@ const nextConfig = {
         path: false,
         crypto: false,
       };
+    } else {
+      // Optional SQLite storage driver; only required at runtime when selected
+      config.externals.push('better-sqlite3');
     }
     
     config.experiments = {
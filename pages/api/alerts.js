@@ -0,0 +1,48 @@
+// File: pages/api/alerts.js - List and store drowsiness alerts
+import { createApiHandler, paginated, ApiError } from '../../lib/server/apiHandler';
+import { parsePagination, parseSince, validateId, validateSeverity, validateAlerts } from '../../lib/server/validation';
+import { getStorage } from '../../lib/server/storage';
+import { getWebhookDispatcher } from '../../lib/server/webhooks';
+
+const optionalId = (value, field) => (value === undefined ? undefined : validateId(value, field));
+
+// Posting alerts sends signed webhooks, so it needs the driver token
+export default createApiHandler({
+  // GET /api/alerts?sessionId=&driverId=&severity=&since=&offset=&limit= - newest first
+  GET: async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const filters = {
+      sessionId: optionalId(req.query.sessionId, 'sessionId'),
+      driverId: optionalId(req.query.driverId, 'driverId'),
+      severity: validateSeverity(req.query.severity),
+      since: parseSince(req.query.since)
+    };
+
+    paginated(res, await getStorage().listAlerts({ ...filters, ...pagination }), pagination);
+  },
+
+  // POST /api/alerts - one alert or an array; alerts are keyed by session and id,
+  // so posting an alert again (e.g. once acknowledged) updates it
+  POST: async (req, res) => {
+    const alerts = validateAlerts(req.body);
+    const storage = getStorage();
+
+    const sessionIds = [...new Set(alerts.map(alert => alert.sessionId))];
+    const sessions = await Promise.all(sessionIds.map(id => storage.getSession(id)));
+    sessions.forEach((session, i) => {
+      if (!session) throw new ApiError(404, `Session ${sessionIds[i]} not found`);
+    });
+    alerts.forEach(alert => {
+      const session = sessions[sessionIds.indexOf(alert.sessionId)];
+      if (session.driverId !== alert.driverId) throw new ApiError(409, 'Alert session belongs to another driver');
+    });
+
+    // Only first-time alerts notify webhooks; acknowledgement updates do not
+    const created = await storage.upsertAlerts(alerts);
+    const sessionsById = Object.fromEntries(sessions.map(session => [session.id, session]));
+    getWebhookDispatcher().dispatchAlerts(created, sessionsById)
+      .catch(error => console.error('Failed to dispatch webhooks:', error));
+
+    res.status(201).json({ saved: alerts.length });
+  }
+}, { access: { GET: 'supervisor', POST: 'driver' } });
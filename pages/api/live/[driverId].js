@@ -0,0 +1,25 @@
+// File: pages/api/live/[driverId].js - One driver's live timeline, and ending their live session
+import { createApiHandler, ApiError } from '../../../lib/server/apiHandler';
+import { validateId, validateDriverKey } from '../../../lib/server/validation';
+import { getLiveHub } from '../../../lib/server/liveHub';
+
+export default createApiHandler({
+  // GET /api/live/:driverId - status plus recent score timeline and alerts
+  GET: async (req, res) => {
+    const driver = getLiveHub().getDriver(validateId(req.query.driverId, 'driverId'));
+    if (!driver) throw new ApiError(404, 'Driver is not active');
+    res.status(200).json(driver);
+  },
+
+  // DELETE /api/live/:driverId - sent when the driver stops detection, with
+  // the same X-Driver-Key header as its updates
+  DELETE: async (req, res) => {
+    const driverId = validateId(req.query.driverId, 'driverId');
+    const key = validateDriverKey(req.headers['x-driver-key']);
+    const hub = getLiveHub();
+    if (!hub.owns(driverId, key)) throw new ApiError(403, 'Driver is live on another device');
+
+    hub.end(driverId);
+    res.status(204).end();
+  }
+}, { access: { GET: 'supervisor', DELETE: 'driver' } });
@@ -0,0 +1,25 @@
+// File: pages/api/live/index.js - Status updates from running detection sessions
+import { createApiHandler, ApiError } from '../../../lib/server/apiHandler';
+import { validateLiveUpdate, validateDriverKey } from '../../../lib/server/validation';
+import { getLiveHub } from '../../../lib/server/liveHub';
+
+export default createApiHandler({
+  // GET /api/live - latest status of every active driver
+  GET: async (req, res) => {
+    res.status(200).json({ drivers: getLiveHub().list() });
+  },
+
+  // POST /api/live { driverId, sessionId, startedAt, timestamp, score, severity, ... }
+  // with the device's X-Driver-Key header
+  POST: async (req, res) => {
+    const key = validateDriverKey(req.headers['x-driver-key']);
+    const status = validateLiveUpdate(req.body);
+    const hub = getLiveHub();
+    // Frees ids whose device went quiet, so the driver can resume elsewhere
+    hub.prune();
+    if (!hub.owns(status.driverId, key)) throw new ApiError(403, 'Driver is live on another device');
+
+    hub.update(status, key);
+    res.status(204).end();
+  }
+}, { access: { GET: 'supervisor', POST: 'driver' } });
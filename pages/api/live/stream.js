@@ -0,0 +1,48 @@
+// File: pages/api/live/stream.js - Server-Sent Events feed of live driver updates
+import { createApiHandler } from '../../../lib/server/apiHandler';
+import { getLiveHub } from '../../../lib/server/liveHub';
+
+const HEARTBEAT_INTERVAL = 15000;
+
+// The response stays open after the handler returns
+export const config = {
+  api: { externalResolver: true }
+};
+
+// EventSource cannot send headers, so the supervisor token may also come as
+// ?access_token=
+export default createApiHandler({
+  // GET /api/live/stream - a 'snapshot' event with every active driver, then
+  // 'update' and 'end' events as drivers report or stop
+  GET: async (req, res) => {
+    const hub = getLiveHub();
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Keeps compression and proxies from buffering the stream
+      'Content-Encoding': 'none',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const send = (type, data) => {
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    send('snapshot', { drivers: hub.list() });
+    const unsubscribe = hub.subscribe(event => send(event.type, event));
+
+    // Comment lines keep idle connections open; pruning here drops drivers
+    // whose browser went away without ending the session
+    const heartbeat = setInterval(() => {
+      hub.prune();
+      res.write(': heartbeat\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+  }
+}, { access: 'supervisor', queryToken: true });
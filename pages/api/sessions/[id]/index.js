@@ -0,0 +1,31 @@
+// File: pages/api/sessions/[id]/index.js - Read and update one detection session
+import { createApiHandler, ApiError } from '../../../../lib/server/apiHandler';
+import { validateId, validateSession } from '../../../../lib/server/validation';
+import { getStorage } from '../../../../lib/server/storage';
+
+export default createApiHandler({
+  GET: async (req, res) => {
+    const id = validateId(req.query.id);
+    const session = await getStorage().getSession(id);
+    if (!session) throw new ApiError(404, 'Session not found');
+
+    res.status(200).json(session);
+  },
+
+  // PUT /api/sessions/:id - full session record, typically with endedAt and summary once finished
+  PUT: async (req, res) => {
+    const id = validateId(req.query.id);
+    const session = validateSession(req.body);
+    if (session.id !== id) {
+      throw new ApiError(400, 'Invalid session', { id: 'Must match the URL' });
+    }
+
+    const storage = getStorage();
+    const existing = await storage.getSession(id);
+    if (existing && existing.driverId !== session.driverId) {
+      throw new ApiError(409, 'Session belongs to another driver');
+    }
+
+    res.status(existing ? 200 : 201).json(await storage.upsertSession(session));
+  }
+}, { access: { GET: 'supervisor', PUT: 'driver' } });
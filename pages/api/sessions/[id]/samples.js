@@ -0,0 +1,30 @@
+// File: pages/api/sessions/[id]/samples.js - Per-second score samples of one session
+import { createApiHandler, paginated, ApiError } from '../../../../lib/server/apiHandler';
+import { parsePagination, validateId, validateSamples } from '../../../../lib/server/validation';
+import { getStorage } from '../../../../lib/server/storage';
+
+const requireSession = async (id) => {
+  const session = await getStorage().getSession(id);
+  if (!session) throw new ApiError(404, 'Session not found');
+  return session;
+};
+
+export default createApiHandler({
+  // GET /api/sessions/:id/samples?offset=&limit= - oldest first
+  GET: async (req, res) => {
+    const id = validateId(req.query.id);
+    const pagination = parsePagination(req.query);
+    await requireSession(id);
+
+    paginated(res, await getStorage().listSamples(id, pagination), pagination);
+  },
+
+  // POST /api/sessions/:id/samples { samples: [...] } - resent samples are ignored
+  POST: async (req, res) => {
+    const id = validateId(req.query.id);
+    const samples = validateSamples(req.body);
+    await requireSession(id);
+
+    res.status(201).json({ added: await getStorage().appendSamples(id, samples) });
+  }
+}, { access: { GET: 'supervisor', POST: 'driver' } });
@@ -0,0 +1,27 @@
+// File: pages/api/sessions/index.js - List and create detection sessions
+import { createApiHandler, paginated, ApiError } from '../../../lib/server/apiHandler';
+import { parsePagination, validateId, validateSession } from '../../../lib/server/validation';
+import { getStorage } from '../../../lib/server/storage';
+
+export default createApiHandler({
+  // GET /api/sessions?driverId=&offset=&limit= - newest first
+  GET: async (req, res) => {
+    const pagination = parsePagination(req.query);
+    const driverId = req.query.driverId === undefined ? undefined : validateId(req.query.driverId, 'driverId');
+
+    paginated(res, await getStorage().listSessions({ driverId, ...pagination }), pagination);
+  },
+
+  // POST /api/sessions - create, or update a session this driver already owns
+  POST: async (req, res) => {
+    const session = validateSession(req.body);
+    const storage = getStorage();
+
+    const existing = await storage.getSession(session.id);
+    if (existing && existing.driverId !== session.driverId) {
+      throw new ApiError(409, 'Session belongs to another driver');
+    }
+
+    res.status(existing ? 200 : 201).json(await storage.upsertSession(session));
+  }
+}, { access: { GET: 'supervisor', POST: 'driver' } });
@@ -0,0 +1,26 @@
+// File: pages/api/webhooks/[id]/index.js - Update or remove one webhook target
+import { createApiHandler, ApiError } from '../../../../lib/server/apiHandler';
+import { validateId, validateWebhook } from '../../../../lib/server/validation';
+import { getStorage } from '../../../../lib/server/storage';
+import { findWebhook, toPublicWebhook } from '../../../../lib/server/webhooks';
+
+export default createApiHandler({
+  // PUT /api/webhooks/:id { url, minSeverity, description?, enabled? } - keeps the secret
+  PUT: async (req, res) => {
+    const existing = await findWebhook(validateId(req.query.id));
+    if (!existing) throw new ApiError(404, 'Webhook not found');
+
+    const webhook = await getStorage().upsertWebhook({
+      ...existing,
+      ...validateWebhook(req.body),
+      updatedAt: new Date().toISOString()
+    });
+    res.status(200).json(toPublicWebhook(webhook));
+  },
+
+  DELETE: async (req, res) => {
+    const id = validateId(req.query.id);
+    if (!(await getStorage().deleteWebhook(id))) throw new ApiError(404, 'Webhook not found');
+    res.status(204).end();
+  }
+}, { access: 'admin' });
@@ -0,0 +1,15 @@
+// File: pages/api/webhooks/[id]/test.js - Send a test event to one webhook target
+import { createApiHandler, ApiError } from '../../../../lib/server/apiHandler';
+import { validateId } from '../../../../lib/server/validation';
+import { findWebhook, getWebhookDispatcher } from '../../../../lib/server/webhooks';
+
+export default createApiHandler({
+  // POST /api/webhooks/:id/test - one attempt, no retries; reports the outcome
+  POST: async (req, res) => {
+    const webhook = await findWebhook(validateId(req.query.id));
+    if (!webhook) throw new ApiError(404, 'Webhook not found');
+
+    const result = await getWebhookDispatcher().sendTest(webhook);
+    res.status(200).json({ delivered: result.ok, status: result.status, error: result.error });
+  }
+}, { access: 'admin' });
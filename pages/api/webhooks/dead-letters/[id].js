@@ -0,0 +1,33 @@
+// File: pages/api/webhooks/dead-letters/[id].js - Retry or discard one dead letter
+import { createApiHandler, ApiError } from '../../../../lib/server/apiHandler';
+import { validateId } from '../../../../lib/server/validation';
+import { getStorage } from '../../../../lib/server/storage';
+import { findWebhook, getWebhookDispatcher } from '../../../../lib/server/webhooks';
+
+const takeDeadLetter = async (id) => {
+  const entry = await getStorage().takeDeadLetter(id);
+  if (!entry) throw new ApiError(404, 'Dead letter not found');
+  return entry;
+};
+
+export default createApiHandler({
+  // POST /api/webhooks/dead-letters/:id - runs the full retry cycle again in the
+  // background; a delivery that fails again comes back as a new dead letter
+  POST: async (req, res) => {
+    const entry = await takeDeadLetter(validateId(req.query.id));
+    const webhook = await findWebhook(entry.webhookId);
+    if (!webhook) {
+      await getStorage().addDeadLetter(entry);
+      throw new ApiError(409, 'The webhook of this delivery no longer exists');
+    }
+
+    getWebhookDispatcher().redeliver(webhook, entry);
+    res.status(202).json({ requeued: entry.event.id });
+  },
+
+  // DELETE /api/webhooks/dead-letters/:id - drops it for good
+  DELETE: async (req, res) => {
+    await takeDeadLetter(validateId(req.query.id));
+    res.status(204).end();
+  }
+}, { access: 'admin' });
@@ -0,0 +1,12 @@
+// File: pages/api/webhooks/dead-letters/index.js - Webhook deliveries that were given up on
+import { createApiHandler, paginated } from '../../../../lib/server/apiHandler';
+import { parsePagination } from '../../../../lib/server/validation';
+import { getStorage } from '../../../../lib/server/storage';
+
+export default createApiHandler({
+  // GET /api/webhooks/dead-letters?offset=&limit= - most recent failure first
+  GET: async (req, res) => {
+    const pagination = parsePagination(req.query);
+    paginated(res, await getStorage().listDeadLetters(pagination), pagination);
+  }
+}, { access: 'admin' });
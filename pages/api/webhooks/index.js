@@ -0,0 +1,29 @@
+// File: pages/api/webhooks/index.js - List and register webhook targets
+import { createApiHandler } from '../../../lib/server/apiHandler';
+import { validateWebhook } from '../../../lib/server/validation';
+import { getStorage } from '../../../lib/server/storage';
+import { generateSecret, toPublicWebhook } from '../../../lib/server/webhooks';
+import crypto from 'crypto';
+
+export default createApiHandler({
+  // GET /api/webhooks - every target, secrets masked
+  GET: async (req, res) => {
+    const webhooks = await getStorage().listWebhooks();
+    res.status(200).json({ items: webhooks.map(toPublicWebhook) });
+  },
+
+  // POST /api/webhooks { url, minSeverity, description?, enabled? } - the
+  // response is the only place the signing secret is shown
+  POST: async (req, res) => {
+    const now = new Date().toISOString();
+    const webhook = await getStorage().upsertWebhook({
+      id: `wh-${crypto.randomBytes(6).toString('hex')}`,
+      ...validateWebhook(req.body),
+      secret: generateSecret(),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    res.status(201).json({ ...toPublicWebhook(webhook), secret: webhook.secret });
+  }
+}, { access: 'admin' });
@@ -0,0 +1,183 @@
+// File: pages/supervisor.js - Live view of every active driver for dispatch supervisors
+import { useState, useEffect, useRef } from 'react';
+import Head from 'next/head';
+import Link from 'next/link';
+import DriverTile from '../components/DriverTile';
+import DriverTimeline from '../components/DriverTimeline';
+import AccessTokenForm from '../components/AccessTokenForm';
+import { SEVERITIES } from '../lib/drowsinessPipeline';
+import { playAlarm, DEFAULT_SOUND_PROFILES } from '../lib/alarmSounds';
+import { getAccessToken, authHeaders } from '../lib/apiAuth';
+
+const CLOCK_INTERVAL = 1000;
+
+const SORTS = {
+  risk: (a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity) || (b.score ?? 0) - (a.score ?? 0),
+  name: (a, b) => (a.driverName || a.driverId).localeCompare(b.driverName || b.driverId),
+  duty: (a, b) => a.startedAt - b.startedAt
+};
+
+const CONNECTION_LABELS = {
+  connecting: { text: 'Connecting…', className: 'bg-gray-700 text-gray-300' },
+  live: { text: 'Live', className: 'bg-green-900 text-green-300' },
+  reconnecting: { text: 'Reconnecting…', className: 'bg-red-900 text-red-300' },
+  unauthorized: { text: 'Access token required', className: 'bg-red-900 text-red-300' },
+  unavailable: { text: 'Unavailable', className: 'bg-red-900 text-red-300' }
+};
+
+// EventSource cannot send headers, so the token goes in the query string
+const streamUrl = () => {
+  const token = getAccessToken('supervisor');
+  return token ? `/api/live/stream?access_token=${encodeURIComponent(token)}` : '/api/live/stream';
+};
+
+export default function Supervisor() {
+  const [drivers, setDrivers] = useState({});
+  const [connection, setConnection] = useState('connecting');
+  const [sortBy, setSortBy] = useState('risk');
+  const [selectedId, setSelectedId] = useState(null);
+  const [soundEnabled, setSoundEnabled] = useState(false);
+  const [now, setNow] = useState(Date.now());
+  // Bumped when a new token is saved, to reconnect with it
+  const [tokenVersion, setTokenVersion] = useState(0);
+  const soundRef = useRef(false);
+  // Last severity per driver, to sound the cue only on the step into critical
+  const severitiesRef = useRef({});
+
+  useEffect(() => {
+    soundRef.current = soundEnabled;
+  }, [soundEnabled]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_INTERVAL);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    setConnection('connecting');
+    const source = new EventSource(streamUrl());
+
+    // The server reports how old each status is; seenAt turns that into this
+    // browser's clock
+    const receive = (driver) => ({ ...driver, seenAt: Date.now() - (driver.age || 0) });
+
+    source.onopen = () => setConnection('live');
+    // A refused request closes the stream for good instead of reconnecting;
+    // the status of a plain request tells a bad token from a server problem
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED) {
+        setConnection('reconnecting');
+        return;
+      }
+      fetch('/api/live', { headers: authHeaders('supervisor') })
+        .then(response => setConnection(response.status === 401 ? 'unauthorized' : 'unavailable'))
+        .catch(() => setConnection('unavailable'));
+    };
+
+    source.addEventListener('snapshot', (event) => {
+      const { drivers: snapshot } = JSON.parse(event.data);
+      severitiesRef.current = Object.fromEntries(snapshot.map(driver => [driver.driverId, driver.severity]));
+      setDrivers(Object.fromEntries(snapshot.map(driver => [driver.driverId, receive(driver)])));
+    });
+
+    source.addEventListener('update', (event) => {
+      const { driver } = JSON.parse(event.data);
+      if (driver.severity === 'critical' && severitiesRef.current[driver.driverId] !== 'critical' && soundRef.current) {
+        playAlarm({ severity: 'critical', profile: DEFAULT_SOUND_PROFILES.critical, volume: 0.8, repeats: 2 });
+      }
+      severitiesRef.current[driver.driverId] = driver.severity;
+      setDrivers(prev => ({ ...prev, [driver.driverId]: receive(driver) }));
+    });
+
+    source.addEventListener('end', (event) => {
+      const { driverId } = JSON.parse(event.data);
+      delete severitiesRef.current[driverId];
+      setDrivers(prev => Object.fromEntries(Object.entries(prev).filter(([id]) => id !== driverId)));
+    });
+
+    return () => source.close();
+  }, [tokenVersion]);
+
+  // Browsers only allow audio after a click, so the cue has to be switched on
+  // here; the preview confirms the speakers work
+  const toggleSound = () => {
+    if (!soundEnabled) {
+      playAlarm({ severity: 'critical', profile: DEFAULT_SOUND_PROFILES.critical, volume: 0.3 });
+    }
+    setSoundEnabled(!soundEnabled);
+  };
+
+  const list = Object.values(drivers).sort(SORTS[sortBy]);
+  const selected = selectedId && drivers[selectedId];
+  const criticalCount = list.filter(driver => driver.severity === 'critical').length;
+  const status = CONNECTION_LABELS[connection];
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-gray-900 to-black text-white">
+      <Head>
+        <title>Supervisor | Advanced Drowsiness Detection System</title>
+      </Head>
+
+      <main className="container mx-auto px-4 py-8">
+        <header className="mb-8 flex flex-wrap justify-between items-end gap-4">
+          <div>
+            <h1 className="text-4xl font-bold bg-clip-text text-transparent bg-gradient-to-r from-cyan-400 to-blue-500">
+              Supervisor Dashboard
+            </h1>
+            <p className="text-gray-300 mt-2">
+              {list.length} active driver{list.length === 1 ? '' : 's'}
+              {criticalCount > 0 && <span className="text-purple-300 font-semibold"> • {criticalCount} critical</span>}
+            </p>
+            <Link href="/" className="inline-block mt-2 text-cyan-400 hover:text-cyan-300">← Driver view</Link>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-3">
+            <span className={`px-3 py-1 rounded-full text-sm ${status.className}`}>{status.text}</span>
+            <label className="text-sm text-gray-400">
+              Sort by{' '}
+              <select value={sortBy} onChange={(event) => setSortBy(event.target.value)} className="bg-gray-800 rounded-lg p-2 text-white">
+                <option value="risk">Risk</option>
+                <option value="name">Name</option>
+                <option value="duty">Time on duty</option>
+              </select>
+            </label>
+            <button
+              onClick={toggleSound}
+              className={`px-4 py-2 rounded-lg ${soundEnabled ? 'bg-green-600' : 'bg-gray-600'}`}
+            >
+              {soundEnabled ? '🔊 Critical cue on' : '🔇 Critical cue off'}
+            </button>
+          </div>
+        </header>
+
+        {connection === 'unauthorized' && (
+          <div className="mb-8 max-w-xl">
+            <AccessTokenForm role="supervisor" label="Supervisor token" onSaved={() => setTokenVersion(version => version + 1)} />
+          </div>
+        )}
+
+        {list.length === 0 ? (
+          <p className="text-gray-400">No drivers are running detection right now.</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-4 gap-4">
+            {list.map(driver => (
+              <DriverTile
+                key={driver.driverId}
+                driver={driver}
+                now={now}
+                selected={driver.driverId === selectedId}
+                onSelect={(id) => setSelectedId(id === selectedId ? null : id)}
+              />
+            ))}
+          </div>
+        )}
+
+        {selected && (
+          <div className="mt-8">
+            <DriverTimeline driver={selected} onClose={() => setSelectedId(null)} />
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+// File: public/sw.js - Offline support: app shell and face-mesh weights served from cache
+//
+// Registered by lib/serviceWorker.js as sw.js?build=<Next build id>&models=<model path>.
+// A new build registers a new script URL, which installs a fresh shell cache
+// and drops the old one. Weights are large and rarely change, so they stay
+// cached across builds.
+const params = new URL(self.location.href).searchParams;
+const BUILD = params.get('build') || 'development';
+const MODEL_PATH = params.get('models');
+
+const SHELL_CACHE = `wakemate-shell-${BUILD}`;
+const MODEL_CACHE = 'wakemate-models-v1';
+
+const SHELL_URLS = ['/', '/manifest.json', '/icons/icon.svg', '/icons/icon-192.png', '/icons/icon-512.png'];
+// Directory names must match modelUrls in lib/faceMesh.js
+const MODEL_GRAPHS = ['blazeface', 'facemesh', 'iris'];
+const WASM_BINARIES = ['tfjs-backend-wasm.wasm', 'tfjs-backend-wasm-simd.wasm', 'tfjs-backend-wasm-threaded-simd.wasm'];
+
+const modelBase = MODEL_PATH && new URL(`${MODEL_PATH}/`, self.location.origin).href;
+
+const fetchOk = async (url) => {
+  const response = await fetch(url, { cache: 'reload' });
+  if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+  return response;
+};
+
+// Scripts and styles a page loads up front. Chunks imported later (a backend,
+// the worker) are cached the first time they are fetched.
+const pageAssets = (html) =>
+  [...html.matchAll(/(?:src|href)="(\/_next\/static\/[^"]+)"/g)].map(match => match[1].replace(/&amp;/g, '&'));
+
+const precacheShell = async () => {
+  const cache = await caches.open(SHELL_CACHE);
+  for (const url of SHELL_URLS) {
+    const response = await fetchOk(url);
+    await cache.put(url, response.clone());
+    if (response.headers.get('content-type')?.includes('text/html')) {
+      await cache.addAll(pageAssets(await response.text()));
+    }
+  }
+};
+
+// Shards already cached are kept; model.json is refreshed in case the weights were replaced
+const precacheModels = async () => {
+  if (!modelBase) return;
+  const cache = await caches.open(MODEL_CACHE);
+  const cacheOnce = async (url) => {
+    if (!(await cache.match(url))) await cache.put(url, await fetchOk(url));
+  };
+
+  for (const graph of MODEL_GRAPHS) {
+    const manifestUrl = `${modelBase}${graph}/model.json`;
+    const response = await fetchOk(manifestUrl);
+    await cache.put(manifestUrl, response.clone());
+    const shards = (await response.json()).weightsManifest.flatMap(group => group.paths);
+    await Promise.all(shards.map(shard => cacheOnce(`${modelBase}${graph}/${shard}`)));
+  }
+  // Only the binaries the browser can use are needed, so missing ones are fine
+  await Promise.all(WASM_BINARIES.map(file => cacheOnce(`${modelBase}wasm/${file}`).catch(() => {})));
+};
+
+self.addEventListener('install', (event) => {
+  // The shell is required; without self-hosted weights the app still opens
+  // offline and reports the model as failed
+  event.waitUntil(Promise.all([
+    precacheShell(),
+    precacheModels().catch(error => console.warn('Model weights not precached:', error))
+  ]).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys
+      .filter(key => key.startsWith('wakemate-shell-') && key !== SHELL_CACHE)
+      .map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+  }
+  return response;
+};
+
+// Pages come from the network when there is one, so a deploy shows up on the
+// next load; offline, the cached copy (or the dashboard) is served instead
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await caches.match(request, { ignoreSearch: true }) || await caches.match('/');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (modelBase && url.href.startsWith(modelBase)) {
+    event.respondWith(cacheFirst(request, MODEL_CACHE));
+    return;
+  }
+  // API calls go straight to the network; the sync queue retries them
+  if (url.origin !== self.location.origin || url.pathname.startsWith('/api/')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+  } else if (url.pathname.startsWith('/_next/static/')) {
+    // Build output is content-hashed, so a cached copy never goes stale
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  } else if (SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  }
+});
+
+// Background warnings (lib/backgroundMonitor.js) bring the app back when tapped
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+    const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+    return existing ? existing.focus() : self.clients.openWindow('/');
+  }));
+});
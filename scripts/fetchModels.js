@@ -0,0 +1,79 @@
+// File: scripts/fetchModels.js - Download the face-mesh weights for self-hosting
+//
+// Puts every graph the app loads, plus the WASM backend binaries, into one
+// directory served at NEXT_PUBLIC_MODEL_PATH, so detection works with no CDN
+// access. Run it once after npm install on a machine with internet access and
+// ship the result with the build:
+//
+//   node scripts/fetchModels.js --out public/models
+const fs = require('fs');
+const path = require('path');
+
+// Directory names must match modelUrls in lib/faceMesh.js
+const GRAPHS = {
+  blazeface: 'https://tfhub.dev/tensorflow/tfjs-model/blazeface/1/default/1',
+  facemesh: 'https://tfhub.dev/mediapipe/tfjs-model/facemesh/1/default/1',
+  iris: 'https://tfhub.dev/mediapipe/tfjs-model/iris/1/default/2'
+};
+
+const WASM_DIST = path.join('node_modules', '@tensorflow', 'tfjs-backend-wasm', 'dist');
+
+const parseArgs = (argv) => {
+  const args = { out: path.join('public', 'models') };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in args)) throw new Error(`Unknown option ${argv[i]}`);
+    args[key] = argv[i + 1];
+  }
+  return args;
+};
+
+const download = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// TF Hub serves a model's files directly when asked for the tfjs file format
+const fetchGraph = async (name, base, out) => {
+  const dir = path.join(out, name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const manifest = await download(`${base}/model.json?tfjs-format=file`);
+  fs.writeFileSync(path.join(dir, 'model.json'), manifest);
+
+  const shards = JSON.parse(manifest).weightsManifest.flatMap(group => group.paths);
+  for (const shard of shards) {
+    fs.writeFileSync(path.join(dir, shard), await download(`${base}/${shard}?tfjs-format=file`));
+  }
+  console.log(`${name}: model.json and ${shards.length} weight shard(s)`);
+};
+
+// The WASM backend loads its binaries from <model path>/wasm/
+const copyWasm = (out) => {
+  if (!fs.existsSync(WASM_DIST)) {
+    console.log(`Skipping WASM binaries: ${WASM_DIST} not found (run npm install first)`);
+    return;
+  }
+
+  const dir = path.join(out, 'wasm');
+  fs.mkdirSync(dir, { recursive: true });
+  const binaries = fs.readdirSync(WASM_DIST).filter(file => file.endsWith('.wasm'));
+  binaries.forEach(file => fs.copyFileSync(path.join(WASM_DIST, file), path.join(dir, file)));
+  console.log(`wasm: ${binaries.join(', ')}`);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  for (const [name, base] of Object.entries(GRAPHS)) {
+    await fetchGraph(name, base, args.out);
+  }
+  copyWasm(args.out);
+  console.log(`Done. Serve ${args.out} at NEXT_PUBLIC_MODEL_PATH.`);
+};
+
+main().catch(error => {
+  console.error('Failed to fetch models:', error);
+  process.exitCode = 1;
+});
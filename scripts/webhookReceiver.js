@@ -0,0 +1,73 @@
+// File: scripts/webhookReceiver.js - Local HTTP stand-in for a webhook consumer
+//
+// Prints every event it receives and checks the signature when given the
+// target's secret. --fail makes the first N deliveries answer with --status
+// (default 503) so the retry and dead-letter paths can be exercised.
+//
+//   node scripts/webhookReceiver.js --port 4000 --secret <secret> --fail 2
+//
+// Then register http://localhost:4000/ as a webhook target in the app.
+const http = require('http');
+const crypto = require('crypto');
+
+const SIGNATURE_TOLERANCE = 5 * 60 * 1000;
+
+const parseArgs = (argv) => {
+  const args = { port: 4000, secret: '', fail: 0, status: 503 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const key = argv[i].replace(/^--/, '');
+    if (!(key in args)) throw new Error(`Unknown option ${argv[i]}`);
+    args[key] = typeof args[key] === 'number' ? Number(argv[i + 1]) : argv[i + 1];
+  }
+  return args;
+};
+
+// Mirrors signPayload in lib/server/webhooks.js
+const verifySignature = (header, body, secret) => {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=')));
+  const timestamp = Number(parts.t);
+  if (!timestamp || !parts.v1) return 'missing signature';
+  if (Math.abs(Date.now() - timestamp) > SIGNATURE_TOLERANCE) return 'stale timestamp';
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  const valid = expected.length === parts.v1.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+  return valid ? null : 'signature mismatch';
+};
+
+const args = parseArgs(process.argv.slice(2));
+let failuresLeft = args.fail;
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const event = req.headers['x-wakemate-event'];
+    const delivery = req.headers['x-wakemate-delivery'];
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      console.log(`[${new Date().toISOString()}] ${event} ${delivery} -> simulated ${args.status}`);
+      res.writeHead(args.status).end();
+      return;
+    }
+
+    if (args.secret) {
+      const problem = verifySignature(req.headers['x-wakemate-signature'], body, args.secret);
+      if (problem) {
+        console.log(`[${new Date().toISOString()}] ${event} ${delivery} -> rejected: ${problem}`);
+        res.writeHead(401).end();
+        return;
+      }
+    }
+
+    console.log(`[${new Date().toISOString()}] ${event} ${delivery}${args.secret ? ' (signature ok)' : ''}`);
+    console.log(JSON.stringify(JSON.parse(body || 'null'), null, 2));
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(args.port, () => {
+  console.log(`Webhook receiver listening on http://localhost:${args.port}/`);
+  if (!args.secret) console.log('No --secret given, signatures are not checked');
+});